@@ -1,6 +1,7 @@
 import { Client, Databases, Functions, Query } from 'node-appwrite';
+import { withIdempotency } from './lib/idempotency.js';
 
-export default async ({ req, res, log, error }) => {
+export default withIdempotency('acceptLike', async ({ req, res, log, error }) => {
   try {
     // Initialize Appwrite client
     const client = new Client()
@@ -74,4 +75,4 @@ export default async ({ req, res, log, error }) => {
       message: 'Internal server error'
     });
   }
-};
+});
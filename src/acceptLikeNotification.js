@@ -1,6 +1,7 @@
 import { Client, Databases } from 'node-appwrite';
+import { withIdempotency } from './lib/idempotency.js';
 
-export default async ({ req, res, log, error }) => {
+export default withIdempotency('acceptLikeNotification', async ({ req, res, log, error }) => {
   log('=== FUNCTION STARTED ===');
   
   try {
@@ -93,5 +94,5 @@ export default async ({ req, res, log, error }) => {
       error: err.message
     });
   }
-};
+});
 
@@ -0,0 +1,163 @@
+import { Client, Databases } from 'node-appwrite';
+import {
+  readTicketTiers,
+  serializeTicketTiers,
+  findTicketTier,
+  adjustTierQuantity,
+  adjustTicketsLeft
+} from './lib/ticketTiers.js';
+import { offerReturnedTickets, notifyWaitlistOffers } from './lib/waitlist.js';
+import { withIdempotency } from './lib/idempotency.js';
+
+/**
+ * Add Ticket Capacity
+ *
+ * Lets an event's organiser (`events.organizerId`) put more seats on sale in
+ * an existing tier. The seats are added to the tier's current phase (and to
+ * its `capacity` when one is set) and offered to the tier's waitlist first
+ * (see lib/waitlist.js), all in one Appwrite transaction.
+ *
+ * Request body: { eventId, ticketTypeName, quantity }
+ *
+ * The organiser is the caller's Appwrite identity (`x-appwrite-user-id`);
+ * a `userId` in the body is ignored.
+ */
+
+export default withIdempotency('addTicketCapacity', async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+
+  let appwriteTransactionId = null;
+
+  try {
+    const { eventId, ticketTypeName, quantity } = JSON.parse(req.body || '{}');
+    const userId = req.headers['x-appwrite-user-id'] || '';
+
+    log('Adding ticket capacity', { userId, eventId, ticketTypeName, quantity });
+
+    if (!userId) {
+      return res.json({
+        success: false,
+        error: 'Ticket capacity can only be added by a signed-in organiser',
+        code: 'AUTHENTICATION_REQUIRED'
+      }, 401);
+    }
+
+    if (!eventId || !ticketTypeName || !quantity) {
+      return res.json({
+        success: false,
+        error: 'Missing required fields. Required: eventId, ticketTypeName, quantity',
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
+
+    const quantityInt = parseInt(quantity);
+    if (isNaN(quantityInt) || quantityInt < 1) {
+      return res.json({
+        success: false,
+        error: 'Quantity must be a positive number',
+        code: 'INVALID_QUANTITY'
+      }, 400);
+    }
+
+    const transaction = await databases.createTransaction(60);
+    appwriteTransactionId = transaction.$id;
+
+    const eventDoc = await databases.getDocument(DATABASE_ID, 'events', eventId, [], appwriteTransactionId);
+
+    if (!eventDoc.organizerId || eventDoc.organizerId !== userId) {
+      return await reject('Only the event organiser can add tickets', 'NOT_EVENT_ORGANIZER', 403);
+    }
+
+    const ticketTiers = readTicketTiers(eventDoc);
+    const ticketTier = findTicketTier(ticketTiers, ticketTypeName);
+
+    if (!ticketTier) {
+      return await reject('Ticket type not found for this event', 'TICKET_TYPE_NOT_FOUND', 404);
+    }
+
+    const expandedTiers = adjustTierQuantity(ticketTiers, ticketTypeName, quantityInt).map(tier =>
+      tier.name === ticketTypeName && tier.capacity !== undefined
+        ? { ...tier, capacity: (parseInt(tier.capacity) || 0) + quantityInt }
+        : tier
+    );
+
+    const waitlist = await offerReturnedTickets(
+      databases,
+      DATABASE_ID,
+      { eventId, ticketTiers: expandedTiers, ticketTypeNames: [ticketTypeName] },
+      appwriteTransactionId
+    );
+
+    const ticketsLeft = adjustTicketsLeft(eventDoc.ticketsLeft, quantityInt + waitlist.ticketsLeftDelta);
+
+    await databases.updateDocument(
+      DATABASE_ID,
+      'events',
+      eventId,
+      {
+        ticketsLeft: ticketsLeft,
+        ...serializeTicketTiers(waitlist.ticketTiers)
+      },
+      [],
+      appwriteTransactionId
+    );
+
+    await databases.updateTransaction(appwriteTransactionId, true);
+    appwriteTransactionId = null;
+
+    log('Ticket capacity added', { eventId, ticketTypeName, added: quantityInt, waitlistOffers: waitlist.offers.length });
+
+    await notifyWaitlistOffers(databases, DATABASE_ID, waitlist.offers, eventDoc, { log, error });
+
+    return res.json({
+      success: true,
+      data: {
+        eventId: eventId,
+        ticketTypeName: ticketTypeName,
+        added: quantityInt,
+        offeredToWaitlist: -waitlist.ticketsLeftDelta,
+        available: findTicketTier(waitlist.ticketTiers, ticketTypeName).quantity,
+        ticketsLeft: ticketsLeft
+      }
+    }, 200);
+
+  } catch (err) {
+    error(`Error adding ticket capacity: ${err.message}`);
+
+    if (appwriteTransactionId) {
+      try {
+        await databases.updateTransaction(appwriteTransactionId, false);
+      } catch (rollbackErr) {
+        error(`Transaction rollback failed: ${rollbackErr.message}`);
+      }
+    }
+
+    const isConflict = err.code === 409 || err.message?.includes('conflict');
+    const isNotFound = err.code === 404 || err.message?.includes('not found');
+    return res.json({
+      success: false,
+      error: isConflict
+        ? 'Event was modified concurrently. Please try again.'
+        : isNotFound ? 'Event not found' : 'Failed to add ticket capacity',
+      code: isConflict ? 'CONFLICT_ERROR' : isNotFound ? 'NOT_FOUND_ERROR' : 'CAPACITY_UPDATE_ERROR',
+      details: err.message
+    }, isConflict ? 409 : isNotFound ? 404 : 500);
+  }
+
+  async function reject(message, code, status) {
+    error(message);
+    await databases.updateTransaction(appwriteTransactionId, false);
+    appwriteTransactionId = null;
+    return res.json({
+      success: false,
+      error: message,
+      code: code
+    }, status);
+  }
+});
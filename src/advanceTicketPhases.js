@@ -0,0 +1,137 @@
+import { Client, Databases, Query } from 'node-appwrite';
+import { readTicketTiers, serializeTicketTiers, adjustTicketsLeft } from './lib/ticketTiers.js';
+import { getCarryOverRule, advanceTierPhases, recordPhaseChanges } from './lib/phaseProgression.js';
+
+/**
+ * Ticket Pricing Phase Advancer (scheduled)
+ *
+ * Runs on a schedule (e.g. every five minutes via the function's cron
+ * setting) and opens the next pricing phase of every tier whose current
+ * phase deadline (`phaseEndsAt`) has passed, so prices change on time even
+ * when nobody is buying. Sell-outs are handled at booking time by
+ * bookTicketAtomic.js and reserveTickets.js.
+ *
+ * Each event is advanced in its own Appwrite transaction after re-reading it,
+ * so a booking that changes the same event at the same moment causes a
+ * conflict instead of a lost update; conflicting events are picked up on the
+ * next run. Every phase change is recorded in `tierPhaseChanges`.
+ */
+
+const PAGE_SIZE = 100;
+
+export default async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+
+  try {
+    const advanced = [];
+    const failed = [];
+    let scanned = 0;
+    let cursor = null;
+
+    while (true) {
+      const queries = [Query.isNotNull('ticketTiers'), Query.limit(PAGE_SIZE)];
+      if (cursor) {
+        queries.push(Query.cursorAfter(cursor));
+      }
+
+      const page = await databases.listDocuments(DATABASE_ID, 'events', queries);
+
+      for (const eventDoc of page.documents) {
+        scanned++;
+
+        // Cheap check outside the transaction; most events have nothing due
+        const { changes } = advanceTierPhases(readTicketTiers(eventDoc), getCarryOverRule(eventDoc));
+        if (changes.length === 0) {
+          continue;
+        }
+
+        try {
+          const eventChanges = await advanceEvent(eventDoc.$id);
+          if (eventChanges.length > 0) {
+            advanced.push({ eventId: eventDoc.$id, changes: eventChanges });
+          }
+        } catch (err) {
+          error(`Failed to advance phases for event ${eventDoc.$id}: ${err.message}`);
+          failed.push({ eventId: eventDoc.$id, error: err.message });
+        }
+      }
+
+      if (page.documents.length < PAGE_SIZE) {
+        break;
+      }
+      cursor = page.documents[page.documents.length - 1].$id;
+    }
+
+    log(`Scanned ${scanned} events, advanced ${advanced.length}, ${failed.length} failed`);
+
+    return res.json({
+      success: true,
+      scanned: scanned,
+      advanced: advanced,
+      failed: failed
+    });
+
+  } catch (err) {
+    error(`Error advancing ticket phases: ${err.message}`);
+    return res.json({
+      success: false,
+      message: 'Internal server error',
+      error: err.message
+    }, 500);
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Advance one event atomically
+  // ============================================
+  async function advanceEvent(eventId) {
+    const transaction = await databases.createTransaction(60);
+    const transactionId = transaction.$id;
+
+    try {
+      const eventDoc = await databases.getDocument(DATABASE_ID, 'events', eventId, [], transactionId);
+
+      const { tiers, changes, ticketsLeftDelta } = advanceTierPhases(
+        readTicketTiers(eventDoc),
+        getCarryOverRule(eventDoc)
+      );
+
+      if (changes.length === 0) {
+        await databases.updateTransaction(transactionId, false);
+        return changes;
+      }
+
+      await databases.updateDocument(
+        DATABASE_ID,
+        'events',
+        eventId,
+        {
+          ticketsLeft: adjustTicketsLeft(eventDoc.ticketsLeft, ticketsLeftDelta),
+          ...serializeTicketTiers(tiers)
+        },
+        [],
+        transactionId
+      );
+
+      await recordPhaseChanges(databases, DATABASE_ID, eventId, changes, 'schedule', transactionId);
+
+      await databases.updateTransaction(transactionId, true);
+
+      log(`Advanced ${changes.length} tier phases for event ${eventId}`);
+      return changes;
+
+    } catch (err) {
+      try {
+        await databases.updateTransaction(transactionId, false);
+      } catch (rollbackErr) {
+        error(`Rollback failed for event ${eventId}: ${rollbackErr.message}`);
+      }
+      throw err;
+    }
+  }
+};
@@ -0,0 +1,194 @@
+import { Client, Databases, Storage } from 'node-appwrite';
+import { hoursUntilEvent } from './lib/eventDates.js';
+import { getTicketQrSecret, uploadTicketQr } from './lib/ticketQr.js';
+import { withIdempotency } from './lib/idempotency.js';
+
+/**
+ * Assign Ticket Holder
+ *
+ * Sets or changes the named holder (`holderName`, `holderPhone`) of a
+ * per-attendee ticket (see the `perAttendee` option of bookTicketAtomic.js).
+ * Only the ticket's owner can do this, and only until the holder-change
+ * cutoff before the event: `events.holderChangeCutoffHours` or the
+ * HOLDER_CHANGE_CUTOFF_HOURS environment variable (default 24).
+ *
+ * The holder is part of the signed QR payload (see lib/ticketQr.js), so a
+ * new QR code is issued and the previous one stops matching the ticket.
+ *
+ * The read-check-update runs in an Appwrite transaction so it never races
+ * with a resale, cancellation or transfer of the same ticket.
+ */
+
+const DEFAULT_HOLDER_CHANGE_CUTOFF_HOURS = 24;
+
+export default withIdempotency('assignTicketHolder', async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const storage = new Storage(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+  const TICKET_QR_BUCKET_ID = process.env.TICKET_QR_CODE_BUCKET_ID;
+  const TICKET_QR_SECRET = getTicketQrSecret();
+
+  let appwriteTransactionId = null;
+  let uploadedQRCodeId = null;
+
+  try {
+    const { userId, ticketId, holderName, holderPhone } = JSON.parse(req.body || '{}');
+
+    log('Assigning ticket holder', { userId, ticketId });
+
+    const name = String(holderName || '').trim();
+    if (!userId || !ticketId || !name) {
+      return res.json({
+        success: false,
+        error: 'Missing required fields. Required: userId, ticketId, holderName',
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
+
+    if (!TICKET_QR_BUCKET_ID || !TICKET_QR_SECRET) {
+      error('TICKET_QR_CODE_BUCKET_ID or TICKET_QR_SIGNING_SECRET environment variable is not set');
+      return res.json({
+        success: false,
+        error: 'Ticket QR codes are not configured',
+        code: 'QR_CONFIG_ERROR'
+      }, 500);
+    }
+
+    const transaction = await databases.createTransaction(60);
+    appwriteTransactionId = transaction.$id;
+
+    let ticket;
+    try {
+      ticket = await databases.getDocument(DATABASE_ID, 'tickets', ticketId, [], appwriteTransactionId);
+    } catch (err) {
+      if (err.code === 404 || err.message?.includes('not found')) {
+        return await reject('Ticket not found', 'TICKET_NOT_FOUND', 404);
+      }
+      throw err;
+    }
+
+    if (ticket.userId !== userId) {
+      return await reject('You do not own this ticket', 'NOT_TICKET_OWNER', 403);
+    }
+
+    if (ticket.status && ticket.status !== 'active') {
+      return await reject(`Ticket is ${ticket.status} and cannot be reassigned`, 'TICKET_NOT_ACTIVE', 400);
+    }
+
+    if (ticket.isListedForSale === 'true') {
+      return await reject('Remove the ticket from resale before changing its holder', 'TICKET_LISTED_FOR_SALE', 400);
+    }
+
+    // A named holder only makes sense for a single-seat ticket
+    if ((parseInt(ticket.quantity) || 0) !== 1) {
+      return await reject('Only per-attendee tickets can have a named holder', 'NOT_ATTENDEE_TICKET', 400);
+    }
+
+    const eventDoc = await databases.getDocument(DATABASE_ID, 'events', ticket.eventId);
+
+    const cutoffHours = parseFloat(eventDoc.holderChangeCutoffHours ?? process.env.HOLDER_CHANGE_CUTOFF_HOURS);
+    const effectiveCutoffHours = isNaN(cutoffHours) ? DEFAULT_HOLDER_CHANGE_CUTOFF_HOURS : cutoffHours;
+    const hoursBeforeEvent = hoursUntilEvent(eventDoc);
+
+    if (hoursBeforeEvent !== null && hoursBeforeEvent < effectiveCutoffHours) {
+      return await reject(
+        `Ticket holders can only be changed until ${effectiveCutoffHours} hours before the event`,
+        'HOLDER_CHANGE_CLOSED',
+        400
+      );
+    }
+
+    const holder = {
+      holderName: name,
+      holderPhone: String(holderPhone || '').trim(),
+      holderUpdatedAt: new Date().toISOString()
+    };
+    const qrVersion = (parseInt(ticket.qrVersion) || 0) + 1;
+
+    uploadedQRCodeId = await uploadTicketQr(storage, TICKET_QR_BUCKET_ID, {
+      ticketId: ticketId,
+      eventId: ticket.eventId,
+      userId: ticket.userId,
+      holderName: holder.holderName,
+      qrVersion: qrVersion
+    }, TICKET_QR_SECRET);
+
+    await databases.updateDocument(
+      DATABASE_ID,
+      'tickets',
+      ticketId,
+      {
+        ...holder,
+        qrCodeFileId: uploadedQRCodeId,
+        qrVersion: qrVersion
+      },
+      [],
+      appwriteTransactionId
+    );
+
+    await databases.updateTransaction(appwriteTransactionId, true);
+
+    log('Ticket holder assigned', { ticketId });
+
+    if (ticket.qrCodeFileId) {
+      try {
+        await storage.deleteFile(TICKET_QR_BUCKET_ID, ticket.qrCodeFileId);
+      } catch (deleteErr) {
+        log(`Old QR code could not be deleted: ${deleteErr.message}`);
+      }
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        ticketId: ticketId,
+        ...holder,
+        qrCodeFileId: uploadedQRCodeId,
+        message: 'Ticket holder updated'
+      }
+    }, 200);
+
+  } catch (err) {
+    error(`Error assigning ticket holder: ${err.message}`);
+
+    if (appwriteTransactionId) {
+      try {
+        await databases.updateTransaction(appwriteTransactionId, false);
+      } catch (rollbackErr) {
+        error(`Transaction rollback failed: ${rollbackErr.message}`);
+      }
+    }
+
+    if (uploadedQRCodeId) {
+      try {
+        await storage.deleteFile(TICKET_QR_BUCKET_ID, uploadedQRCodeId);
+      } catch (deleteErr) {
+        error(`Failed to delete QR code during cleanup: ${deleteErr.message}`);
+      }
+    }
+
+    const isConflict = err.code === 409 || err.message?.includes('conflict');
+    return res.json({
+      success: false,
+      error: isConflict ? 'Ticket was modified concurrently. Please try again.' : 'Failed to update ticket holder',
+      code: isConflict ? 'CONFLICT_ERROR' : 'HOLDER_UPDATE_ERROR',
+      details: err.message
+    }, 500);
+  }
+
+  async function reject(message, code, status) {
+    error(message);
+    await databases.updateTransaction(appwriteTransactionId, false);
+    appwriteTransactionId = null;
+    return res.json({
+      success: false,
+      error: message,
+      code: code
+    }, status);
+  }
+});
@@ -1,5 +1,10 @@
 import { Client, Databases, Storage, ID, Query } from 'node-appwrite';
 import { InputFile } from 'node-appwrite/file';
+import { retryOnConflict } from './lib/transactionRetry.js';
+import { decodeImage } from './lib/images.js';
+import { isServerUserQrEnabled, getUserQrSecret, renderUserQr } from './lib/userQr.js';
+import { DEFAULT_COUNTRY_CODE, normalizePhoneNumber, phoneNumberVariants } from './lib/phoneNumbers.js';
+import { withIdempotency } from './lib/idempotency.js';
 
 /**
  * FULLY Atomic User Signup Function with Complete Rollback
@@ -15,6 +20,20 @@ import { InputFile } from 'node-appwrite/file';
  * - Deletion of uploaded QR code
  * 
  * This ensures NO orphaned data in storage or database.
+ *
+ * Both images are checked by content before anything is uploaded (see
+ * lib/images.js): only PNG, JPEG and WebP within the byte and pixel limits
+ * are accepted, and files are named with the detected extension.
+ *
+ * With USER_QR_SERVER_GENERATION=true the user's QR code is built on the
+ * server from their user ID (see lib/userQr.js) and `qrCodeBase64` is
+ * optional and ignored. The generated code is uploaded in step 3 and
+ * cleaned up like a client upload.
+ *
+ * Phone numbers are normalised to E.164 using `countryCode` for national
+ * numbers (see lib/phoneNumbers.js) and stored in that form. Like emails,
+ * a phone number can only belong to one user (DUPLICATE_PHONE), checked
+ * inside the transaction.
  * 
  * Flow:
  * 1. Receive base64 encoded profile picture and QR code
@@ -24,6 +43,10 @@ import { InputFile } from 'node-appwrite/file';
  * 5. Validate inputs and check for duplicates
  * 6. Stage user document creation
  * 7. Commit transaction
+ *
+ * Steps 4-7 run again with a fresh transaction when the commit hits a
+ * conflict, e.g. with a concurrent signup using the same email (see
+ * lib/transactionRetry.js).
  * 
  * On Failure:
  * - Rollback database transaction
@@ -41,7 +64,7 @@ import { InputFile } from 'node-appwrite/file';
  * Reference: https://appwrite.io/docs/products/databases/transactions
  */
 
-export default async ({ req, res, log, error }) => {
+export default withIdempotency('atomicSignup', async ({ req, res, log, error }) => {
   const client = new Client()
     .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
     .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
@@ -52,6 +75,7 @@ export default async ({ req, res, log, error }) => {
   const DATABASE_ID = process.env.DATABASE_ID;
   const PROFILE_PIC_BUCKET_ID = process.env.USER_PROFILE_PIC_BUCKET_ID;
   const QR_CODE_BUCKET_ID = process.env.USER_QR_CODE_BUCKET_ID;
+  const SERVER_QR = isServerUserQrEnabled();
   
   let appwriteTransactionId = null;
   let userId = null;
@@ -67,9 +91,9 @@ export default async ({ req, res, log, error }) => {
       email,
       name,
       profilePicBase64,           // Base64 encoded profile picture
-      qrCodeBase64,               // Base64 encoded QR code
+      qrCodeBase64,               // Base64 encoded QR code (ignored when generated on the server)
       phone,
-      countryCode = '+91'
+      countryCode = DEFAULT_COUNTRY_CODE
     } = JSON.parse(req.body || '{}');
 
     log('Starting FULLY atomic user signup (storage + database)', { 
@@ -77,17 +101,18 @@ export default async ({ req, res, log, error }) => {
       email, 
       name,
       hasProfilePic: !!profilePicBase64,
-      hasQRCode: !!qrCodeBase64
+      hasQRCode: !!qrCodeBase64,
+      serverQr: SERVER_QR
     });
 
     // ============================================
     // STEP 2: Validate required inputs
     // ============================================
-    if (!providedUserId || !email || !name || !profilePicBase64 || !qrCodeBase64 || !phone) {
+    if (!providedUserId || !email || !name || !profilePicBase64 || (!SERVER_QR && !qrCodeBase64) || !phone) {
       error('Missing required fields');
       return res.json({
         success: false,
-        error: 'Missing required fields. Required: userId, email, name, profilePicBase64, qrCodeBase64, phone',
+        error: `Missing required fields. Required: userId, email, name, profilePicBase64, ${SERVER_QR ? '' : 'qrCodeBase64, '}phone`,
         code: 'VALIDATION_ERROR'
       }, 400);
     }
@@ -103,16 +128,38 @@ export default async ({ req, res, log, error }) => {
       }, 400);
     }
 
-    // Validate phone format (basic check)
-    if (phone.length < 10) {
-      error('Invalid phone number');
+    // Normalise the phone number to E.164 using the country's rules
+    const { phone: phoneNumber, error: phoneError } = normalizePhoneNumber(phone, countryCode);
+    if (phoneError) {
+      error('Invalid phone number', { code: phoneError.code });
       return res.json({
         success: false,
-        error: 'Phone number must be at least 10 digits',
-        code: 'INVALID_PHONE'
+        error: phoneError.message,
+        code: phoneError.code
       }, 400);
     }
 
+    // Check the uploaded images by content before uploading anything
+    const uploads = [['profilePicBase64', profilePicBase64]];
+    if (!SERVER_QR) {
+      uploads.push(['qrCodeBase64', qrCodeBase64]);
+    }
+
+    const images = {};
+    for (const [field, base64] of uploads) {
+      const { image, error: imageError } = decodeImage(base64);
+      if (imageError) {
+        error('Invalid image upload', { field, code: imageError.code });
+        return res.json({
+          success: false,
+          error: `${field}: ${imageError.message}`,
+          code: imageError.code,
+          field: field
+        }, 400);
+      }
+      images[field] = image;
+    }
+
     userId = providedUserId;
 
     // ============================================
@@ -121,13 +168,13 @@ export default async ({ req, res, log, error }) => {
     log('Uploading profile picture to storage');
     
     try {
-      // Convert base64 to buffer
-      const profilePicBuffer = Buffer.from(profilePicBase64, 'base64');
-      const profilePicFileId = `${userId}_user_pic.png`;
+      // Name the file after its detected type
+      const profilePic = images.profilePicBase64;
+      const profilePicFileId = `${userId}_user_pic.${profilePic.extension}`;
       
       // Create InputFile from buffer
       const profilePicInputFile = InputFile.fromBuffer(
-        profilePicBuffer,
+        profilePic.buffer,
         profilePicFileId
       );
       
@@ -153,16 +200,18 @@ export default async ({ req, res, log, error }) => {
     // ============================================
     // STEP 4: Upload QR Code to Storage
     // ============================================
-    log('Uploading QR code to storage');
+    log('Uploading QR code to storage', { generatedOnServer: SERVER_QR });
     
     try {
-      // Convert base64 to buffer
-      const qrCodeBuffer = Buffer.from(qrCodeBase64, 'base64');
-      const qrCodeFileId = `${userId}_user_qr.png`;
+      // Generate the code from the user ID, or name the client's file after its detected type
+      const qrCode = SERVER_QR
+        ? { buffer: await renderUserQr(userId, getUserQrSecret()), extension: 'png' }
+        : images.qrCodeBase64;
+      const qrCodeFileId = `${userId}_user_qr.${qrCode.extension}`;
       
       // Create InputFile from buffer
       const qrCodeInputFile = InputFile.fromBuffer(
-        qrCodeBuffer,
+        qrCode.buffer,
         qrCodeFileId
       );
       
@@ -191,151 +240,186 @@ export default async ({ req, res, log, error }) => {
     }
 
     // ============================================
-    // STEP 5: Create Appwrite Transaction
+    // STEP 5 - 8: Create the user within a transaction, retried on conflicts
     // ============================================
-    log('Creating Appwrite transaction for user signup');
+    // The uploads are kept; only the transaction is discarded and run again
+    // (see lib/transactionRetry.js)
+    const signup = await retryOnConflict(async (attempt) => {
+      // ============================================
+      // STEP 5: Create Appwrite Transaction
+      // ============================================
+      log('Creating Appwrite transaction for user signup');
     
-    // Create transaction with 3-minute TTL (180 seconds)
-    // TTL must be between 60 and 3,600 seconds
-    const transaction = await databases.createTransaction(180);
-    appwriteTransactionId = transaction.$id;
+      // Create transaction with 3-minute TTL (180 seconds)
+      // TTL must be between 60 and 3,600 seconds
+      const transaction = await databases.createTransaction(180);
+      appwriteTransactionId = transaction.$id;
     
-    log('Transaction created successfully', { transactionId: appwriteTransactionId });
+      log('Transaction created successfully', { transactionId: appwriteTransactionId });
 
-    // ============================================
-    // STEP 6: Check for duplicate user WITHIN transaction
-    // ============================================
-    log('Checking for duplicate user within transaction context');
+      // ============================================
+      // STEP 6: Check for duplicate user WITHIN transaction
+      // ============================================
+      log('Checking for duplicate user within transaction context');
     
-    // Check if user document already exists
-    try {
-      const existingUser = await databases.getDocument(
-        DATABASE_ID,
-        'users',
-        userId,
-        [],  // queries
-        appwriteTransactionId  // CRITICAL: Check within transaction
-      );
+      // Check if user document already exists
+      try {
+        const existingUser = await databases.getDocument(
+          DATABASE_ID,
+          'users',
+          userId,
+          [],  // queries
+          appwriteTransactionId  // CRITICAL: Check within transaction
+        );
       
-      // User already exists - this is a duplicate
-      error('User document already exists');
+        // User already exists - this is a duplicate
+        error('User document already exists');
       
-      // Rollback transaction
-      await databases.updateTransaction(appwriteTransactionId, false);
+        // Rollback transaction
+        await databases.updateTransaction(appwriteTransactionId, false);
       
-      // CLEANUP: Delete uploaded files
-      await cleanupUploadedFiles(uploadedProfilePicId, uploadedQRCodeId);
+        // CLEANUP: Delete uploaded files
+        await cleanupUploadedFiles(uploadedProfilePicId, uploadedQRCodeId);
       
-      return res.json({
-        success: false,
-        error: 'User account already exists in database',
-        code: 'DUPLICATE_USER',
-        existingUserId: userId,
-        cleanedUp: ['profilePicture', 'qrCode', 'transaction']
-      }, 400);
-    } catch (err) {
-      // Document not found - this is expected and good (user doesn't exist yet)
-      if (err.code === 404 || err.message?.includes('not found')) {
-        log('User ID verified as unique', { userId });
-      } else {
-        // Unexpected error
-        throw err;
+        return res.json({
+          success: false,
+          error: 'User account already exists in database',
+          code: 'DUPLICATE_USER',
+          existingUserId: userId,
+          cleanedUp: ['profilePicture', 'qrCode', 'transaction']
+        }, 400);
+      } catch (err) {
+        // Document not found - this is expected and good (user doesn't exist yet)
+        if (err.code === 404 || err.message?.includes('not found')) {
+          log('User ID verified as unique', { userId });
+        } else {
+          // Unexpected error
+          throw err;
+        }
       }
-    }
 
-    // Check for duplicate email
-    const existingEmailCheck = await databases.listDocuments(
-      DATABASE_ID,
-      'users',
-      [Query.equal('email', email)],
-      undefined, // permissions
-      appwriteTransactionId // CRITICAL: Check within transaction for conflict detection
-    );
-
-    if (existingEmailCheck.documents.length > 0) {
-      error('Email already registered');
+      // Check for duplicate email
+      const existingEmailCheck = await databases.listDocuments(
+        DATABASE_ID,
+        'users',
+        [Query.equal('email', email)],
+        appwriteTransactionId // CRITICAL: Check within transaction for conflict detection
+      );
+
+      if (existingEmailCheck.documents.length > 0) {
+        error('Email already registered');
       
-      // Rollback transaction
-      await databases.updateTransaction(appwriteTransactionId, false);
+        // Rollback transaction
+        await databases.updateTransaction(appwriteTransactionId, false);
       
-      // CLEANUP: Delete uploaded files
-      await cleanupUploadedFiles(uploadedProfilePicId, uploadedQRCodeId);
+        // CLEANUP: Delete uploaded files
+        await cleanupUploadedFiles(uploadedProfilePicId, uploadedQRCodeId);
       
-      return res.json({
-        success: false,
-        error: 'This email is already registered',
-        code: 'DUPLICATE_EMAIL',
-        existingUserId: existingEmailCheck.documents[0].$id,
-        cleanedUp: ['profilePicture', 'qrCode', 'transaction']
-      }, 400);
-    }
+        return res.json({
+          success: false,
+          error: 'This email is already registered',
+          code: 'DUPLICATE_EMAIL',
+          existingUserId: existingEmailCheck.documents[0].$id,
+          cleanedUp: ['profilePicture', 'qrCode', 'transaction']
+        }, 400);
+      }
+
+      // Check for duplicate phone, including forms stored before normalisation
+      const existingPhoneCheck = await databases.listDocuments(
+        DATABASE_ID,
+        'users',
+        [Query.equal('phoneNumber', phoneNumberVariants(phoneNumber))],
+        appwriteTransactionId // CRITICAL: Check within transaction for conflict detection
+      );
+
+      if (existingPhoneCheck.documents.length > 0) {
+        error('Phone number already registered');
+
+        // Rollback transaction
+        await databases.updateTransaction(appwriteTransactionId, false);
+
+        // CLEANUP: Delete uploaded files
+        await cleanupUploadedFiles(uploadedProfilePicId, uploadedQRCodeId);
+
+        return res.json({
+          success: false,
+          error: 'This phone number is already registered',
+          code: 'DUPLICATE_PHONE',
+          existingUserId: existingPhoneCheck.documents[0].$id,
+          cleanedUp: ['profilePicture', 'qrCode', 'transaction']
+        }, 400);
+      }
     
-    log('No duplicate user found, proceeding with creation');
+      log('No duplicate user found, proceeding with creation');
 
-    // ============================================
-    // STEP 7: Stage user document creation
-    // ============================================
-    log('Staging user document creation');
+      // ============================================
+      // STEP 7: Stage user document creation
+      // ============================================
+      log('Staging user document creation');
     
-    // Build profile picture URL
-    const profilePicUrl = `https://cloud.appwrite.io/v1/storage/buckets/${PROFILE_PIC_BUCKET_ID}/files/${uploadedProfilePicId}/view?project=${process.env.APPWRITE_FUNCTION_PROJECT_ID}`;
+      // Build profile picture URL
+      const profilePicUrl = `https://cloud.appwrite.io/v1/storage/buckets/${PROFILE_PIC_BUCKET_ID}/files/${uploadedProfilePicId}/view?project=${process.env.APPWRITE_FUNCTION_PROJECT_ID}`;
     
-    const userDoc = await databases.createDocument(
-      DATABASE_ID,
-      'users',
-      userId, // Use the Auth user ID as document ID
-      {
-        name: name,
-        email: email,
-        userID: userId,
-        qrimageId: uploadedQRCodeId,
-        profilePicUrl: profilePicUrl,
-        phoneNumber: phone,
-        countryCode: countryCode,
-        role: 'user' // Default role
-      },
-      [],  // permissions (will use collection-level permissions)
-      appwriteTransactionId // CRITICAL: Pass transaction ID for staging
-    );
-
-    log('User document creation staged', { 
-      userId,
-      email,
-      name,
-      profilePicUrl,
-      qrImageId: uploadedQRCodeId
-    });
+      const userDoc = await databases.createDocument(
+        DATABASE_ID,
+        'users',
+        userId, // Use the Auth user ID as document ID
+        {
+          name: name,
+          email: email,
+          userID: userId,
+          qrimageId: uploadedQRCodeId,
+          profilePicUrl: profilePicUrl,
+          phoneNumber: phoneNumber.e164,
+          countryCode: phoneNumber.countryCode,
+          role: 'user' // Default role
+        },
+        [],  // permissions (will use collection-level permissions)
+        appwriteTransactionId // CRITICAL: Pass transaction ID for staging
+      );
 
-    // ============================================
-    // STEP 8: Commit the transaction
-    // ============================================
-    log('Committing transaction', { transactionId: appwriteTransactionId });
+      log('User document creation staged', { 
+        userId,
+        email,
+        name,
+        profilePicUrl,
+        qrImageId: uploadedQRCodeId
+      });
+
+      // ============================================
+      // STEP 8: Commit the transaction
+      // ============================================
+      log('Committing transaction', { transactionId: appwriteTransactionId });
     
-    await databases.updateTransaction(
-      appwriteTransactionId,
-      true // true = commit, false = rollback
-    );
+      await databases.updateTransaction(
+        appwriteTransactionId,
+        true // true = commit, false = rollback
+      );
     
-    log('Transaction committed successfully - user created');
+      log('Transaction committed successfully - user created');
 
-    // ============================================
-    // SUCCESS - Return user details
-    // ============================================
-    log('User signup completed successfully');
+      // ============================================
+      // SUCCESS - Return user details
+      // ============================================
+      log('User signup completed successfully', { attempts: attempt });
     
-    return res.json({
-      success: true,
-      data: {
-        userId: userId,
-        email: email,
-        name: name,
-        profilePicUrl: profilePicUrl,
-        profilePicId: uploadedProfilePicId,
-        qrImageId: uploadedQRCodeId,
-        phoneNumber: phone,
-        message: 'User signup completed successfully - fully atomic (storage + database)'
-      }
-    }, 200);
+      return res.json({
+        success: true,
+        data: {
+          userId: userId,
+          email: email,
+          name: name,
+          profilePicUrl: profilePicUrl,
+          profilePicId: uploadedProfilePicId,
+          qrImageId: uploadedQRCodeId,
+          phoneNumber: phoneNumber.e164,
+          attempts: attempt,
+          message: 'User signup completed successfully - fully atomic (storage + database)'
+        }
+      }, 200);
+    }, { log, beforeRetry: discardTransaction });
+
+    return signup.result;
 
   } catch (err) {
     // ============================================
@@ -400,11 +484,31 @@ export default async ({ req, res, log, error }) => {
       error: errorMessage,
       code: errorCode,
       details: err.message,
+      attempts: err.attempts,
       rollbackStatus: cleanupResults,
       cleanedUp: Object.keys(cleanupResults).filter(key => cleanupResults[key])
     }, 500);
   }
 
+  // ============================================
+  // HELPER FUNCTION: Discard a conflicting transaction before retrying
+  // ============================================
+  async function discardTransaction() {
+    if (!appwriteTransactionId) {
+      return;
+    }
+
+    try {
+      await databases.updateTransaction(appwriteTransactionId, false);
+    } catch (rollbackErr) {
+      error('Database transaction rollback failed', {
+        rollbackError: rollbackErr.message,
+        transactionId: appwriteTransactionId
+      });
+    }
+    appwriteTransactionId = null;
+  }
+
   // ============================================
   // HELPER FUNCTION: Cleanup Uploaded Files
   // ============================================
@@ -446,5 +550,5 @@ export default async ({ req, res, log, error }) => {
 
     return results;
   }
-};
+});
 
@@ -1,4 +1,31 @@
-import { Client, Databases, ID, Query } from 'node-appwrite';
+import { Client, Databases, Storage, Functions, ExecutionMethod, ID, Query } from 'node-appwrite';
+import {
+  getPricingPolicy,
+  parsePriceToPaise,
+  computePriceBreakdown,
+  sumPriceBreakdowns,
+  splitPriceBreakdown,
+  allocateAmount,
+  findPriceMismatches,
+  formatBreakdown
+} from './lib/pricing.js';
+import {
+  readTicketTiers,
+  serializeTicketTiers,
+  findTicketTier,
+  tierPricePaise,
+  formatTicketCategory,
+  adjustTierQuantity,
+  adjustTicketsLeft
+} from './lib/ticketTiers.js';
+import { getPaymentGateway, listPaymentGateways, paymentTransactionId } from './lib/paymentGateways.js';
+import { getTicketQrSecret, uploadTicketQr } from './lib/ticketQr.js';
+import { loadPromoForBooking, promoAppliesToTier, computePromoDiscount } from './lib/promoCodes.js';
+import { getCarryOverRule, advanceTierPhases, recordPhaseChanges } from './lib/phaseProgression.js';
+import { getMaxTicketsPerUser, countUserEventTickets, findVelocityViolations } from './lib/purchaseLimits.js';
+import { retryOnConflict } from './lib/transactionRetry.js';
+import { withIdempotency } from './lib/idempotency.js';
+import { internalExecutionHeaders } from './lib/internalExecutions.js';
 
 /**
  * Atomic Ticket Booking Function using Appwrite Native Transactions
@@ -8,10 +35,80 @@ import { Client, Databases, ID, Query } from 'node-appwrite';
  * the entire transaction is automatically rolled back by Appwrite.
  * 
  * Flow:
- * 1. Create Appwrite transaction
- * 2. Validate inputs and check ticket availability
- * 3. Stage all operations (ticket, transaction, order, event update)
- * 4. Commit transaction
+ * 1. Validate inputs and verify the payment with its gateway
+ * 2. Create Appwrite transaction, check duplicates and ticket availability
+ * 3. Compute the price breakdown server-side and check it against the client's totals
+ * 4. Stage all operations (tickets, transaction, order, event update or hold conversion)
+ * 5. Commit transaction
+ *
+ * Steps 2-5 run again with a fresh transaction when the commit hits a
+ * conflict with a concurrent booking (see lib/transactionRetry.js); the
+ * response reports the number of `attempts`.
+ *
+ * Payment gateways:
+ * `gateway` picks the payment adapter (see lib/paymentGateways.js):
+ * 'razorpay' (default; razorpay_order_id, razorpay_payment_id,
+ * razorpay_signature) or 'stripe' (stripe_payment_intent_id). The gateway
+ * is recorded on the transaction document. Either way the payment is read
+ * back from the gateway and must be captured, in INR, for exactly the
+ * server-side total. The transaction document ID is derived from the
+ * gateway and payment ID, so when the client and paymentWebhook.js book the
+ * same payment at once only one commit succeeds; the other gets
+ * DUPLICATE_PAYMENT.
+ *
+ * Cart checkout:
+ * `lines: [{ ticketTypeName, quantity }]` books several tiers with one
+ * payment. Every line is checked before anything is staged; each line gets
+ * its own ticket, and a single order stores the per-line amounts in
+ * `lineItems`. The top-level `ticketTypeName`/`quantity` fields are still
+ * accepted as a one-line cart.
+ *
+ * Per-attendee tickets:
+ * With `perAttendee: true` every seat becomes its own ticket (quantity 1)
+ * with its own ID, QR code and optional holder from
+ * `attendees: [{ name, phoneNumber }]` (per line for carts), so group members
+ * can arrive separately. Holders can be changed later with
+ * assignTicketHolder.js.
+ *
+ * QR codes:
+ * Every ticket's QR code is signed, rendered and uploaded by this function
+ * (see lib/ticketQr.js); clients no longer send `qrCodeFileId`. Uploads happen
+ * before the commit, so they are deleted again if the booking fails.
+ *
+ * Invoices:
+ * After the commit the GST invoice is requested from generateInvoice.js
+ * (INVOICE_FUNCTION_ID) as an async execution, so invoicing can never delay
+ * or fail a paid booking.
+ *
+ * Ticket holds:
+ * When `holdId` is passed (see reserveTickets.js), the inventory was already
+ * decremented at reservation time, so the hold is marked as converted
+ * instead of decrementing the event again. A hold that was already released
+ * by the sweeper falls back to booking from live inventory. Waitlist offers
+ * are holds too (see lib/waitlist.js); booking one marks the offer claimed.
+ *
+ * Promo codes:
+ * An optional `promoCode` is validated inside the transaction, its discount
+ * is applied to the server-side price, and its usage count is incremented
+ * in the same commit so usage caps can never be exceeded. The redemption is
+ * stored under the user's next free per-user slot (see lib/promoCodes.js),
+ * so concurrent bookings cannot both use a user's last redemption.
+ *
+ * Pricing phases:
+ * Tiers whose phase deadline has passed are moved to their next phase before
+ * availability and price are checked, and a tier that sells out with this
+ * booking opens its next phase in the same commit (see lib/phaseProgression.js).
+ * Held tickets keep the price quoted when the hold was made.
+ *
+ * Purchase limits:
+ * The event's per-user ticket cap is checked inside the transaction against
+ * all of the user's orders and holds, and refused with
+ * PURCHASE_LIMIT_EXCEEDED. A booking that breaks a velocity rule (orders per
+ * user, `deviceId` or payment method in a time window) still goes through,
+ * but its order gets `reviewStatus: 'pending'` and its tickets stay
+ * `on_hold` until reviewHeldOrder.js approves or rejects it (see
+ * lib/purchaseLimits.js). The payment method is taken from the gateway
+ * where it reports one, otherwise from `paymentMethodId`.
  * 
  * Benefits over manual rollback:
  * - True ACID compliance
@@ -22,22 +119,31 @@ import { Client, Databases, ID, Query } from 'node-appwrite';
  * Reference: https://appwrite.io/docs/products/databases/transactions
  */
 
-export default async ({ req, res, log, error }) => {
+// Total tickets across all lines of one booking
+const MAX_TICKETS_PER_BOOKING = 10;
+
+export default withIdempotency('bookTicketAtomic', async ({ req, res, log, error }) => {
   const client = new Client()
     .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
     .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
     .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
 
   const databases = new Databases(client);
+  const storage = new Storage(client);
+  const functions = new Functions(client);
   const DATABASE_ID = process.env.DATABASE_ID;
+  const TICKET_QR_BUCKET_ID = process.env.TICKET_QR_CODE_BUCKET_ID;
+  const TICKET_QR_SECRET = getTicketQrSecret();
   
   let appwriteTransactionId = null;
-  let ticketId = null;
+  let ticketIds = [];
+  let uploadedQRCodeIds = [];
   let transactionDocId = null;
   let orderId = null;
 
   try {
     // Parse request body
+    const body = JSON.parse(req.body || '{}');
     const {
       userId,
       eventId,
@@ -49,23 +155,44 @@ export default async ({ req, res, log, error }) => {
       totalAmountPaid,
       pricePerTicket,
       imageFileId,
-      category,
       quantity,
-      paymentId,
+      gateway: gatewayName,       // Optional payment gateway, default razorpay
       subtotal,
       taxGST,
       internetHandlingFee,
       ticketTypeName,
-      qrCodeFileId,
+      lines: requestedLines,      // Optional cart: [{ ticketTypeName, quantity, ticketId?, attendees? }]
+      perAttendee = false,        // Optional: one ticket per attendee
+      attendees,                  // Optional: [{ name, phoneNumber }] when perAttendee
+      holdId,                     // Optional ticket hold from reserveTickets
+      promoCode,                  // Optional promo code
+      discount,
+      deviceId,                   // Optional client device identifier for velocity checks
+      paymentMethodId: requestedPaymentMethodId, // Optional card/UPI fingerprint
       ticketId: providedTicketId // Optional pre-generated ticket ID from client
-    } = JSON.parse(req.body || '{}');
+    } = body;
+
+    const paymentGateway = getPaymentGateway(gatewayName);
+    const checkout = paymentGateway ? paymentGateway.readCheckout(body) : {};
+    const paymentId = checkout.paymentId;
 
-    log('Starting atomic ticket booking with Appwrite Transactions', { userId, eventId, quantity, ticketTypeName });
+    // A single-tier booking is a cart with one line
+    const lines = Array.isArray(requestedLines)
+      ? requestedLines
+      : [{ ticketTypeName, quantity, ticketId: providedTicketId, attendees }];
+
+    log('Starting atomic ticket booking with Appwrite Transactions', {
+      userId,
+      eventId,
+      lines: lines.map(line => ({ ticketTypeName: line?.ticketTypeName, quantity: line?.quantity })),
+      holdId
+    });
 
     // ============================================
     // STEP 1: Validate inputs
     // ============================================
-    if (!userId || !eventId || !paymentId || !quantity || !ticketTypeName) {
+    if (!userId || !eventId || lines.length === 0 ||
+        lines.some(line => !line || !line.ticketTypeName || !line.quantity)) {
       error('Missing required fields');
       return res.json({
         success: false,
@@ -74,308 +201,813 @@ export default async ({ req, res, log, error }) => {
       }, 400);
     }
 
-    // Validate quantity
-    const quantityInt = parseInt(quantity);
-    if (isNaN(quantityInt) || quantityInt < 1 || quantityInt > 10) {
-      error('Invalid quantity');
+    if (!paymentGateway) {
+      error('Unsupported payment gateway', { gateway: gatewayName });
       return res.json({
         success: false,
-        error: 'Quantity must be between 1 and 10',
-        code: 'INVALID_QUANTITY'
+        error: `Unsupported payment gateway. Supported: ${listPaymentGateways().join(', ')}`,
+        code: 'UNSUPPORTED_GATEWAY'
       }, 400);
     }
 
-    // ============================================
-    // STEP 1.5: Create Appwrite Transaction
-    // ============================================
-    log('Creating Appwrite transaction');
-    
-    // Create transaction with 5-minute TTL (300 seconds)
-    // TTL must be between 60 and 3,600 seconds
-    const transaction = await databases.createTransaction(300);
-    appwriteTransactionId = transaction.$id;
-    
-    log('Transaction created successfully', { transactionId: appwriteTransactionId });
+    if (paymentGateway.checkoutFields.some(field => !body[field])) {
+      error('Missing payment details');
+      return res.json({
+        success: false,
+        error: `Missing payment details. Required: ${paymentGateway.checkoutFields.join(', ')}`,
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
 
-    // ============================================
-    // STEP 2: Check for duplicate payment WITHIN transaction
-    // ============================================
-    log('Checking for duplicate payment within transaction context');
-    
-    const existingTransaction = await databases.listDocuments(
-      DATABASE_ID,
-      'transactions',
-      [Query.equal('paymentId', paymentId)],
-      undefined, // permissions
-      appwriteTransactionId // CRITICAL: Check within transaction for conflict detection
-    );
-
-    if (existingTransaction.documents.length > 0) {
-      error('Payment already processed');
-      
-      // Rollback transaction
-      await databases.updateTransaction(appwriteTransactionId, false);
-      
+    if (new Set(lines.map(line => line.ticketTypeName)).size !== lines.length) {
+      error('Duplicate ticket type in cart');
       return res.json({
         success: false,
-        error: 'This payment has already been processed',
-        code: 'DUPLICATE_PAYMENT',
-        existingTicketId: existingTransaction.documents[0].ticketId
+        error: 'Each ticket type may only appear once per booking',
+        code: 'VALIDATION_ERROR'
       }, 400);
     }
-    
-    log('No duplicate payment found, proceeding');
 
-    // ============================================
-    // STEP 3: Check ticket availability within transaction
-    // ============================================
-    log('Checking ticket availability within transaction context');
-    
-    // Read event document WITHIN transaction for conflict detection
-    const eventDoc = await databases.getDocument(
-      DATABASE_ID, 
-      'events', 
-      eventId,
-      [],  // queries
-      appwriteTransactionId  // <-- CRITICAL: Track this read for conflicts
-    );
-    
-    const currentTicketsLeft = parseInt(eventDoc.ticketsLeft) || 0;
-    if (currentTicketsLeft < quantityInt) {
-      error('Insufficient tickets available');
+    // Validate quantity (per line and for the whole booking)
+    for (const line of lines) {
+      line.quantityInt = parseInt(line.quantity);
+    }
+    const quantityInt = lines.reduce((sum, line) => sum + line.quantityInt, 0);
+    if (lines.some(line => isNaN(line.quantityInt) || line.quantityInt < 1) ||
+        isNaN(quantityInt) || quantityInt > MAX_TICKETS_PER_BOOKING) {
+      error('Invalid quantity');
       return res.json({
         success: false,
-        error: 'Insufficient tickets available',
-        code: 'INSUFFICIENT_TICKETS',
-        availableTickets: currentTicketsLeft
+        error: `Quantity must be between 1 and ${MAX_TICKETS_PER_BOOKING}`,
+        code: 'INVALID_QUANTITY'
       }, 400);
     }
 
-    // Check specific ticket type availability
-    const ticketTypes = eventDoc.categories || [];
-    let ticketTypeAvailable = false;
-    let ticketTypeQuantity = 0;
-
-    for (const ticketTypeStr of ticketTypes) {
-      const parts = ticketTypeStr.split(':').map(part => part.trim());
-      if (parts.length >= 3 && parts[0] === ticketTypeName) {
-        ticketTypeQuantity = parseInt(parts[2]) || 0;
-        if (ticketTypeQuantity >= quantityInt) {
-          ticketTypeAvailable = true;
-        }
-        break;
+    if (perAttendee) {
+      const invalidAttendees = lines.some(line =>
+        line.attendees !== undefined &&
+        (!Array.isArray(line.attendees) || line.attendees.length > line.quantityInt)
+      );
+      if (invalidAttendees) {
+        error('Invalid attendees');
+        return res.json({
+          success: false,
+          error: 'attendees must be a list with at most one entry per ticket',
+          code: 'VALIDATION_ERROR'
+        }, 400);
       }
     }
 
-    if (!ticketTypeAvailable) {
-      error('Ticket type not available or insufficient quantity');
+    if (!TICKET_QR_BUCKET_ID || !TICKET_QR_SECRET) {
+      error('TICKET_QR_CODE_BUCKET_ID or TICKET_QR_SIGNING_SECRET environment variable is not set');
       return res.json({
         success: false,
-        error: 'Ticket type not available or insufficient quantity',
-        code: 'TICKET_TYPE_UNAVAILABLE',
-        availableQuantity: ticketTypeQuantity
-      }, 400);
+        error: 'Ticket QR codes are not configured',
+        code: 'QR_CONFIG_ERROR'
+      }, 500);
     }
 
     // ============================================
-    // STEP 4: CREATE TRANSACTION & CHECK DUPLICATES ATOMICALLY
+    // STEP 1.2: Verify the payment with its gateway
     // ============================================
-    // Note: Duplicate payment check moved inside transaction (lines 100-126)
-    // This ensures atomic duplicate detection with conflict resolution
+    // Must happen before the transaction is created so that forged
+    // payments never stage anything.
+    if (!paymentGateway.isConfigured()) {
+      error(`Payment gateway ${paymentGateway.label} is not configured`);
+      return res.json({
+        success: false,
+        error: 'Payment verification not configured',
+        code: 'PAYMENT_CONFIG_ERROR'
+      }, 500);
+    }
+
+    const verification = await paymentGateway.verifyPayment(checkout);
+    if (!verification.verified) {
+      error('Payment verification failed', { gateway: paymentGateway.name, paymentId, reason: verification.reason });
+      return res.json({
+        success: false,
+        error: verification.reason,
+        code: verification.code
+      }, 400);
+    }
+
+    log('Payment verified', { gateway: paymentGateway.name, gatewayOrderId: checkout.gatewayOrderId, paymentId });
 
     // ============================================
-    // STEP 5: Stage ticket document creation
+    // STEP 1.5 - 9: Book within a transaction, retried on conflicts
     // ============================================
-    log('Staging ticket document creation');
+    // A conflicting attempt is discarded and the whole sequence runs again
+    // with a fresh transaction (see lib/transactionRetry.js)
+    const booking = await retryOnConflict(async (attempt) => {
+      // ============================================
+      // STEP 1.5: Create Appwrite Transaction
+      // ============================================
+      log('Creating Appwrite transaction');
+    
+      // Create transaction with 5-minute TTL (300 seconds)
+      // TTL must be between 60 and 3,600 seconds
+      const transaction = await databases.createTransaction(300);
+      appwriteTransactionId = transaction.$id;
+    
+      log('Transaction created successfully', { transactionId: appwriteTransactionId });
+
+      // ============================================
+      // STEP 2: Check for duplicate payment WITHIN transaction
+      // ============================================
+      log('Checking for duplicate payment within transaction context');
     
-    // Use provided ticket ID or generate a new one
-    // Pre-generated ID allows client to create QR code before booking
-    if (providedTicketId) {
-      ticketId = providedTicketId;
-      log('Using pre-generated ticket ID from client', { ticketId });
+      const existingTransaction = await databases.listDocuments(
+        DATABASE_ID,
+        'transactions',
+        [Query.equal('paymentId', paymentId)],
+        appwriteTransactionId // CRITICAL: Check within transaction for conflict detection
+      );
+
+      if (existingTransaction.documents.length > 0) {
+        error('Payment already processed');
       
-      // Verify this ticket ID doesn't already exist (prevents duplicate bookings)
-      try {
-        const existingTicket = await databases.getDocument(
+        // Rollback transaction
+        await databases.updateTransaction(appwriteTransactionId, false);
+      
+        return res.json({
+          success: false,
+          error: 'This payment has already been processed',
+          code: 'DUPLICATE_PAYMENT',
+          existingTicketId: existingTransaction.documents[0].ticketId
+        }, 400);
+      }
+    
+      log('No duplicate payment found, proceeding');
+
+      // ============================================
+      // STEP 2.5: Load ticket hold WITHIN transaction (optional)
+      // ============================================
+      let hold = null;
+
+      if (holdId) {
+        log('Loading ticket hold within transaction context', { holdId });
+
+        try {
+          hold = await databases.getDocument(
+            DATABASE_ID,
+            'ticketHolds',
+            holdId,
+            [],
+            appwriteTransactionId // Conflicts with the sweeper releasing this hold
+          );
+        } catch (err) {
+          if (err.code === 404 || err.message?.includes('not found')) {
+            error('Ticket hold not found', { holdId });
+            await databases.updateTransaction(appwriteTransactionId, false);
+            return res.json({
+              success: false,
+              error: 'Ticket hold not found',
+              code: 'HOLD_NOT_FOUND'
+            }, 404);
+          }
+          throw err;
+        }
+
+        // A hold covers exactly one tier, so it can only back a one-line booking
+        if (hold.userId !== userId || hold.eventId !== eventId || lines.length !== 1 ||
+            hold.ticketTypeName !== lines[0].ticketTypeName || parseInt(hold.quantity) !== quantityInt) {
+          error('Ticket hold does not match booking request', { holdId });
+          await databases.updateTransaction(appwriteTransactionId, false);
+          return res.json({
+            success: false,
+            error: 'Ticket hold does not match this booking',
+            code: 'HOLD_MISMATCH'
+          }, 400);
+        }
+
+        if (hold.status === 'converted') {
+          error('Ticket hold already converted', { holdId, ticketId: hold.ticketId });
+          await databases.updateTransaction(appwriteTransactionId, false);
+          return res.json({
+            success: false,
+            error: 'This hold has already been booked',
+            code: 'HOLD_ALREADY_USED',
+            existingTicketId: hold.ticketId
+          }, 400);
+        }
+
+        if (hold.status !== 'active') {
+          // The sweeper gave the seats back; the buyer has paid so try live inventory
+          log('Ticket hold was released, falling back to live inventory', { holdId, status: hold.status });
+          hold = null;
+        } else {
+          // An active hold past its expiry still owns its seats until the sweeper releases it
+          log('Ticket hold verified', { holdId, expiresAt: hold.expiresAt });
+        }
+      }
+
+      // ============================================
+      // STEP 3: Check ticket availability within transaction
+      // ============================================
+      log('Checking ticket availability within transaction context');
+    
+      // Read event document WITHIN transaction for conflict detection
+      const eventDoc = await databases.getDocument(
+        DATABASE_ID, 
+        'events', 
+        eventId,
+        [],  // queries
+        appwriteTransactionId  // <-- CRITICAL: Track this read for conflicts
+      );
+    
+      // Open the next pricing phase of tiers whose deadline has passed
+      const carryOverRule = getCarryOverRule(eventDoc);
+      const openingProgression = advanceTierPhases(readTicketTiers(eventDoc), carryOverRule);
+      const ticketTiers = openingProgression.tiers;
+      const phaseChanges = [...openingProgression.changes];
+      let ticketsLeftDelta = openingProgression.ticketsLeftDelta;
+
+      for (const line of lines) {
+        line.ticketTier = findTicketTier(ticketTiers, line.ticketTypeName);
+      }
+
+      // Held seats were already taken out of inventory by reserveTickets
+      if (!hold) {
+        const currentTicketsLeft = (parseInt(eventDoc.ticketsLeft) || 0) + ticketsLeftDelta;
+        if (currentTicketsLeft < quantityInt) {
+          error('Insufficient tickets available');
+          await databases.updateTransaction(appwriteTransactionId, false);
+          return res.json({
+            success: false,
+            error: 'Insufficient tickets available',
+            code: 'INSUFFICIENT_TICKETS',
+            availableTickets: currentTicketsLeft
+          }, 400);
+        }
+
+        // Check every ticket type before staging anything, so a cart is all or nothing
+        for (const line of lines) {
+          if (!line.ticketTier || line.ticketTier.quantity < line.quantityInt) {
+            error('Ticket type not available or insufficient quantity', { ticketTypeName: line.ticketTypeName });
+            await databases.updateTransaction(appwriteTransactionId, false);
+            return res.json({
+              success: false,
+              error: 'Ticket type not available or insufficient quantity',
+              code: 'TICKET_TYPE_UNAVAILABLE',
+              ticketTypeName: line.ticketTypeName,
+              availableQuantity: line.ticketTier ? line.ticketTier.quantity : 0
+            }, 400);
+          }
+        }
+      }
+
+      // ============================================
+      // STEP 3.2: Enforce purchase limits WITHIN transaction
+      // ============================================
+      const maxTicketsPerUser = getMaxTicketsPerUser(eventDoc);
+
+      if (maxTicketsPerUser !== null) {
+        const alreadyPurchased = await countUserEventTickets(
+          databases,
           DATABASE_ID,
-          'tickets',
-          ticketId,
-          [],
+          { userId, eventId, excludeHoldId: hold ? holdId : null },
           appwriteTransactionId
         );
-        
-        // If we reach here, ticket already exists - this is a duplicate
-        error('Ticket ID already exists - duplicate booking attempt');
+
+        if (alreadyPurchased + quantityInt > maxTicketsPerUser) {
+          error('Per-user ticket limit exceeded', { userId, eventId, alreadyPurchased, maxTicketsPerUser });
+          await databases.updateTransaction(appwriteTransactionId, false);
+          return res.json({
+            success: false,
+            error: `You can buy at most ${maxTicketsPerUser} tickets for this event`,
+            code: 'PURCHASE_LIMIT_EXCEEDED',
+            maxTicketsPerUser: maxTicketsPerUser,
+            alreadyPurchased: alreadyPurchased
+          }, 400);
+        }
+      }
+
+      // Suspicious bookings are held for review rather than refused; the buyer has paid
+      const paymentMethodId = verification.payment?.paymentMethod || requestedPaymentMethodId || '';
+      const velocityViolations = await findVelocityViolations(
+        databases,
+        DATABASE_ID,
+        { userId, deviceId, paymentMethodId },
+        appwriteTransactionId
+      );
+      const heldForReview = velocityViolations.length > 0;
+
+      if (heldForReview) {
+        log('Booking breaks velocity rules, holding order for review', { userId, velocityViolations });
+      }
+
+      // ============================================
+      // STEP 3.5: Compute price breakdown on the server
+      // ============================================
+      log('Computing price breakdown from event categories');
+
+      for (const line of lines) {
+        // A hold locks in the price that was quoted when it was made
+        line.unitPricePaise = hold && hold.pricePerTicket
+          ? parsePriceToPaise(hold.pricePerTicket)
+          : tierPricePaise(line.ticketTier);
+
+        if (line.unitPricePaise === null) {
+          error('Ticket type has no valid price', { ticketTypeName: line.ticketTypeName, ticketTier: line.ticketTier });
+          await databases.updateTransaction(appwriteTransactionId, false);
+          return res.json({
+            success: false,
+            error: 'Ticket type price is not configured correctly',
+            code: 'INVALID_TICKET_PRICE'
+          }, 500);
+        }
+      }
+
+      // Validate promo code WITHIN transaction so usage caps are enforced atomically
+      let promo = null;
+      let redemptionId = null;
+      let lineDiscounts = lines.map(() => 0);
+
+      if (promoCode) {
+        const promoResult = await loadPromoForBooking(
+          databases,
+          DATABASE_ID,
+          { code: promoCode, userId, eventId, ticketTypeNames: lines.map(line => line.ticketTypeName) },
+          appwriteTransactionId
+        );
+
+        if (promoResult.error) {
+          error('Promo code rejected', promoResult.error);
+          await databases.updateTransaction(appwriteTransactionId, false);
+          return res.json({
+            success: false,
+            error: promoResult.error.message,
+            code: promoResult.error.code
+          }, 400);
+        }
+
+        promo = promoResult.promo;
+        redemptionId = promoResult.redemptionId;
+
+        // The discount is worked out on the eligible lines and split between them
+        const eligibleSubtotals = lines.map(line =>
+          promoAppliesToTier(promo, line.ticketTypeName) ? line.unitPricePaise * line.quantityInt : 0
+        );
+        const discountPaise = computePromoDiscount(promo, eligibleSubtotals.reduce((sum, value) => sum + value, 0));
+        lineDiscounts = allocateAmount(discountPaise, eligibleSubtotals);
+        log('Promo code applied', { code: promo.code, discountPaise });
+      }
+
+      const pricingPolicy = getPricingPolicy();
+      const lineBreakdowns = lines.map((line, index) =>
+        computePriceBreakdown(line.unitPricePaise, line.quantityInt, pricingPolicy, lineDiscounts[index])
+      );
+      const priceBreakdown = lines.length === 1 ? lineBreakdowns[0] : sumPriceBreakdowns(lineBreakdowns);
+      const amounts = formatBreakdown(priceBreakdown);
+
+      const priceMismatches = findPriceMismatches(priceBreakdown, {
+        pricePerTicket,
+        subtotal,
+        discount,
+        taxGST,
+        internetHandlingFee,
+        totalAmountPaid
+      });
+
+      if (priceMismatches.length > 0) {
+        error('Client totals do not match server price breakdown', { priceMismatches });
+        await databases.updateTransaction(appwriteTransactionId, false);
+        return res.json({
+          success: false,
+          error: 'Booking amounts do not match the current ticket price',
+          code: 'PRICE_MISMATCH',
+          mismatches: priceMismatches,
+          expected: amounts
+        }, 400);
+      }
+
+      // The gateway must have captured exactly the server-side total; the
+      // adapter has already refused anything not captured or not in INR
+      const capturedPayment = verification.payment;
+      if (!capturedPayment || capturedPayment.amountPaise !== priceBreakdown.totalAmountPaid) {
+        error('Captured payment does not match the booking total', {
+          paymentId,
+          captured: capturedPayment?.amountPaise,
+          currency: capturedPayment?.currency
+        });
         await databases.updateTransaction(appwriteTransactionId, false);
-        
         return res.json({
           success: false,
-          error: 'This ticket ID has already been used',
-          code: 'DUPLICATE_TICKET_ID',
-          existingTicketId: ticketId
+          error: 'The amount paid does not match the booking total',
+          code: 'PAYMENT_AMOUNT_MISMATCH',
+          expected: amounts
         }, 400);
-      } catch (err) {
-        // Document not found - this is expected and good (ticket doesn't exist yet)
-        if (err.code === 404 || err.message?.includes('not found')) {
-          log('Ticket ID verified as unique', { ticketId });
+      }
+
+      log('Price breakdown verified', amounts);
+
+      // ============================================
+      // STEP 4: CREATE TRANSACTION & CHECK DUPLICATES ATOMICALLY
+      // ============================================
+      // Note: Duplicate payment check moved inside transaction (lines 100-126)
+      // This ensures atomic duplicate detection with conflict resolution
+
+      // ============================================
+      // STEP 5: Stage ticket document creation (one per line or attendee)
+      // ============================================
+      log('Staging ticket document creation');
+    
+      orderId = ID.unique();
+      
+      // One ticket per line, or one per attendee when `perAttendee` is set
+      const ticketSpecs = [];
+      for (const [index, line] of lines.entries()) {
+        if (perAttendee) {
+          splitPriceBreakdown(lineBreakdowns[index], line.quantityInt).forEach((breakdown, attendeeIndex) => {
+            const attendee = (line.attendees || [])[attendeeIndex] || {};
+            ticketSpecs.push({
+              line: line,
+              quantity: 1,
+              breakdown: breakdown,
+              holderName: String(attendee.name || '').trim(),
+              holderPhone: String(attendee.phoneNumber || '').trim()
+            });
+          });
         } else {
-          // Unexpected error
-          throw err;
+          ticketSpecs.push({
+            line: line,
+            quantity: line.quantityInt,
+            breakdown: lineBreakdowns[index],
+            ticketId: line.ticketId
+          });
         }
       }
-    } else {
-      ticketId = ID.unique();
-      log('Generated new ticket ID', { ticketId });
-    }
-    
-    const ticketDoc = await databases.createDocument(
-      DATABASE_ID,
-      'tickets',
-      ticketId,
-      {
-        userId: userId,
-        eventId: eventId,
-        eventName: eventName,
-        eventSub_name: eventSubName,
-        eventDate: eventDate,
-        eventTime: eventTime,
-        eventLocation: eventLocation,
-        totalAmountPaid: totalAmountPaid,
-        pricePerTicket: pricePerTicket,
-        imageFileId: imageFileId,
-        category: category.replace('Rs.', ''),
-        quantity: quantity,
-        isListedForSale: 'false',
-        qrCodeFileId: qrCodeFileId || ''
-      },
-      [],
-      appwriteTransactionId // Pass transaction ID for staging
-    );
-
-    log('Ticket creation staged', { ticketId });
 
-    // ============================================
-    // STEP 6: Stage transaction document creation
-    // ============================================
-    log('Staging transaction document creation');
-    
-    transactionDocId = ID.unique();
-    
-    const transactionDoc = await databases.createDocument(
-      DATABASE_ID,
-      'transactions',
-      transactionDocId,
-      {
-        userId: userId,
-        ticketId: ticketId,
-        paymentId: paymentId,
-        totalAmount: totalAmountPaid,
-        gateway: 'RazorPay'
-      },
-      [],
-      appwriteTransactionId // Pass transaction ID for staging
-    );
-
-    log('Transaction creation staged', { transactionId: transactionDocId });
+      for (const spec of ticketSpecs) {
+        // Use provided ticket ID or generate a new one
+        // A pre-generated ID makes a retried booking fail as a duplicate
+        if (spec.ticketId) {
+          log('Using pre-generated ticket ID from client', { ticketId: spec.ticketId });
 
-    // ============================================
-    // STEP 7: Stage order document creation
-    // ============================================
-    log('Staging order document creation');
+          // Verify this ticket ID doesn't already exist (prevents duplicate bookings)
+          try {
+            await databases.getDocument(
+              DATABASE_ID,
+              'tickets',
+              spec.ticketId,
+              [],
+              appwriteTransactionId
+            );
+
+            // If we reach here, ticket already exists - this is a duplicate
+            error('Ticket ID already exists - duplicate booking attempt');
+            await databases.updateTransaction(appwriteTransactionId, false);
+            await cleanupUploadedQRCodes(); // QR codes of earlier cart lines
+
+            return res.json({
+              success: false,
+              error: 'This ticket ID has already been used',
+              code: 'DUPLICATE_TICKET_ID',
+              existingTicketId: spec.ticketId
+            }, 400);
+          } catch (err) {
+            // Document not found - this is expected and good (ticket doesn't exist yet)
+            if (err.code === 404 || err.message?.includes('not found')) {
+              log('Ticket ID verified as unique', { ticketId: spec.ticketId });
+            } else {
+              // Unexpected error
+              throw err;
+            }
+          }
+        } else {
+          spec.ticketId = ID.unique();
+          log('Generated new ticket ID', { ticketId: spec.ticketId });
+        }
+
+        // Sign and upload the QR code; deleted again if anything below fails
+        spec.qrCodeFileId = await uploadTicketQr(storage, TICKET_QR_BUCKET_ID, {
+          ticketId: spec.ticketId,
+          eventId: eventId,
+          userId: userId,
+          holderName: spec.holderName,
+          qrVersion: 0
+        }, TICKET_QR_SECRET);
+        uploadedQRCodeIds.push(spec.qrCodeFileId);
+
+        spec.amounts = formatBreakdown(spec.breakdown);
+
+        await databases.createDocument(
+          DATABASE_ID,
+          'tickets',
+          spec.ticketId,
+          {
+            userId: userId,
+            eventId: eventId,
+            orderId: orderId,
+            eventName: eventName,
+            eventSub_name: eventSubName,
+            eventDate: eventDate,
+            eventTime: eventTime,
+            eventLocation: eventLocation,
+            totalAmountPaid: spec.amounts.totalAmountPaid,
+            pricePerTicket: spec.amounts.pricePerTicket,
+            imageFileId: imageFileId,
+            category: formatTicketCategory(spec.line.ticketTier),
+            ticketTypeName: spec.line.ticketTypeName,
+            // Pricing phase the ticket was sold in; a hold keeps its quoted phase
+            phase: (hold && hold.phase) || spec.line.ticketTier.phase || '',
+            quantity: spec.quantity,
+            status: heldForReview ? 'on_hold' : 'active',
+            isListedForSale: 'false',
+            qrCodeFileId: spec.qrCodeFileId,
+            qrVersion: 0,
+            ...(perAttendee && {
+              holderName: spec.holderName,
+              holderPhone: spec.holderPhone
+            })
+          },
+          [],
+          appwriteTransactionId // Pass transaction ID for staging
+        );
+
+        ticketIds.push(spec.ticketId);
+      }
+
+      log('Ticket creation staged', { ticketIds });
+
+      // ============================================
+      // STEP 6: Stage transaction document creation
+      // ============================================
+      log('Staging transaction document creation');
     
-    orderId = ID.unique();
+      // Keyed on the payment, so a concurrent booking of the same payment
+      // (client and webhook) can not commit a second set of tickets
+      transactionDocId = paymentTransactionId(paymentGateway.name, paymentId);
     
-    const orderDoc = await databases.createDocument(
-      DATABASE_ID,
-      'orders',
-      orderId,
-      {
-        userId: userId,
-        ticketId: ticketId,
-        eventId: eventId,
-        transactionId: transactionDocId,
-        quantity: quantity,
-        singleTicketPrice: pricePerTicket,
-        subtotal: subtotal,
-        taxGST: taxGST,
-        internetHandlingFee: internetHandlingFee,
-        totalAmount: totalAmountPaid
-      },
-      [],
-      appwriteTransactionId // Pass transaction ID for staging
-    );
-
-    log('Order creation staged', { orderId });
-
-    // Note: If client pre-generates ticket ID, QR code will be included in initial booking
-    // Otherwise, QR code can be generated and updated by client after booking completes
+      await databases.createDocument(
+        DATABASE_ID,
+        'transactions',
+        transactionDocId,
+        {
+          userId: userId,
+          ticketId: ticketIds[0],
+          ticketIds: ticketIds,
+          orderId: orderId,
+          paymentId: paymentId,
+          razorpayOrderId: paymentGateway.name === 'razorpay' ? checkout.gatewayOrderId : '',
+          totalAmount: amounts.totalAmountPaid,
+          gateway: paymentGateway.label,
+          type: 'purchase'
+        },
+        [],
+        appwriteTransactionId // Pass transaction ID for staging
+      );
 
-    // ============================================
-    // STEP 8: Stage ticket decrease operation (CRITICAL)
-    // ============================================
-    log('Staging ticket decrease');
+      log('Transaction creation staged', { transactionId: transactionDocId });
+
+      // ============================================
+      // STEP 7: Stage order document creation
+      // ============================================
+      log('Staging order document creation');
     
-    const newTicketsLeft = Math.max(0, currentTicketsLeft - quantityInt).toString();
+      const lineItems = ticketSpecs.map(spec => ({
+        ticketId: spec.ticketId,
+        ticketTypeName: spec.line.ticketTypeName,
+        quantity: spec.quantity,
+        pricePerTicket: spec.amounts.pricePerTicket,
+        subtotal: spec.amounts.subtotal,
+        discountAmount: spec.amounts.discount,
+        taxGST: spec.amounts.taxGST,
+        internetHandlingFee: spec.amounts.internetHandlingFee,
+        totalAmount: spec.amounts.totalAmountPaid
+      }));
     
-    // Update specific ticket type quantity
-    const updatedTicketTypes = ticketTypes.map(ticketTypeStr => {
-      const parts = ticketTypeStr.split(':').map(part => part.trim());
-      if (parts.length >= 4 && parts[0] === ticketTypeName) {
-        const name = parts[0];
-        const formattedPrice = parts[1];
-        const currentQty = parseInt(parts[2]) || 0;
-        const phase = parts[3];
-        const newQty = Math.max(0, currentQty - quantityInt);
-        return `${name}:${formattedPrice}:${newQty}:${phase}`;
+      await databases.createDocument(
+        DATABASE_ID,
+        'orders',
+        orderId,
+        {
+          userId: userId,
+          ticketId: ticketIds[0],
+          ticketIds: ticketIds,
+          eventId: eventId,
+          transactionId: transactionDocId,
+          quantity: quantityInt,
+          singleTicketPrice: lines.length === 1 ? amounts.pricePerTicket : '',
+          lineItems: JSON.stringify(lineItems),
+          subtotal: amounts.subtotal,
+          discountAmount: amounts.discount,
+          promoCode: promo ? promo.code : '',
+          taxGST: amounts.taxGST,
+          internetHandlingFee: amounts.internetHandlingFee,
+          totalAmount: amounts.totalAmountPaid,
+          deviceId: deviceId || '',
+          paymentMethodId: paymentMethodId,
+          reviewStatus: heldForReview ? 'pending' : '',
+          reviewReasons: heldForReview ? JSON.stringify(velocityViolations) : ''
+        },
+        [],
+        appwriteTransactionId // Pass transaction ID for staging
+      );
+
+      log('Order creation staged', { orderId, lineItems: lineItems.length, heldForReview });
+
+      // Note: QR codes were uploaded in STEP 5 and are cleaned up on rollback
+
+      // ============================================
+      // STEP 8: Stage ticket decrease operation (CRITICAL)
+      // ============================================
+      if (hold) {
+        log('Staging hold conversion (inventory already reserved)', { holdId });
+
+        await databases.updateDocument(
+          DATABASE_ID,
+          'ticketHolds',
+          holdId,
+          {
+            status: 'converted',
+            ticketId: ticketIds[0],
+            orderId: orderId
+          },
+          [],
+          appwriteTransactionId // Pass transaction ID for staging
+        );
+
+        // The hold was a waitlist offer (see lib/waitlist.js) that is now claimed
+        if (hold.waitlistEntryId) {
+          await databases.updateDocument(
+            DATABASE_ID,
+            'waitlistEntries',
+            hold.waitlistEntryId,
+            {
+              status: 'claimed',
+              claimedAt: new Date().toISOString()
+            },
+            [],
+            appwriteTransactionId
+          );
+        }
+
+        log('Hold conversion staged', { holdId, ticketId: ticketIds[0] });
       }
-      return ticketTypeStr;
-    });
 
-    await databases.updateDocument(
-      DATABASE_ID,
-      'events',
-      eventId,
-      {
-        ticketsLeft: newTicketsLeft,
-        categories: updatedTicketTypes
-      },
-      [],
-      appwriteTransactionId // Pass transaction ID for staging
-    );
-
-    log('Ticket decrease staged', { 
-      newTicketsLeft, 
-      ticketTypeName,
-      quantityDecreased: quantityInt 
-    });
+      let updatedTicketTiers = ticketTiers;
 
-    // ============================================
-    // STEP 9: Commit the transaction
-    // ============================================
-    log('Committing transaction', { transactionId: appwriteTransactionId });
-    
-    await databases.updateTransaction(
-      appwriteTransactionId,
-      true // true = commit, false = rollback
-    );
+      if (!hold) {
+        log('Staging ticket decrease');
+
+        // Update every booked ticket type's quantity
+        for (const line of lines) {
+          updatedTicketTiers = adjustTierQuantity(updatedTicketTiers, line.ticketTypeName, -line.quantityInt);
+        }
+        ticketsLeftDelta -= quantityInt;
+
+        // Open the next phase of any tier this booking sold out
+        const soldOutProgression = advanceTierPhases(updatedTicketTiers, carryOverRule);
+        updatedTicketTiers = soldOutProgression.tiers;
+        ticketsLeftDelta += soldOutProgression.ticketsLeftDelta;
+        phaseChanges.push(...soldOutProgression.changes);
+      }
+
+      if (!hold || phaseChanges.length > 0) {
+        const newTicketsLeft = adjustTicketsLeft(eventDoc.ticketsLeft, ticketsLeftDelta);
+
+        await databases.updateDocument(
+          DATABASE_ID,
+          'events',
+          eventId,
+          {
+            ticketsLeft: newTicketsLeft,
+            ...serializeTicketTiers(updatedTicketTiers)
+          },
+          [],
+          appwriteTransactionId // Pass transaction ID for staging
+        );
+
+        log('Ticket decrease staged', { 
+          newTicketsLeft, 
+          ticketTypeNames: lines.map(line => line.ticketTypeName),
+          quantityDecreased: hold ? 0 : quantityInt,
+          phaseChanges: phaseChanges.length
+        });
+      }
+
+      if (phaseChanges.length > 0) {
+        await recordPhaseChanges(databases, DATABASE_ID, eventId, phaseChanges, 'booking', appwriteTransactionId);
+        log('Pricing phase changes staged', { phaseChanges });
+      }
+
+      // ============================================
+      // STEP 8.5: Stage promo code redemption
+      // ============================================
+      if (promo) {
+        log('Staging promo code redemption', { code: promo.code });
+
+        // `max` makes Appwrite itself refuse to go past the cap
+        const maxUses = parseInt(promo.maxUses) || 0;
+        await databases.incrementDocumentAttribute(
+          DATABASE_ID,
+          'promoCodes',
+          promo.$id,
+          'usedCount',
+          1,
+          maxUses > 0 ? maxUses : undefined,
+          appwriteTransactionId
+        );
+
+        await databases.createDocument(
+          DATABASE_ID,
+          'promoRedemptions',
+          redemptionId || ID.unique(),
+          {
+            promoCodeId: promo.$id,
+            code: promo.code,
+            userId: userId,
+            eventId: eventId,
+            orderId: orderId,
+            discountAmount: amounts.discount
+          },
+          [],
+          appwriteTransactionId
+        );
+      }
+
+      // ============================================
+      // STEP 9: Commit the transaction
+      // ============================================
+      log('Committing transaction', { transactionId: appwriteTransactionId });
     
-    log('Transaction committed successfully - all operations persisted');
+      try {
+        await databases.updateTransaction(
+          appwriteTransactionId,
+          true // true = commit, false = rollback
+        );
+      } catch (commitErr) {
+        const existing = commitErr.code === 409 && await findDocument('transactions', transactionDocId);
+        if (!existing) {
+          // A concurrent booking took the same per-user promo slot: retry so
+          // the next attempt moves to a free slot or reaches the limit
+          if (commitErr.code === 409 && redemptionId && await findDocument('promoRedemptions', redemptionId)) {
+            const conflict = new Error('Promo code redemption conflict');
+            conflict.code = 409;
+            throw conflict;
+          }
+          throw commitErr;
+        }
 
-    // ============================================
-    // SUCCESS - Return booking details
-    // ============================================
-    log('Booking completed successfully');
+        error('Payment was booked by a concurrent request', { paymentId });
+        appwriteTransactionId = null;
+        await cleanupUploadedQRCodes();
+
+        return res.json({
+          success: false,
+          error: 'This payment has already been processed',
+          code: 'DUPLICATE_PAYMENT',
+          existingTicketId: existing.ticketId
+        }, 400);
+      }
     
-    return res.json({
-      success: true,
-      data: {
-        ticketId: ticketId,
-        transactionId: transactionDocId,
-        orderId: orderId,
-        message: 'Ticket booking completed successfully with Appwrite Transactions',
-        qrCodeIncluded: qrCodeFileId ? true : false
+      log('Transaction committed successfully - all operations persisted');
+
+      // The booking is persisted now: a later failure must not delete the
+      // tickets' QR codes or report the committed transaction as rolled back
+      uploadedQRCodeIds = [];
+      appwriteTransactionId = null;
+
+      try {
+        await functions.createExecution(
+          process.env.INVOICE_FUNCTION_ID || 'generateInvoice',
+          JSON.stringify({ orderId }),
+          true, // async: the booking does not wait for the invoice
+          '/',
+          ExecutionMethod.POST,
+          internalExecutionHeaders()
+        );
+      } catch (invoiceErr) {
+        error(`Invoice generation could not be queued: ${invoiceErr.message}`, { orderId });
       }
-    }, 200);
+
+      // ============================================
+      // SUCCESS - Return booking details
+      // ============================================
+      log('Booking completed successfully', { attempts: attempt });
+    
+      return res.json({
+        success: true,
+        data: {
+          ticketId: ticketIds[0],
+          ticketIds: ticketIds,
+          transactionId: transactionDocId,
+          orderId: orderId,
+          amounts: amounts,
+          lineItems: lineItems,
+          holdId: hold ? holdId : null,
+          attempts: attempt,
+          underReview: heldForReview,
+          message: heldForReview
+            ? 'Booking received. Your tickets will be activated once the order has been reviewed.'
+            : 'Ticket booking completed successfully with Appwrite Transactions',
+          qrCodeFileIds: ticketSpecs.map(spec => spec.qrCodeFileId)
+        }
+      }, 200);
+    }, { log, beforeRetry: discardAttempt });
+
+    return booking.result;
 
   } catch (err) {
     // ============================================
@@ -406,6 +1038,8 @@ export default async ({ req, res, log, error }) => {
       log('No transaction to rollback - error occurred before transaction creation');
     }
 
+    await cleanupUploadedQRCodes();
+
     // Determine error code and message
     let errorCode = 'BOOKING_ERROR';
     let errorMessage = err.message || 'Booking failed';
@@ -428,8 +1062,60 @@ export default async ({ req, res, log, error }) => {
       error: errorMessage,
       code: errorCode,
       details: err.message,
+      attempts: err.attempts,
       transactionRolledBack: appwriteTransactionId !== null
     }, 500);
   }
-};
 
+  // ============================================
+  // HELPER FUNCTION: Discard a conflicting attempt before retrying
+  // ============================================
+  async function discardAttempt() {
+    if (appwriteTransactionId) {
+      try {
+        await databases.updateTransaction(appwriteTransactionId, false);
+      } catch (rollbackErr) {
+        // Appwrite also drops the uncommitted transaction when its TTL ends
+        error('Transaction rollback failed', { rollbackError: rollbackErr.message, transactionId: appwriteTransactionId });
+      }
+      appwriteTransactionId = null;
+    }
+
+    await cleanupUploadedQRCodes();
+    ticketIds = [];
+    transactionDocId = null;
+    orderId = null;
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Committed document by ID, or null
+  // ============================================
+  async function findDocument(collectionId, documentId) {
+    try {
+      return await databases.getDocument(DATABASE_ID, collectionId, documentId);
+    } catch (err) {
+      if (err.code === 404) {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Cleanup Uploaded QR Codes
+  // ============================================
+  async function cleanupUploadedQRCodes() {
+    for (const fileId of uploadedQRCodeIds) {
+      try {
+        log('Deleting uploaded QR code', { fileId });
+        await storage.deleteFile(TICKET_QR_BUCKET_ID, fileId);
+      } catch (deleteErr) {
+        error('Failed to delete QR code during cleanup', {
+          fileId: fileId,
+          error: deleteErr.message
+        });
+      }
+    }
+    uploadedQRCodeIds = [];
+  }
+});
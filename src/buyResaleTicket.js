@@ -0,0 +1,438 @@
+import crypto from 'crypto';
+import { Client, Databases, Storage, ID, Query } from 'node-appwrite';
+import { parsePriceToPaise, formatAmount } from './lib/pricing.js';
+import { getPaymentGateway, listPaymentGateways } from './lib/paymentGateways.js';
+import { getTicketQrSecret, uploadTicketQr } from './lib/ticketQr.js';
+import { withIdempotency } from './lib/idempotency.js';
+
+/**
+ * Atomic Resale Purchase Function using Appwrite Native Transactions
+ *
+ * Buys a ticket listed by listTicketForResale. In a single transaction it:
+ * - moves ticket ownership to the buyer and takes it off the marketplace
+ * - records the buyer's payment and the seller's payout in `transactions`
+ * - invalidates the old QR code (bumps `qrVersion`) and issues the buyer a
+ *   new signed one (see lib/ticketQr.js)
+ *
+ * Double-selling is prevented by reading the ticket inside the transaction:
+ * when two buyers race for the same listing both stage an update of the same
+ * ticket document, so only the first commit succeeds and the second gets a
+ * conflict (and finds the listing gone if it retries).
+ *
+ * The buyer pays through the gateway named in `gateway` (default razorpay,
+ * see lib/paymentGateways.js); the amount the gateway captured must equal
+ * the listing price. The seller payout is recorded as `pending`; the platform fee is taken from
+ * RESALE_PLATFORM_FEE_PERCENT (default 0).
+ *
+ * A buyer who has paid but finds the listing gone, or loses the race for it,
+ * is refunded in full through the gateway (`refundPayment`) before the
+ * LISTING_UNAVAILABLE response; if the refund can not be made the payment
+ * is written to `paymentReviews` for support, as paymentWebhook.js does.
+ * The response's `refund` says which happened.
+ *
+ * The ticket keeps the seller's `orderId`, so cancelTicketAtomic.js refuses
+ * resold tickets (marked by `resoldAt`) instead of refunding the seller's
+ * payment to the buyer.
+ *
+ * Reference: https://appwrite.io/docs/products/databases/transactions
+ */
+
+export default withIdempotency('buyResaleTicket', async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const storage = new Storage(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+  const TICKET_QR_BUCKET_ID = process.env.TICKET_QR_CODE_BUCKET_ID;
+  const TICKET_QR_SECRET = getTicketQrSecret();
+
+  let appwriteTransactionId = null;
+  let uploadedQRCodeId = null;
+  let verifiedPayment = null;
+
+  try {
+    const body = JSON.parse(req.body || '{}');
+    const { buyerId, ticketId, gateway: gatewayName } = body;
+
+    const paymentGateway = getPaymentGateway(gatewayName);
+    const checkout = paymentGateway ? paymentGateway.readCheckout(body) : {};
+    const paymentId = checkout.paymentId;
+
+    log('Starting resale purchase', { buyerId, ticketId, paymentId });
+
+    // ============================================
+    // STEP 1: Validate inputs and payment signature
+    // ============================================
+    if (!paymentGateway) {
+      error('Unsupported payment gateway', { gateway: gatewayName });
+      return res.json({
+        success: false,
+        error: `Unsupported payment gateway. Supported: ${listPaymentGateways().join(', ')}`,
+        code: 'UNSUPPORTED_GATEWAY'
+      }, 400);
+    }
+
+    if (!buyerId || !ticketId || paymentGateway.checkoutFields.some(field => !body[field])) {
+      error('Missing required fields');
+      return res.json({
+        success: false,
+        error: `Missing required fields. Required: buyerId, ticketId, ${paymentGateway.checkoutFields.join(', ')}`,
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
+
+    if (!paymentGateway.isConfigured()) {
+      error(`Payment gateway ${paymentGateway.label} is not configured`);
+      return res.json({
+        success: false,
+        error: 'Payment verification not configured',
+        code: 'PAYMENT_CONFIG_ERROR'
+      }, 500);
+    }
+
+    if (!TICKET_QR_BUCKET_ID || !TICKET_QR_SECRET) {
+      error('TICKET_QR_CODE_BUCKET_ID or TICKET_QR_SIGNING_SECRET environment variable is not set');
+      return res.json({
+        success: false,
+        error: 'Ticket QR codes are not configured',
+        code: 'QR_CONFIG_ERROR'
+      }, 500);
+    }
+
+    const verification = await paymentGateway.verifyPayment(checkout);
+    if (!verification.verified) {
+      error('Payment verification failed', { gateway: paymentGateway.name, paymentId, reason: verification.reason });
+      return res.json({
+        success: false,
+        error: verification.reason,
+        code: verification.code
+      }, 400);
+    }
+
+    verifiedPayment = {
+      gateway: paymentGateway,
+      paymentId: paymentId,
+      gatewayOrderId: checkout.gatewayOrderId || '',
+      amountPaise: verification.payment?.amountPaise ?? null,
+      ticketId: ticketId
+    };
+
+    // ============================================
+    // STEP 2: Create Appwrite Transaction
+    // ============================================
+    const transaction = await databases.createTransaction(120);
+    appwriteTransactionId = transaction.$id;
+
+    log('Transaction created successfully', { transactionId: appwriteTransactionId });
+
+    // ============================================
+    // STEP 3: Check payment and listing WITHIN transaction
+    // ============================================
+    const existingTransaction = await databases.listDocuments(
+      DATABASE_ID,
+      'transactions',
+      [Query.equal('paymentId', paymentId)],
+      appwriteTransactionId
+    );
+
+    if (existingTransaction.documents.length > 0) {
+      return await reject('This payment has already been processed', 'DUPLICATE_PAYMENT', 400);
+    }
+
+    let ticket;
+    try {
+      ticket = await databases.getDocument(DATABASE_ID, 'tickets', ticketId, [], appwriteTransactionId);
+    } catch (err) {
+      if (err.code === 404 || err.message?.includes('not found')) {
+        return await reject('Ticket not found', 'TICKET_NOT_FOUND', 404);
+      }
+      throw err;
+    }
+
+    if (ticket.isListedForSale !== 'true' || (ticket.status && ticket.status !== 'active')) {
+      error('This listing is no longer available');
+      await databases.updateTransaction(appwriteTransactionId, false);
+      appwriteTransactionId = null;
+
+      return res.json({
+        success: false,
+        error: 'This listing is no longer available',
+        code: 'LISTING_UNAVAILABLE',
+        refund: await refundBuyer('Resale listing no longer available')
+      }, 409);
+    }
+
+    if (ticket.userId === buyerId) {
+      return await reject('You cannot buy your own listing', 'CANNOT_BUY_OWN_TICKET', 400);
+    }
+
+    const pricePaise = parsePriceToPaise(ticket.resalePrice);
+    if (pricePaise === null) {
+      return await reject('Listing has no valid price', 'INVALID_PRICE', 500);
+    }
+
+    // The gateway must have captured exactly the listing price; the adapter
+    // has already refused anything not captured or not in INR
+    const capturedPayment = verification.payment;
+    if (!capturedPayment || capturedPayment.amountPaise !== pricePaise) {
+      error('Captured payment does not match the listing price', {
+        paymentId,
+        captured: capturedPayment?.amountPaise,
+        resalePrice: ticket.resalePrice
+      });
+      await databases.updateTransaction(appwriteTransactionId, false);
+      return res.json({
+        success: false,
+        error: 'The amount paid does not match the listing price',
+        code: 'PAYMENT_AMOUNT_MISMATCH',
+        expected: formatAmount(pricePaise)
+      }, 400);
+    }
+
+    const feePercent = parseFloat(process.env.RESALE_PLATFORM_FEE_PERCENT) || 0;
+    const platformFeePaise = Math.round((pricePaise * feePercent) / 100);
+    const sellerId = ticket.userId;
+
+    // ============================================
+    // STEP 4: Issue the buyer's QR code
+    // ============================================
+    // The seller's QR carries the old version and stops admitting anyone
+    const buyerQrVersion = (parseInt(ticket.qrVersion) || 0) + 1;
+
+    uploadedQRCodeId = await uploadTicketQr(storage, TICKET_QR_BUCKET_ID, {
+      ticketId: ticketId,
+      eventId: ticket.eventId,
+      userId: buyerId,
+      qrVersion: buyerQrVersion
+    }, TICKET_QR_SECRET);
+
+    // ============================================
+    // STEP 5: Stage ownership change and ledger rows
+    // ============================================
+    await databases.updateDocument(
+      DATABASE_ID,
+      'tickets',
+      ticketId,
+      {
+        userId: buyerId,
+        isListedForSale: 'false',
+        resalePrice: '',
+        listedAt: null,
+        qrCodeFileId: uploadedQRCodeId,
+        qrVersion: buyerQrVersion,
+        ...(ticket.holderName && { holderName: '', holderPhone: '' }),
+        resoldAt: new Date().toISOString()
+      },
+      [],
+      appwriteTransactionId
+    );
+
+    const purchaseTransactionId = ID.unique();
+
+    await databases.createDocument(
+      DATABASE_ID,
+      'transactions',
+      purchaseTransactionId,
+      {
+        userId: buyerId,
+        ticketId: ticketId,
+        paymentId: paymentId,
+        razorpayOrderId: paymentGateway.name === 'razorpay' ? checkout.gatewayOrderId : '',
+        totalAmount: formatAmount(pricePaise),
+        gateway: paymentGateway.label,
+        type: 'resale_purchase'
+      },
+      [],
+      appwriteTransactionId
+    );
+
+    const payoutTransactionId = ID.unique();
+
+    await databases.createDocument(
+      DATABASE_ID,
+      'transactions',
+      payoutTransactionId,
+      {
+        userId: sellerId,
+        ticketId: ticketId,
+        totalAmount: formatAmount(pricePaise - platformFeePaise),
+        platformFee: formatAmount(platformFeePaise),
+        gateway: paymentGateway.label,
+        type: 'resale_payout',
+        status: 'pending',
+        relatedTransactionId: purchaseTransactionId
+      },
+      [],
+      appwriteTransactionId
+    );
+
+    // ============================================
+    // STEP 6: Commit the transaction
+    // ============================================
+    await databases.updateTransaction(appwriteTransactionId, true);
+
+    log('Resale purchase completed', { ticketId, sellerId, buyerId });
+
+    if (ticket.qrCodeFileId) {
+      try {
+        await storage.deleteFile(TICKET_QR_BUCKET_ID, ticket.qrCodeFileId);
+      } catch (deleteErr) {
+        log(`Old QR code could not be deleted: ${deleteErr.message}`);
+      }
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        ticketId: ticketId,
+        transactionId: purchaseTransactionId,
+        payoutTransactionId: payoutTransactionId,
+        amountPaid: formatAmount(pricePaise),
+        qrCodeFileId: uploadedQRCodeId,
+        message: 'Resale ticket purchased successfully'
+      }
+    }, 200);
+
+  } catch (err) {
+    error('Resale purchase failed, rolling back transaction', err);
+
+    if (appwriteTransactionId) {
+      try {
+        await databases.updateTransaction(appwriteTransactionId, false);
+      } catch (rollbackErr) {
+        error('Transaction rollback failed', {
+          rollbackError: rollbackErr.message,
+          originalError: err.message,
+          transactionId: appwriteTransactionId
+        });
+      }
+    }
+
+    await cleanupUploadedQRCode();
+
+    let errorCode = 'RESALE_PURCHASE_ERROR';
+    let errorMessage = err.message || 'Resale purchase failed';
+
+    if (err.code === 409 || err.message?.includes('conflict')) {
+      // Another buyer committed first
+      errorCode = 'LISTING_UNAVAILABLE';
+      errorMessage = 'This listing was just purchased by someone else';
+    } else if (err.message?.includes('not found')) {
+      errorCode = 'NOT_FOUND_ERROR';
+      errorMessage = 'Ticket not found';
+    } else if (err.message?.includes('permission')) {
+      errorCode = 'PERMISSION_ERROR';
+      errorMessage = 'Permission denied';
+    }
+
+    return res.json({
+      success: false,
+      error: errorMessage,
+      code: errorCode,
+      details: err.message,
+      transactionRolledBack: appwriteTransactionId !== null,
+      ...(errorCode === 'LISTING_UNAVAILABLE' && { refund: await refundBuyer(errorMessage) })
+    }, err.code === 409 ? 409 : 500);
+  }
+
+  async function reject(message, code, status) {
+    error(message);
+    await databases.updateTransaction(appwriteTransactionId, false);
+    appwriteTransactionId = null;
+    return res.json({
+      success: false,
+      error: message,
+      code: code
+    }, status);
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Give a buyer who got no ticket their money back
+  // ============================================
+  async function refundBuyer(reason) {
+    if (!verifiedPayment || !verifiedPayment.amountPaise) {
+      return { status: 'none' };
+    }
+
+    const { gateway, paymentId, amountPaise } = verifiedPayment;
+
+    try {
+      // A concurrent retry of this same payment may have bought the ticket
+      const booked = await databases.listDocuments(
+        DATABASE_ID,
+        'transactions',
+        [Query.equal('paymentId', paymentId), Query.limit(1)]
+      );
+      if (booked.documents.length > 0) {
+        return { status: 'none' };
+      }
+
+      const refund = await gateway.refundPayment(paymentId, amountPaise, {
+        reason: reason,
+        receipt: paymentId
+      });
+
+      log('Resale payment refunded', { paymentId, gatewayRefundId: refund.refundId, status: refund.status });
+      return { status: refund.status, gatewayRefundId: refund.refundId, amount: formatAmount(amountPaise) };
+    } catch (refundErr) {
+      error(`Resale payment could not be refunded: ${refundErr.message}`, { paymentId });
+      await queueForReview(reason, refundErr.message);
+      return { status: 'review', amount: formatAmount(amountPaise) };
+    }
+  }
+
+  async function queueForReview(reason, details) {
+    const { gateway, paymentId, gatewayOrderId, amountPaise, ticketId } = verifiedPayment;
+
+    // One review per payment, however often the purchase is retried
+    const reviewId = crypto
+      .createHash('sha256')
+      .update(`${gateway.name}:resale:${paymentId}`)
+      .digest('hex')
+      .slice(0, 36);
+
+    try {
+      await databases.createDocument(DATABASE_ID, 'paymentReviews', reviewId, {
+        gateway: gateway.label,
+        gatewayEventId: `resale:${ticketId}`,
+        eventType: 'resale.listing_unavailable',
+        paymentId: paymentId,
+        gatewayOrderId: gatewayOrderId,
+        gatewayRefundId: '',
+        amount: formatAmount(amountPaise),
+        currency: 'INR',
+        reason: 'LISTING_UNAVAILABLE',
+        details: `${reason}; refund failed: ${details}`,
+        status: 'open',
+        receivedAt: new Date().toISOString()
+      });
+    } catch (err) {
+      if (err.code !== 409) {
+        error(`Resale payment could not be queued for review: ${err.message}`, { paymentId });
+      }
+    }
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Cleanup Uploaded QR Code
+  // ============================================
+  async function cleanupUploadedQRCode() {
+    if (!uploadedQRCodeId) {
+      return;
+    }
+
+    try {
+      log('Deleting uploaded QR code', { fileId: uploadedQRCodeId });
+      await storage.deleteFile(TICKET_QR_BUCKET_ID, uploadedQRCodeId);
+      uploadedQRCodeId = null;
+    } catch (deleteErr) {
+      error('Failed to delete QR code during cleanup', {
+        fileId: uploadedQRCodeId,
+        error: deleteErr.message
+      });
+    }
+  }
+});
@@ -0,0 +1,429 @@
+import { Client, Databases, Functions, ExecutionMethod, ID, Query } from 'node-appwrite';
+import { parsePriceToPaise, formatAmount } from './lib/pricing.js';
+import {
+  readTicketTiers,
+  serializeTicketTiers,
+  findTicketTier,
+  adjustTierQuantity,
+  adjustTicketsLeft
+} from './lib/ticketTiers.js';
+import { getCancellationPolicy, computeRefund, splitRefund } from './lib/cancellationPolicy.js';
+import { hoursUntilEvent } from './lib/eventDates.js';
+import { offerReturnedTickets, notifyWaitlistOffers } from './lib/waitlist.js';
+import { withIdempotency } from './lib/idempotency.js';
+import { internalExecutionHeaders } from './lib/internalExecutions.js';
+
+/**
+ * Atomic Ticket Cancellation Function using Appwrite Native Transactions
+ *
+ * The counterpart of bookTicketAtomic.js. In a single Appwrite transaction it:
+ * - marks the ticket as cancelled
+ * - creates a `refunds` document linked to the original `transactions` document
+ * - marks the `orders` record as cancelled (or `partially_cancelled` while
+ *   other tickets of a cart order are still active) and adds to its refund amount
+ * - puts the quantity back into `events.ticketsLeft` and the matching
+ *   `events.categories` entry, offering it to the tier's waitlist first
+ *   (see lib/waitlist.js)
+ *
+ * Tickets bought on resale (buyResaleTicket.js) can not be cancelled: their
+ * order and payment are the original seller's. They can be listed again.
+ *
+ * The refund amount follows the event's cancellation policy (see
+ * lib/cancellationPolicy.js), applied to the ticket's own line of a cart
+ * order. The refund is recorded as `pending`, with the quantity and the
+ * taxable value, GST and handling fee it gives back; processRefunds.js pays
+ * it out through the gateway afterwards. After the commit a GST
+ * credit note for those amounts is requested from generateInvoice.js
+ * (INVOICE_FUNCTION_ID).
+ *
+ * Flow:
+ * 1. Validate inputs
+ * 2. Create Appwrite transaction
+ * 3. Load ticket, order and payment transaction within transaction
+ * 4. Compute refund from the event's cancellation policy
+ * 5. Stage ticket, refund, order and inventory updates
+ * 6. Commit transaction
+ *
+ * Reference: https://appwrite.io/docs/products/databases/transactions
+ */
+
+export default withIdempotency('cancelTicketAtomic', async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const functions = new Functions(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+
+  let appwriteTransactionId = null;
+
+  try {
+    // Parse request body
+    const { userId, ticketId, reason } = JSON.parse(req.body || '{}');
+
+    log('Starting atomic ticket cancellation', { userId, ticketId });
+
+    // ============================================
+    // STEP 1: Validate inputs
+    // ============================================
+    if (!userId || !ticketId) {
+      error('Missing required fields');
+      return res.json({
+        success: false,
+        error: 'Missing required fields. Required: userId, ticketId',
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
+
+    // ============================================
+    // STEP 2: Create Appwrite Transaction
+    // ============================================
+    const transaction = await databases.createTransaction(300);
+    appwriteTransactionId = transaction.$id;
+
+    log('Transaction created successfully', { transactionId: appwriteTransactionId });
+
+    // ============================================
+    // STEP 3: Load ticket, order and payment WITHIN transaction
+    // ============================================
+    let ticket;
+    try {
+      ticket = await databases.getDocument(DATABASE_ID, 'tickets', ticketId, [], appwriteTransactionId);
+    } catch (err) {
+      if (err.code === 404 || err.message?.includes('not found')) {
+        return await reject('Ticket not found', 'TICKET_NOT_FOUND', 404);
+      }
+      throw err;
+    }
+
+    if (ticket.userId !== userId) {
+      return await reject('You do not own this ticket', 'NOT_TICKET_OWNER', 403);
+    }
+
+    if (ticket.status === 'cancelled') {
+      return await reject('This ticket has already been cancelled', 'ALREADY_CANCELLED', 400);
+    }
+
+    if (ticket.status === 'used' || (parseInt(ticket.admittedCount) || 0) > 0) {
+      return await reject('This ticket has already been used', 'TICKET_ALREADY_USED', 400);
+    }
+
+    if (ticket.isListedForSale === 'true') {
+      return await reject('Remove the ticket from resale before cancelling', 'TICKET_LISTED_FOR_SALE', 400);
+    }
+
+    // A resold ticket still points at the seller's order and payment, and the
+    // seller has already been paid out; refunding them would pay twice
+    if (ticket.resoldAt) {
+      return await reject(
+        'Tickets bought on resale can not be cancelled; list the ticket for resale instead',
+        'RESOLD_TICKET_NOT_CANCELLABLE',
+        400
+      );
+    }
+
+    const order = await findOrder(ticket);
+    if (!order) {
+      return await reject('No order found for this ticket', 'ORDER_NOT_FOUND', 404);
+    }
+
+    // Cart orders hold several tickets; only this ticket's line is refunded
+    const lineItem = findLineItem(order, ticketId);
+    const orderLineCount = lineItem ? parseLineItems(order).length : 1;
+
+    const paymentTransaction = await databases.getDocument(
+      DATABASE_ID,
+      'transactions',
+      order.transactionId,
+      [],
+      appwriteTransactionId
+    );
+
+    const eventDoc = await databases.getDocument(
+      DATABASE_ID,
+      'events',
+      ticket.eventId,
+      [],
+      appwriteTransactionId // Track this read for conflicts with bookings
+    );
+
+    // ============================================
+    // STEP 4: Compute refund from cancellation policy
+    // ============================================
+    const hoursBeforeEvent = hoursUntilEvent(eventDoc);
+    if (hoursBeforeEvent === null) {
+      error('Event start time could not be determined', { eventId: ticket.eventId });
+      return await reject('Event date is not configured correctly', 'CANCELLATION_POLICY_ERROR', 500);
+    }
+
+    const totalPaise = parsePriceToPaise(lineItem ? lineItem.totalAmount : order.totalAmount);
+    if (totalPaise === null) {
+      error('Order total could not be parsed', { orderId: order.$id, totalAmount: order.totalAmount });
+      return await reject('Order amount is not recorded correctly', 'CANCELLATION_POLICY_ERROR', 500);
+    }
+
+    const lineAmounts = lineItem || order;
+    const handlingFeePaise = parsePriceToPaise(lineAmounts.internetHandlingFee) || 0;
+
+    const policy = getCancellationPolicy(eventDoc);
+    const refund = computeRefund(policy, hoursBeforeEvent, {
+      totalPaise: totalPaise,
+      handlingFeePaise: handlingFeePaise
+    });
+
+    if (!refund) {
+      return await reject('This ticket can no longer be cancelled', 'CANCELLATION_WINDOW_CLOSED', 400);
+    }
+
+    // Recorded on the refund so the credit note credits exactly this ticket
+    const refundParts = splitRefund(refund.refundPaise, refund.refundPercent, {
+      taxablePaise: (parsePriceToPaise(lineAmounts.subtotal) || 0) - (parsePriceToPaise(lineAmounts.discountAmount) || 0),
+      handlingFeePaise: handlingFeePaise
+    }, policy.refundHandlingFee);
+
+    const refundAmount = formatAmount(refund.refundPaise);
+    log('Refund computed', { hoursBeforeEvent, refundPercent: refund.refundPercent, refundAmount });
+
+    // ============================================
+    // STEP 5: Stage cancellation operations
+    // ============================================
+    const cancelledAt = new Date().toISOString();
+    const quantityInt = parseInt(ticket.quantity) || 0;
+
+    await databases.updateDocument(
+      DATABASE_ID,
+      'tickets',
+      ticketId,
+      {
+        status: 'cancelled',
+        cancelledAt: cancelledAt
+      },
+      [],
+      appwriteTransactionId
+    );
+
+    const refundId = ID.unique();
+
+    await databases.createDocument(
+      DATABASE_ID,
+      'refunds',
+      refundId,
+      {
+        userId: userId,
+        ticketId: ticketId,
+        orderId: order.$id,
+        transactionId: paymentTransaction.$id,
+        paymentId: paymentTransaction.paymentId,
+        gateway: paymentTransaction.gateway,
+        amount: refundAmount,
+        refundPercent: refund.refundPercent,
+        quantity: quantityInt,
+        taxableAmount: formatAmount(refundParts.taxablePaise),
+        taxAmount: formatAmount(refundParts.taxPaise),
+        handlingFeeAmount: formatAmount(refundParts.handlingFeePaise),
+        reason: reason || '',
+        status: 'pending'
+      },
+      [],
+      appwriteTransactionId
+    );
+
+    // A cart order is only fully cancelled once every one of its tickets is
+    let orderStatus = 'cancelled';
+    if (orderLineCount > 1) {
+      const orderTickets = await databases.listDocuments(
+        DATABASE_ID,
+        'tickets',
+        [Query.equal('orderId', order.$id), Query.notEqual('$id', ticketId), Query.notEqual('status', 'cancelled')],
+        appwriteTransactionId
+      );
+      if (orderTickets.total > 0) {
+        orderStatus = 'partially_cancelled';
+      }
+    }
+
+    await databases.updateDocument(
+      DATABASE_ID,
+      'orders',
+      order.$id,
+      {
+        status: orderStatus,
+        refundId: refundId,
+        refundAmount: formatAmount((parsePriceToPaise(order.refundAmount) || 0) + refund.refundPaise)
+      },
+      [],
+      appwriteTransactionId
+    );
+
+    const ticketTiers = readTicketTiers(eventDoc);
+    const ticketTypeName = resolveTicketTypeName(ticket, ticketTiers);
+
+    // Returned seats go to the tier's waitlist before general sale
+    const waitlist = await offerReturnedTickets(
+      databases,
+      DATABASE_ID,
+      {
+        eventId: ticket.eventId,
+        ticketTiers: ticketTypeName ? adjustTierQuantity(ticketTiers, ticketTypeName, quantityInt) : ticketTiers,
+        ticketTypeNames: ticketTypeName ? [ticketTypeName] : []
+      },
+      appwriteTransactionId
+    );
+
+    await databases.updateDocument(
+      DATABASE_ID,
+      'events',
+      ticket.eventId,
+      {
+        ticketsLeft: adjustTicketsLeft(eventDoc.ticketsLeft, quantityInt + waitlist.ticketsLeftDelta),
+        ...serializeTicketTiers(waitlist.ticketTiers)
+      },
+      [],
+      appwriteTransactionId
+    );
+
+    if (!ticketTypeName) {
+      log('Ticket tier could not be resolved; only ticketsLeft was restored', { ticketId });
+    }
+
+    log('Cancellation staged', { ticketId, refundId, quantityRestored: quantityInt, waitlistOffers: waitlist.offers.length });
+
+    // ============================================
+    // STEP 6: Commit the transaction
+    // ============================================
+    await databases.updateTransaction(appwriteTransactionId, true);
+
+    log('Ticket cancelled successfully', { ticketId, refundId });
+
+    await notifyWaitlistOffers(databases, DATABASE_ID, waitlist.offers, eventDoc, { log, error });
+
+    try {
+      await functions.createExecution(
+        process.env.INVOICE_FUNCTION_ID || 'generateInvoice',
+        JSON.stringify({ orderId: order.$id, refundId }),
+        true, // async: the cancellation does not wait for the credit note
+        '/',
+        ExecutionMethod.POST,
+        internalExecutionHeaders()
+      );
+    } catch (invoiceErr) {
+      error(`Credit note could not be queued: ${invoiceErr.message}`, { refundId });
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        ticketId: ticketId,
+        orderId: order.$id,
+        refundId: refundId,
+        refundAmount: refundAmount,
+        refundPercent: refund.refundPercent,
+        message: 'Ticket cancelled successfully'
+      }
+    }, 200);
+
+  } catch (err) {
+    error('Cancellation failed, rolling back transaction', err);
+
+    if (appwriteTransactionId) {
+      try {
+        await databases.updateTransaction(appwriteTransactionId, false);
+        log('Transaction rolled back successfully - no data persisted');
+      } catch (rollbackErr) {
+        error('Transaction rollback failed', {
+          rollbackError: rollbackErr.message,
+          originalError: err.message,
+          transactionId: appwriteTransactionId
+        });
+      }
+    }
+
+    let errorCode = 'CANCELLATION_ERROR';
+    let errorMessage = err.message || 'Cancellation failed';
+
+    if (err.code === 409 || err.message?.includes('conflict')) {
+      errorCode = 'CONFLICT_ERROR';
+      errorMessage = 'Cancellation conflict detected. Please try again.';
+    } else if (err.message?.includes('not found')) {
+      errorCode = 'NOT_FOUND_ERROR';
+      errorMessage = 'Ticket, order or event not found';
+    } else if (err.message?.includes('permission')) {
+      errorCode = 'PERMISSION_ERROR';
+      errorMessage = 'Permission denied';
+    }
+
+    return res.json({
+      success: false,
+      error: errorMessage,
+      code: errorCode,
+      details: err.message,
+      transactionRolledBack: appwriteTransactionId !== null
+    }, 500);
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Find the order a ticket was bought in
+  // ============================================
+  async function findOrder(ticket) {
+    if (ticket.orderId) {
+      try {
+        return await databases.getDocument(DATABASE_ID, 'orders', ticket.orderId, [], appwriteTransactionId);
+      } catch (err) {
+        if (err.code === 404 || err.message?.includes('not found')) {
+          return null;
+        }
+        throw err;
+      }
+    }
+
+    // Tickets booked before `orderId` was stored
+    const orders = await databases.listDocuments(
+      DATABASE_ID,
+      'orders',
+      [Query.equal('ticketId', ticket.$id)],
+      appwriteTransactionId
+    );
+    return orders.documents[0] || null;
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Roll back and return an error
+  // ============================================
+  async function reject(message, code, status) {
+    error(message);
+    await databases.updateTransaction(appwriteTransactionId, false);
+    appwriteTransactionId = null;
+    return res.json({
+      success: false,
+      error: message,
+      code: code
+    }, status);
+  }
+});
+
+// Tickets booked before `ticketTypeName` was stored only carry the
+// client-formatted `category`; match it against the event's tier names.
+function resolveTicketTypeName(ticket, ticketTiers) {
+  if (ticket.ticketTypeName) {
+    return ticket.ticketTypeName;
+  }
+
+  const category = String(ticket.category || '');
+  const tierName = category.split(':')[0].trim();
+  return findTicketTier(ticketTiers, tierName) ? tierName : null;
+}
+
+function parseLineItems(order) {
+  try {
+    const lineItems = JSON.parse(order.lineItems || '[]');
+    return Array.isArray(lineItems) ? lineItems : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function findLineItem(order, ticketId) {
+  return parseLineItems(order).find(lineItem => lineItem.ticketId === ticketId) || null;
+}
@@ -0,0 +1,418 @@
+import crypto from 'crypto';
+import { Client, Databases, ID } from 'node-appwrite';
+import { getTicketQrSecret, verifyTicketQrPayload } from './lib/ticketQr.js';
+import { withIdempotency } from './lib/idempotency.js';
+
+/**
+ * Venue Check-in Function using Appwrite Native Transactions
+ *
+ * Used by door staff on event day. A scanned QR payload (see lib/ticketQr.js)
+ * is accepted when:
+ * - its signature is valid and it was issued for this event
+ * - it carries the ticket's current `qrVersion` (older codes were replaced
+ *   by a transfer, resale or holder change)
+ * - the ticket is not cancelled, not listed for resale, not on hold for an
+ *   order review (see lib/purchaseLimits.js) and not used up
+ *
+ * Each admission increments `tickets.admittedCount` inside a transaction,
+ * capped at the ticket's `quantity`, so one QR code admits at most
+ * `quantity` people even when two gates scan it at once. A ticket whose
+ * admissions reach its quantity becomes `used`. Every admission is logged
+ * in `ticketCheckIns`.
+ *
+ * Request body:
+ * - live scan:    { eventId, qrPayload, admit?, scannerId? }
+ * - offline sync: { eventId, scannerId, scans: [{ scanId, qrPayload, scannedAt, admit? }] }
+ *
+ * Offline scans are replayed oldest first, each in its own transaction.
+ * Scans the server would have refused (e.g. the ticket was already used at
+ * another gate) are reported as conflicts and logged for review. A scan
+ * that fails for any other reason is reported as a conflict too, so one bad
+ * scan never fails the rest of the batch.
+ *
+ * Every synced scan is recorded in `ticketCheckIns` under an ID derived from
+ * the scanner and its `scanId` (or, for scanners that send none, from the
+ * scan's contents), written in the same transaction as the admission. A
+ * batch sent again after a timeout or partial failure therefore only
+ * applies the scans that were not recorded yet; the rest are reported as
+ * `duplicates`.
+ *
+ * Staff: the function must be executed by a signed-in user, whose Appwrite
+ * identity (`x-appwrite-user-id`) is the staff member; a `staffId` in the
+ * body is ignored. Only users listed in the event's `checkInStaffIds` may
+ * check people in, and events without that list refuse every check-in.
+ */
+
+const MAX_SYNC_SCANS = 200;
+
+export default withIdempotency('checkInTicket', async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+  const TICKET_QR_SECRET = getTicketQrSecret();
+
+  try {
+    const { eventId, scannerId, qrPayload, admit, scans } = JSON.parse(req.body || '{}');
+    const staffId = req.headers['x-appwrite-user-id'] || '';
+    const isSync = Array.isArray(scans);
+
+    log('Starting check-in', { eventId, staffId, scannerId, sync: isSync });
+
+    // ============================================
+    // STEP 1: Validate inputs and staff
+    // ============================================
+    if (!staffId) {
+      return res.json({
+        success: false,
+        error: 'Check-ins must be made by a signed-in staff member',
+        code: 'AUTHENTICATION_REQUIRED'
+      }, 401);
+    }
+
+    if (!eventId || (!isSync && !qrPayload)) {
+      return res.json({
+        success: false,
+        error: 'Missing required fields. Required: eventId and qrPayload or scans',
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
+
+    if (isSync && (scans.length === 0 || scans.length > MAX_SYNC_SCANS)) {
+      return res.json({
+        success: false,
+        error: `scans must contain between 1 and ${MAX_SYNC_SCANS} entries`,
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
+
+    if (!TICKET_QR_SECRET) {
+      error('TICKET_QR_SIGNING_SECRET environment variable is not set');
+      return res.json({
+        success: false,
+        error: 'Ticket QR codes are not configured',
+        code: 'QR_CONFIG_ERROR'
+      }, 500);
+    }
+
+    const eventDoc = await databases.getDocument(DATABASE_ID, 'events', eventId);
+    const staffIds = eventDoc.checkInStaffIds || [];
+
+    if (staffIds.length === 0) {
+      error('Check-in attempted for an event without check-in staff', { staffId, eventId });
+      return res.json({
+        success: false,
+        error: 'No check-in staff have been set up for this event',
+        code: 'CHECK_IN_STAFF_NOT_CONFIGURED'
+      }, 403);
+    }
+
+    if (!staffIds.includes(staffId)) {
+      error('Check-in attempted by non-staff user', { staffId, eventId });
+      return res.json({
+        success: false,
+        error: 'You are not allowed to check people in for this event',
+        code: 'NOT_EVENT_STAFF'
+      }, 403);
+    }
+
+    // ============================================
+    // STEP 2a: Live scan
+    // ============================================
+    if (!isSync) {
+      const result = await checkIn({ qrPayload, admit }, { eventId, staffId, scannerId, source: 'live' });
+
+      if (!result.success) {
+        return res.json({
+          success: false,
+          error: result.error,
+          code: result.code,
+          ticketId: result.ticketId,
+          remaining: result.remaining
+        }, result.status);
+      }
+
+      return res.json({
+        success: true,
+        data: result.data
+      }, 200);
+    }
+
+    // ============================================
+    // STEP 2b: Offline sync, oldest scan first
+    // ============================================
+    const orderedScans = scans
+      .map((scan, index) => ({ ...scan, index }))
+      .sort((a, b) => new Date(a.scannedAt || 0) - new Date(b.scannedAt || 0));
+
+    const admitted = [];
+    const conflicts = [];
+    const duplicates = [];
+
+    for (const scan of orderedScans) {
+      let result;
+      try {
+        result = await checkIn(scan, { eventId, staffId, scannerId, source: 'offline_sync' });
+      } catch (err) {
+        // Not recorded, so sending the batch again retries this scan
+        error(`Offline scan could not be applied: ${err.message}`, { index: scan.index, scanId: scan.scanId });
+        result = { success: false, code: 'CHECK_IN_ERROR', error: 'Scan could not be applied. Sync again to retry it.' };
+      }
+
+      if (result.duplicate) {
+        duplicates.push({
+          index: scan.index,
+          scanId: scan.scanId || null,
+          ticketId: result.ticketId,
+          result: result.result
+        });
+      } else if (result.success) {
+        admitted.push({ index: scan.index, ...result.data });
+      } else {
+        conflicts.push({
+          index: scan.index,
+          ticketId: result.ticketId || null,
+          scannedAt: scan.scannedAt || null,
+          code: result.code,
+          error: result.error
+        });
+      }
+    }
+
+    log(`Synced ${orderedScans.length} scans: ${admitted.length} admitted, ${conflicts.length} conflicts, ${duplicates.length} already applied`);
+
+    return res.json({
+      success: true,
+      data: {
+        synced: orderedScans.length,
+        admitted: admitted,
+        conflicts: conflicts,
+        duplicates: duplicates
+      }
+    }, 200);
+
+  } catch (err) {
+    error(`Check-in failed: ${err.message}`);
+
+    const isNotFound = err.code === 404 || err.message?.includes('not found');
+    return res.json({
+      success: false,
+      error: isNotFound ? 'Event not found' : 'Check-in failed',
+      code: isNotFound ? 'NOT_FOUND_ERROR' : 'CHECK_IN_ERROR',
+      details: err.message
+    }, isNotFound ? 404 : 500);
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Check in one scan atomically
+  // ============================================
+  async function checkIn({ scanId, qrPayload, admit, scannedAt }, { eventId, staffId, scannerId, source }) {
+    // Live scans are single requests (see lib/idempotency.js); synced ones
+    // get a stable record ID so a resent batch finds them
+    const checkInId = source === 'offline_sync'
+      ? scanRecordId(eventId, scannerId, scanId, { qrPayload, admit, scannedAt })
+      : ID.unique();
+
+    if (source === 'offline_sync') {
+      const applied = await findCheckIn(checkInId);
+      if (applied) {
+        return { duplicate: true, ticketId: applied.ticketId, result: applied.result };
+      }
+    }
+
+    const claims = verifyTicketQrPayload(qrPayload, TICKET_QR_SECRET);
+    if (!claims) {
+      return refuse('QR code is not valid', 'INVALID_QR_SIGNATURE', 400);
+    }
+
+    const ticketId = claims.t;
+    if (claims.e !== eventId) {
+      return refuse('This ticket is for a different event', 'WRONG_EVENT', 400, ticketId);
+    }
+
+    const admitCount = admit === undefined ? 1 : parseInt(admit);
+    if (isNaN(admitCount) || admitCount < 1) {
+      return refuse('admit must be a positive number', 'VALIDATION_ERROR', 400, ticketId);
+    }
+
+    const transaction = await databases.createTransaction(60);
+    const transactionId = transaction.$id;
+
+    try {
+      let ticket;
+      try {
+        ticket = await databases.getDocument(DATABASE_ID, 'tickets', ticketId, [], transactionId);
+      } catch (err) {
+        if (err.code === 404 || err.message?.includes('not found')) {
+          return await refuseAndRollback('Ticket not found', 'TICKET_NOT_FOUND', 404);
+        }
+        throw err;
+      }
+
+      if (ticket.eventId !== eventId) {
+        return await refuseAndRollback('This ticket is for a different event', 'WRONG_EVENT', 400);
+      }
+
+      if ((parseInt(ticket.qrVersion) || 0) !== claims.v) {
+        return await refuseAndRollback('This QR code has been replaced by a newer one', 'QR_SUPERSEDED', 400);
+      }
+
+      if (ticket.status === 'cancelled') {
+        return await refuseAndRollback('This ticket has been cancelled', 'TICKET_CANCELLED', 400);
+      }
+
+      if (ticket.isListedForSale === 'true') {
+        return await refuseAndRollback('This ticket is listed for resale', 'TICKET_LISTED_FOR_SALE', 400);
+      }
+
+      if (ticket.status === 'on_hold') {
+        return await refuseAndRollback('This ticket is on hold pending an order review', 'TICKET_ON_HOLD', 400);
+      }
+
+      const quantity = parseInt(ticket.quantity) || 0;
+      const admittedCount = parseInt(ticket.admittedCount) || 0;
+      const remaining = Math.max(0, quantity - admittedCount);
+
+      if (ticket.status === 'used' || remaining === 0) {
+        return await refuseAndRollback('This ticket has already been used', 'ALREADY_USED', 409, { remaining: 0 });
+      }
+
+      if (admitCount > remaining) {
+        return await refuseAndRollback(
+          `Only ${remaining} admission(s) left on this ticket`,
+          'ADMISSION_LIMIT_EXCEEDED',
+          409,
+          { remaining }
+        );
+      }
+
+      // ============================================
+      // Stage admission
+      // ============================================
+      const checkedInAt = new Date().toISOString();
+      const newAdmittedCount = admittedCount + admitCount;
+
+      // `max` makes Appwrite itself refuse to admit past the ticket quantity
+      await databases.incrementDocumentAttribute(
+        DATABASE_ID,
+        'tickets',
+        ticketId,
+        'admittedCount',
+        admitCount,
+        quantity,
+        transactionId
+      );
+
+      await databases.updateDocument(
+        DATABASE_ID,
+        'tickets',
+        ticketId,
+        {
+          lastCheckInAt: scannedAt || checkedInAt,
+          ...(newAdmittedCount >= quantity && { status: 'used' })
+        },
+        [],
+        transactionId
+      );
+
+      await logCheckIn({ admitted: admitCount, result: 'admitted' }, transactionId);
+
+      await databases.updateTransaction(transactionId, true);
+
+      log('Ticket checked in', { ticketId, admitted: admitCount, remaining: quantity - newAdmittedCount, source });
+
+      return {
+        success: true,
+        data: {
+          ticketId: ticketId,
+          ticketTypeName: ticket.ticketTypeName,
+          holderName: ticket.holderName || '',
+          admitted: admitCount,
+          admittedCount: newAdmittedCount,
+          remaining: quantity - newAdmittedCount
+        }
+      };
+
+    } catch (err) {
+      try {
+        await databases.updateTransaction(transactionId, false);
+      } catch (rollbackErr) {
+        error(`Rollback failed for ticket ${ticketId}: ${rollbackErr.message}`);
+      }
+
+      if (err.code === 409 || err.message?.includes('conflict')) {
+        // The same scan, sent in another batch at the same moment
+        const applied = source === 'offline_sync' && await findCheckIn(checkInId);
+        if (applied) {
+          return { duplicate: true, ticketId: applied.ticketId, result: applied.result };
+        }
+        return refuse('Ticket was scanned at another gate at the same moment. Scan again.', 'CONFLICT_ERROR', 409, ticketId);
+      }
+      throw err;
+    }
+
+    async function refuseAndRollback(message, code, status, extra = {}) {
+      await databases.updateTransaction(transactionId, false);
+
+      // Offline scans already let someone in; keep a record for review
+      if (source === 'offline_sync') {
+        await logCheckIn({ admitted: 0, result: code });
+      }
+
+      return { ...refuse(message, code, status, ticketId), ...extra };
+    }
+
+    async function logCheckIn({ admitted, result }, stagingTransactionId) {
+      await databases.createDocument(
+        DATABASE_ID,
+        'ticketCheckIns',
+        checkInId,
+        {
+          scanId: scanId ? String(scanId) : '',
+          ticketId: ticketId,
+          eventId: eventId,
+          staffId: staffId,
+          scannerId: scannerId || '',
+          source: source,
+          admitted: admitted,
+          result: result,
+          scannedAt: scannedAt || new Date().toISOString(),
+          recordedAt: new Date().toISOString()
+        },
+        [],
+        stagingTransactionId
+      );
+    }
+  }
+
+  async function findCheckIn(checkInId) {
+    try {
+      return await databases.getDocument(DATABASE_ID, 'ticketCheckIns', checkInId);
+    } catch (err) {
+      if (err.code === 404) {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  function refuse(message, code, status, ticketId) {
+    error(message, { code, ticketId });
+    return {
+      success: false,
+      error: message,
+      code: code,
+      status: status,
+      ticketId: ticketId
+    };
+  }
+});
+
+// Appwrite document IDs are at most 36 characters
+function scanRecordId(eventId, scannerId, scanId, { qrPayload, admit, scannedAt }) {
+  const scanKey = scanId ? `id:${scanId}` : `scan:${qrPayload}|${admit ?? ''}|${scannedAt ?? ''}`;
+  return crypto.createHash('sha256').update(`${eventId}:${scannerId || ''}:${scanKey}`).digest('hex').slice(0, 36);
+}
@@ -1,6 +1,7 @@
 import { Client, Databases, Query } from 'node-appwrite';
+import { withIdempotency } from './lib/idempotency.js';
 
-export default async ({ req, res, log, error }) => {
+export default withIdempotency('createAttendeeMatch', async ({ req, res, log, error }) => {
   try {
     // Initialize Appwrite client
     const client = new Client()
@@ -106,4 +107,4 @@ export default async ({ req, res, log, error }) => {
       message: 'Internal server error'
     });
   }
-};
+});
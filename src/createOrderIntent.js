@@ -0,0 +1,150 @@
+import { Client, Databases, ID, Query } from 'node-appwrite';
+import { getPaymentGateway, listPaymentGateways } from './lib/paymentGateways.js';
+import { withIdempotency } from './lib/idempotency.js';
+
+/**
+ * Create Order Intent
+ *
+ * Records what a checkout is about to buy, before the buyer is sent to the
+ * payment gateway. If the app dies after paying but before calling
+ * bookTicketAtomic, paymentWebhook.js finds the intent by the gateway's
+ * order reference and finishes the booking from it.
+ *
+ * Request body:
+ * - userId, eventId
+ * - gateway:         'razorpay' (default) or 'stripe'
+ * - gatewayOrderId:  RazorPay order ID or Stripe PaymentIntent ID
+ * - the booking fields later sent to bookTicketAtomic (lines or
+ *   ticketTypeName/quantity, perAttendee, attendees, holdId, promoCode,
+ *   ticketId and the event display fields)
+ *
+ * Calling it again for the same gateway order returns the existing intent.
+ *
+ * `orderIntents` lifecycle:
+ * - pending:   waiting for the client or the webhook to book it
+ * - completed: booked (`orderId` is set by the webhook when it did the booking)
+ * - review:    paid but could not be booked, see `paymentReviews`
+ */
+
+// Request fields stored on the intent and replayed to bookTicketAtomic
+const BOOKING_FIELDS = [
+  'eventName',
+  'eventSubName',
+  'eventDate',
+  'eventTime',
+  'eventLocation',
+  'imageFileId',
+  'lines',
+  'ticketTypeName',
+  'quantity',
+  'perAttendee',
+  'attendees',
+  'holdId',
+  'promoCode',
+  'ticketId',
+  'deviceId',
+  'paymentMethodId'
+];
+
+export default withIdempotency('createOrderIntent', async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+
+  try {
+    const body = JSON.parse(req.body || '{}');
+    const { userId, eventId, gateway: gatewayName, gatewayOrderId } = body;
+
+    log('Creating order intent', { userId, eventId, gateway: gatewayName, gatewayOrderId });
+
+    if (!userId || !eventId || !gatewayOrderId ||
+        (!Array.isArray(body.lines) && !body.ticketTypeName && !body.holdId)) {
+      return res.json({
+        success: false,
+        error: 'Missing required fields. Required: userId, eventId, gatewayOrderId and lines, ticketTypeName or holdId',
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
+
+    const paymentGateway = getPaymentGateway(gatewayName);
+    if (!paymentGateway) {
+      return res.json({
+        success: false,
+        error: `Unsupported payment gateway. Supported: ${listPaymentGateways().join(', ')}`,
+        code: 'UNSUPPORTED_GATEWAY'
+      }, 400);
+    }
+
+    const existing = await databases.listDocuments(
+      DATABASE_ID,
+      'orderIntents',
+      [Query.equal('gatewayOrderId', gatewayOrderId), Query.limit(1)]
+    );
+
+    if (existing.documents.length > 0) {
+      const intent = existing.documents[0];
+      if (intent.userId !== userId) {
+        return res.json({
+          success: false,
+          error: 'This payment order belongs to another user',
+          code: 'ORDER_INTENT_CONFLICT'
+        }, 409);
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          orderIntentId: intent.$id,
+          status: intent.status,
+          alreadyExists: true
+        }
+      }, 200);
+    }
+
+    const booking = {};
+    for (const field of BOOKING_FIELDS) {
+      if (body[field] !== undefined) {
+        booking[field] = body[field];
+      }
+    }
+
+    const intent = await databases.createDocument(
+      DATABASE_ID,
+      'orderIntents',
+      ID.unique(),
+      {
+        userId: userId,
+        eventId: eventId,
+        gateway: paymentGateway.name,
+        gatewayOrderId: gatewayOrderId,
+        booking: JSON.stringify({ userId, eventId, ...booking }),
+        status: 'pending',
+        orderId: ''
+      }
+    );
+
+    log('Order intent created', { orderIntentId: intent.$id });
+
+    return res.json({
+      success: true,
+      data: {
+        orderIntentId: intent.$id,
+        status: intent.status
+      }
+    }, 200);
+
+  } catch (err) {
+    error(`Error creating order intent: ${err.message}`);
+
+    return res.json({
+      success: false,
+      error: 'Failed to create order intent',
+      code: 'ORDER_INTENT_ERROR',
+      details: err.message
+    }, 500);
+  }
+});
@@ -0,0 +1,112 @@
+import { Client, Databases } from 'node-appwrite';
+import { withIdempotency } from './lib/idempotency.js';
+
+/**
+ * Delist Resale Ticket
+ *
+ * Takes a ticket off the resale marketplace. Runs in an Appwrite transaction
+ * so that a delist racing with a purchase of the same listing conflicts
+ * instead of silently succeeding after the ticket has changed hands.
+ */
+
+export default withIdempotency('delistResaleTicket', async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+
+  let appwriteTransactionId = null;
+
+  try {
+    const { userId, ticketId } = JSON.parse(req.body || '{}');
+
+    log('Delisting resale ticket', { userId, ticketId });
+
+    if (!userId || !ticketId) {
+      return res.json({
+        success: false,
+        error: 'Missing required fields. Required: userId, ticketId',
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
+
+    const transaction = await databases.createTransaction(60);
+    appwriteTransactionId = transaction.$id;
+
+    let ticket;
+    try {
+      ticket = await databases.getDocument(DATABASE_ID, 'tickets', ticketId, [], appwriteTransactionId);
+    } catch (err) {
+      if (err.code === 404 || err.message?.includes('not found')) {
+        return await reject('Ticket not found', 'TICKET_NOT_FOUND', 404);
+      }
+      throw err;
+    }
+
+    if (ticket.userId !== userId) {
+      return await reject('You do not own this ticket', 'NOT_TICKET_OWNER', 403);
+    }
+
+    if (ticket.isListedForSale !== 'true') {
+      return await reject('Ticket is not listed for sale', 'NOT_LISTED', 400);
+    }
+
+    await databases.updateDocument(
+      DATABASE_ID,
+      'tickets',
+      ticketId,
+      {
+        isListedForSale: 'false',
+        resalePrice: '',
+        listedAt: null
+      },
+      [],
+      appwriteTransactionId
+    );
+
+    await databases.updateTransaction(appwriteTransactionId, true);
+
+    log('Ticket delisted', { ticketId });
+
+    return res.json({
+      success: true,
+      data: {
+        ticketId: ticketId,
+        message: 'Ticket removed from resale'
+      }
+    }, 200);
+
+  } catch (err) {
+    error(`Error delisting ticket: ${err.message}`);
+
+    if (appwriteTransactionId) {
+      try {
+        await databases.updateTransaction(appwriteTransactionId, false);
+      } catch (rollbackErr) {
+        error(`Transaction rollback failed: ${rollbackErr.message}`);
+      }
+    }
+
+    const isConflict = err.code === 409 || err.message?.includes('conflict');
+    return res.json({
+      success: false,
+      error: isConflict ? 'Ticket was modified concurrently. Please try again.' : 'Failed to delist ticket',
+      code: isConflict ? 'CONFLICT_ERROR' : 'RESALE_DELIST_ERROR',
+      details: err.message
+    }, 500);
+  }
+
+  async function reject(message, code, status) {
+    error(message);
+    await databases.updateTransaction(appwriteTransactionId, false);
+    appwriteTransactionId = null;
+    return res.json({
+      success: false,
+      error: message,
+      code: code
+    }, status);
+  }
+});
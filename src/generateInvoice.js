@@ -0,0 +1,579 @@
+import { Client, Databases, Storage, ID } from 'node-appwrite';
+import { InputFile } from 'node-appwrite/file';
+import { getPricingPolicy, parsePriceToPaise, formatAmount } from './lib/pricing.js';
+import {
+  getInvoiceConfig,
+  getFinancialYear,
+  allocateInvoiceNumber,
+  splitGst,
+  renderInvoiceHtml,
+  renderInvoicePdf
+} from './lib/invoices.js';
+import { retryOnConflict } from './lib/transactionRetry.js';
+import { withIdempotency } from './lib/idempotency.js';
+import { isInternalExecution } from './lib/internalExecutions.js';
+
+/**
+ * GST Invoice / Credit Note Generation
+ *
+ * Turns an order into a numbered tax invoice, or a refund into a credit note
+ * against that invoice (see lib/invoices.js). Both are rendered as PDF and
+ * HTML, uploaded to INVOICE_BUCKET_ID and referenced from the order
+ * (`invoiceId`, `invoiceNumber`, `invoicePdfFileId`, `invoiceHtmlFileId`) or
+ * the refund (`creditNote...`). A copy of the figures is kept in `invoices`.
+ *
+ * bookTicketAtomic.js and cancelTicketAtomic.js run this asynchronously
+ * after they commit. Running it again for the same order or refund returns
+ * the existing document.
+ *
+ * The invoice number, `invoices` document and order/refund reference are
+ * committed in one Appwrite transaction; uploaded files are deleted if it
+ * fails, so no number is ever used without a stored invoice. Concurrent
+ * runs conflict on the financial year's number sequence; the losing run is
+ * retried with a fresh transaction (see lib/transactionRetry.js).
+ *
+ * A credit note credits what its refund recorded (see
+ * cancelTicketAtomic.js): the refunded quantity and taxable value, the
+ * handling fee if it was refunded, and the GST. Refunds recorded before
+ * those amounts were stored fall back to a proportional estimate. An order
+ * whose invoice was never issued gets it issued first.
+ *
+ * Request body:
+ * - orderId:  order to invoice (required)
+ * - refundId: refund to issue a credit note for (optional)
+ *
+ * Callers: a user calling the function (`x-appwrite-user-id` set) must own
+ * the order, or for a credit note the refund. Calls without a user are only
+ * accepted as internal executions carrying INTERNAL_EXECUTION_SECRET (see
+ * lib/internalExecutions.js), as bookTicketAtomic.js, cancelTicketAtomic.js
+ * and reviewHeldOrder.js make; anything else is refused.
+ */
+
+export default withIdempotency('generateInvoice', async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const storage = new Storage(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+  const INVOICE_BUCKET_ID = process.env.INVOICE_BUCKET_ID;
+
+  let appwriteTransactionId = null;
+  let uploadedFileIds = [];
+
+  try {
+    const { orderId, refundId } = JSON.parse(req.body || '{}');
+    const callerId = req.headers['x-appwrite-user-id'] || '';
+
+    if (!callerId && !isInternalExecution(req)) {
+      return res.json({
+        success: false,
+        error: 'Invoices can only be requested by a signed-in user',
+        code: 'AUTHENTICATION_REQUIRED'
+      }, 401);
+    }
+
+    log('Generating invoice document', { orderId, refundId, type: refundId ? 'credit_note' : 'invoice' });
+
+    // ============================================
+    // STEP 1: Validate inputs and configuration
+    // ============================================
+    if (!orderId) {
+      return res.json({
+        success: false,
+        error: 'Missing required fields. Required: orderId',
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
+
+    const config = getInvoiceConfig();
+    if (!INVOICE_BUCKET_ID || !config.seller.gstin) {
+      error('INVOICE_BUCKET_ID or INVOICE_SELLER_GSTIN environment variable is not set');
+      return res.json({
+        success: false,
+        error: 'Invoicing is not configured',
+        code: 'INVOICE_CONFIG_ERROR'
+      }, 500);
+    }
+
+    const outcome = await issueWithRetry({
+      orderId: orderId,
+      refundId: refundId || null,
+      callerId: callerId,
+      config: config
+    });
+
+    return res.json(outcome.body, outcome.status);
+
+  } catch (err) {
+    error('Invoice generation failed, rolling back transaction', err);
+
+    if (appwriteTransactionId) {
+      try {
+        await databases.updateTransaction(appwriteTransactionId, false);
+      } catch (rollbackErr) {
+        error('Transaction rollback failed', {
+          rollbackError: rollbackErr.message,
+          originalError: err.message,
+          transactionId: appwriteTransactionId
+        });
+      }
+    }
+
+    await cleanupUploadedFiles();
+
+    let errorCode = 'INVOICE_ERROR';
+    let errorMessage = err.message || 'Invoice generation failed';
+
+    if (err.code === 409 || err.message?.includes('conflict')) {
+      // Other invoices kept taking the same number until the retries ran out
+      errorCode = 'CONFLICT_ERROR';
+      errorMessage = 'Invoice number conflict detected. Please try again.';
+    } else if (err.message?.includes('not found')) {
+      errorCode = 'NOT_FOUND_ERROR';
+      errorMessage = 'Order, refund or event not found';
+    }
+
+    return res.json({
+      success: false,
+      error: errorMessage,
+      code: errorCode,
+      details: err.message,
+      attempts: err.attempts,
+      transactionRolledBack: appwriteTransactionId !== null
+    }, 500);
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Issue a document, retrying number conflicts
+  // ============================================
+  // Every invoice of a financial year advances the same sequence document,
+  // so overlapping runs conflict on it; the loser starts over with a fresh
+  // transaction and takes the next number.
+  async function issueWithRetry(request) {
+    const { result } = await retryOnConflict(
+      () => issueDocument(request),
+      { log, beforeRetry: discardAttempt }
+    );
+    return result;
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Issue the invoice or credit note of `request`
+  // ============================================
+  // Resolves to the `{ status, body }` to respond with.
+  async function issueDocument({ orderId, refundId, callerId, config }, invoiceIssued = false) {
+    const type = refundId ? 'credit_note' : 'invoice';
+
+    // ============================================
+    // STEP 2: Load order (and refund) WITHIN transaction
+    // ============================================
+    const transaction = await databases.createTransaction(120);
+    appwriteTransactionId = transaction.$id;
+
+    let order;
+    try {
+      order = await databases.getDocument(DATABASE_ID, 'orders', orderId, [], appwriteTransactionId);
+    } catch (err) {
+      if (err.code === 404 || err.message?.includes('not found')) {
+        return await reject('Order not found', 'ORDER_NOT_FOUND', 404);
+      }
+      throw err;
+    }
+
+    let refund = null;
+    if (refundId) {
+      try {
+        refund = await databases.getDocument(DATABASE_ID, 'refunds', refundId, [], appwriteTransactionId);
+      } catch (err) {
+        if (err.code === 404 || err.message?.includes('not found')) {
+          return await reject('Refund not found', 'REFUND_NOT_FOUND', 404);
+        }
+        throw err;
+      }
+
+      if (refund.orderId !== orderId) {
+        return await reject('Refund does not belong to this order', 'REFUND_MISMATCH', 400);
+      }
+    }
+
+    // The holder of a transferred ticket owns its refund but not the order
+    if (callerId && order.userId !== callerId && refund?.userId !== callerId) {
+      return await reject('You do not own this order', 'NOT_ORDER_OWNER', 403);
+    }
+
+    if (refund && !order.invoiceNumber) {
+      if (invoiceIssued) {
+        return await reject('The order has no invoice to credit yet', 'INVOICE_NOT_FOUND', 409);
+      }
+
+      // The order's own invoice run failed or has not run yet: issue the
+      // invoice first, then credit against it
+      await databases.updateTransaction(appwriteTransactionId, false);
+      appwriteTransactionId = null;
+
+      log('Order has no invoice yet, issuing it before the credit note', { orderId });
+      const invoiceOutcome = await issueWithRetry({ orderId, refundId: null, callerId: '', config });
+      if (!invoiceOutcome.body.success) {
+        return invoiceOutcome;
+      }
+
+      return issueDocument({ orderId, refundId, callerId, config }, true);
+    }
+
+    // Already generated: hand back the existing document
+    const existing = refund
+      ? refund.creditNoteId && { id: refund.creditNoteId, number: refund.creditNoteNumber, pdfFileId: refund.creditNotePdfFileId, htmlFileId: refund.creditNoteHtmlFileId }
+      : order.invoiceId && { id: order.invoiceId, number: order.invoiceNumber, pdfFileId: order.invoicePdfFileId, htmlFileId: order.invoiceHtmlFileId };
+
+    if (existing) {
+      await databases.updateTransaction(appwriteTransactionId, false);
+      appwriteTransactionId = null;
+
+      return {
+        status: 200,
+        body: {
+          success: true,
+          data: {
+            type: type,
+            invoiceId: existing.id,
+            number: existing.number,
+            pdfFileId: existing.pdfFileId,
+            htmlFileId: existing.htmlFileId,
+            alreadyGenerated: true
+          }
+        }
+      };
+    }
+
+    // ============================================
+    // STEP 3: Build the invoice model
+    // ============================================
+    const eventDoc = await databases.getDocument(DATABASE_ID, 'events', order.eventId);
+    const buyer = await loadBuyer(order.userId);
+
+    const placeOfSupply = eventDoc.stateCode || buyer.stateCode || config.seller.stateCode;
+    const pricingPolicy = getPricingPolicy();
+    const eventName = eventDoc.name || eventDoc.eventName || '';
+
+    let lines;
+    let taxPaise;
+    let totalPaise;
+
+    if (refund) {
+      totalPaise = parsePriceToPaise(refund.amount) || 0;
+      ({ lines, taxPaise } = buildRefundLines(refund, order, eventName, config, pricingPolicy, totalPaise));
+    } else {
+      totalPaise = parsePriceToPaise(order.totalAmount) || 0;
+      taxPaise = parsePriceToPaise(order.taxGST) || 0;
+      lines = await buildOrderLines(order, eventName, config, pricingPolicy);
+    }
+
+    const taxablePaise = lines.reduce((sum, line) => sum + line.taxablePaise, 0);
+    // GST was only charged on these lines, so the rate applies to them alone
+    const gstBasePaise = lines.filter(line => line.gst).reduce((sum, line) => sum + line.taxablePaise, 0);
+    const gstSplit = splitGst(taxPaise, config.seller.stateCode, placeOfSupply);
+
+    // ============================================
+    // STEP 4: Allocate number and upload files
+    // ============================================
+    const issuedAt = new Date();
+    const financialYear = getFinancialYear(issuedAt);
+    const number = await allocateInvoiceNumber(
+      databases,
+      DATABASE_ID,
+      config.prefixes[type],
+      financialYear,
+      appwriteTransactionId
+    );
+
+    const invoice = {
+      type: type,
+      number: number,
+      financialYear: financialYear,
+      issuedAt: issuedAt.toISOString(),
+      orderId: orderId,
+      originalInvoiceNumber: refund ? order.invoiceNumber : '',
+      seller: config.seller,
+      buyer: buyer,
+      placeOfSupply: placeOfSupply,
+      gstRatePercent: pricingPolicy.gstRatePercent,
+      lines: lines,
+      taxablePaise: taxablePaise,
+      gstBasePaise: gstBasePaise,
+      cgstPaise: gstSplit.cgst,
+      sgstPaise: gstSplit.sgst,
+      igstPaise: gstSplit.igst,
+      totalPaise: totalPaise
+    };
+
+    const fileName = number.replace(/\//g, '-');
+    const pdfFile = await storage.createFile(
+      INVOICE_BUCKET_ID,
+      ID.unique(),
+      InputFile.fromBuffer(await renderInvoicePdf(invoice), `${fileName}.pdf`)
+    );
+    uploadedFileIds.push(pdfFile.$id);
+
+    const htmlFile = await storage.createFile(
+      INVOICE_BUCKET_ID,
+      ID.unique(),
+      InputFile.fromBuffer(Buffer.from(renderInvoiceHtml(invoice), 'utf8'), `${fileName}.html`)
+    );
+    uploadedFileIds.push(htmlFile.$id);
+
+    log('Invoice files uploaded', { number, pdfFileId: pdfFile.$id, htmlFileId: htmlFile.$id });
+
+    // ============================================
+    // STEP 5: Stage invoice record and reference
+    // ============================================
+    const invoiceId = ID.unique();
+
+    await databases.createDocument(
+      DATABASE_ID,
+      'invoices',
+      invoiceId,
+      {
+        type: type,
+        number: number,
+        financialYear: financialYear,
+        orderId: orderId,
+        refundId: refundId || '',
+        userId: order.userId,
+        originalInvoiceNumber: invoice.originalInvoiceNumber,
+        sellerGstin: config.seller.gstin,
+        buyerGstin: buyer.gstin,
+        placeOfSupply: placeOfSupply,
+        taxableAmount: formatAmount(taxablePaise),
+        cgst: formatAmount(gstSplit.cgst),
+        sgst: formatAmount(gstSplit.sgst),
+        igst: formatAmount(gstSplit.igst),
+        totalAmount: formatAmount(totalPaise),
+        pdfFileId: pdfFile.$id,
+        htmlFileId: htmlFile.$id,
+        issuedAt: invoice.issuedAt
+      },
+      [],
+      appwriteTransactionId
+    );
+
+    if (refund) {
+      await databases.updateDocument(
+        DATABASE_ID,
+        'refunds',
+        refundId,
+        {
+          creditNoteId: invoiceId,
+          creditNoteNumber: number,
+          creditNotePdfFileId: pdfFile.$id,
+          creditNoteHtmlFileId: htmlFile.$id
+        },
+        [],
+        appwriteTransactionId
+      );
+    } else {
+      await databases.updateDocument(
+        DATABASE_ID,
+        'orders',
+        orderId,
+        {
+          invoiceId: invoiceId,
+          invoiceNumber: number,
+          invoicePdfFileId: pdfFile.$id,
+          invoiceHtmlFileId: htmlFile.$id
+        },
+        [],
+        appwriteTransactionId
+      );
+    }
+
+    // ============================================
+    // STEP 6: Commit the transaction
+    // ============================================
+    await databases.updateTransaction(appwriteTransactionId, true);
+    appwriteTransactionId = null;
+    uploadedFileIds = [];
+
+    log('Invoice document generated', { type, number, orderId });
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        data: {
+          type: type,
+          invoiceId: invoiceId,
+          number: number,
+          pdfFileId: pdfFile.$id,
+          htmlFileId: htmlFile.$id,
+          totalAmount: formatAmount(totalPaise)
+        }
+      }
+    };
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Discard a conflicting attempt before retrying
+  // ============================================
+  async function discardAttempt() {
+    if (appwriteTransactionId) {
+      try {
+        await databases.updateTransaction(appwriteTransactionId, false);
+      } catch (rollbackErr) {
+        // Appwrite also drops the uncommitted transaction when its TTL ends
+        error('Transaction rollback failed', { rollbackError: rollbackErr.message, transactionId: appwriteTransactionId });
+      }
+      appwriteTransactionId = null;
+    }
+
+    await cleanupUploadedFiles();
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Invoice lines of an order
+  // ============================================
+  async function buildOrderLines(order, eventName, config, pricingPolicy) {
+    let items = parseLineItems(order);
+
+    // Orders from before cart checkout have no line items
+    if (items.length === 0) {
+      const ticket = await databases.getDocument(DATABASE_ID, 'tickets', order.ticketId);
+      items = [{
+        ticketTypeName: ticket.ticketTypeName || String(ticket.category || '').split(':')[0],
+        quantity: parseInt(order.quantity) || 0,
+        subtotal: order.subtotal,
+        discountAmount: order.discountAmount
+      }];
+    }
+
+    const lines = items.map(item => ({
+      description: `${eventName} - ${item.ticketTypeName}`,
+      sac: config.ticketSac,
+      quantity: item.quantity,
+      taxablePaise: (parsePriceToPaise(item.subtotal) || 0) - (parsePriceToPaise(item.discountAmount) || 0),
+      gst: true
+    }));
+
+    const handlingFeePaise = parsePriceToPaise(order.internetHandlingFee) || 0;
+    if (handlingFeePaise > 0) {
+      lines.push({
+        description: 'Internet handling fee',
+        sac: config.feeSac,
+        quantity: 1,
+        taxablePaise: handlingFeePaise,
+        gst: pricingPolicy.gstOnHandlingFee
+      });
+    }
+
+    return lines;
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Credit note lines of a refund
+  // ============================================
+  function buildRefundLines(refund, order, eventName, config, pricingPolicy, totalPaise) {
+    const taxablePaise = parsePriceToPaise(refund.taxableAmount);
+
+    // Refunds recorded before their split was stored return tax in the
+    // same proportion the order was charged it
+    if (taxablePaise === null) {
+      const orderTotalPaise = parsePriceToPaise(order.totalAmount) || 0;
+      const orderTaxPaise = parsePriceToPaise(order.taxGST) || 0;
+      const taxPaise = orderTotalPaise > 0 ? Math.round((orderTaxPaise * totalPaise) / orderTotalPaise) : 0;
+      const lineItem = parseLineItems(order).find(item => item.ticketId === refund.ticketId);
+
+      return {
+        taxPaise: taxPaise,
+        lines: [{
+          description: `Refund for ${eventName} tickets`,
+          sac: config.ticketSac,
+          quantity: refund.quantity || (lineItem ? lineItem.quantity : parseInt(order.quantity) || 0),
+          taxablePaise: totalPaise - taxPaise,
+          gst: true
+        }]
+      };
+    }
+
+    const lines = [{
+      description: `Refund for ${eventName} tickets`,
+      sac: config.ticketSac,
+      quantity: parseInt(refund.quantity) || 0,
+      taxablePaise: taxablePaise,
+      gst: true
+    }];
+
+    const handlingFeePaise = parsePriceToPaise(refund.handlingFeeAmount) || 0;
+    if (handlingFeePaise > 0) {
+      lines.push({
+        description: 'Internet handling fee',
+        sac: config.feeSac,
+        quantity: 1,
+        taxablePaise: handlingFeePaise,
+        gst: pricingPolicy.gstOnHandlingFee
+      });
+    }
+
+    return { lines, taxPaise: parsePriceToPaise(refund.taxAmount) || 0 };
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Buyer details for the invoice
+  // ============================================
+  async function loadBuyer(buyerId) {
+    try {
+      const user = await databases.getDocument(DATABASE_ID, 'users', buyerId);
+      return {
+        name: user.name || '',
+        email: user.email || '',
+        gstin: user.gstin || '',
+        stateCode: user.stateCode || ''
+      };
+    } catch (err) {
+      log(`Buyer ${buyerId} could not be loaded: ${err.message}`);
+      return { name: '', email: '', gstin: '', stateCode: '' };
+    }
+  }
+
+  async function reject(message, code, status) {
+    error(message);
+    await databases.updateTransaction(appwriteTransactionId, false);
+    appwriteTransactionId = null;
+    return {
+      status: status,
+      body: {
+        success: false,
+        error: message,
+        code: code
+      }
+    };
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Cleanup Uploaded Files
+  // ============================================
+  async function cleanupUploadedFiles() {
+    for (const fileId of uploadedFileIds) {
+      try {
+        log('Deleting uploaded invoice file', { fileId });
+        await storage.deleteFile(INVOICE_BUCKET_ID, fileId);
+      } catch (deleteErr) {
+        error('Failed to delete invoice file during cleanup', {
+          fileId: fileId,
+          error: deleteErr.message
+        });
+      }
+    }
+    uploadedFileIds = [];
+  }
+});
+
+function parseLineItems(order) {
+  try {
+    const lineItems = JSON.parse(order.lineItems || '[]');
+    return Array.isArray(lineItems) ? lineItems : [];
+  } catch (err) {
+    return [];
+  }
+}
@@ -0,0 +1,256 @@
+import { Client, Databases, Query } from 'node-appwrite';
+import { parsePriceToPaise, formatAmount } from './lib/pricing.js';
+import { readTicketTiers } from './lib/ticketTiers.js';
+
+/**
+ * Event Sales Dashboard
+ *
+ * Sales numbers for one event, for its organiser (`events.organizerId`)
+ * only:
+ * - per category and pricing phase: tickets sold, cancelled and remaining
+ * - totals: gross revenue (what buyers paid), GST collected, handling fees,
+ *   discounts, refunds and net (gross minus refunds)
+ * - sales over time in hourly and daily buckets (orders, tickets, gross)
+ *
+ * Request body:
+ * - eventId
+ * - from / to:             optional ISO timestamps limiting the time series
+ * - timezoneOffsetMinutes: offset used for bucket boundaries (default 330, IST)
+ *
+ * The organiser is the caller's Appwrite identity (`x-appwrite-user-id`,
+ * set for executions made by a signed-in user); a `userId` in the body is
+ * ignored.
+ *
+ * Tickets sold before `tickets.phase` was recorded are counted under an
+ * empty phase.
+ */
+
+const PAGE_SIZE = 100;
+const DEFAULT_TIMEZONE_OFFSET_MINUTES = 330;
+
+export default async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+
+  try {
+    const { eventId, from, to, timezoneOffsetMinutes } = JSON.parse(req.body || '{}');
+    const userId = req.headers['x-appwrite-user-id'] || '';
+
+    log('Loading sales dashboard', { eventId, userId });
+
+    // ============================================
+    // STEP 1: Validate inputs and organiser
+    // ============================================
+    if (!userId) {
+      return res.json({
+        success: false,
+        error: 'The sales dashboard is only available to signed-in organisers',
+        code: 'AUTHENTICATION_REQUIRED'
+      }, 401);
+    }
+
+    if (!eventId) {
+      return res.json({
+        success: false,
+        error: 'Missing required fields. Required: eventId',
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
+
+    const offsetMinutes = timezoneOffsetMinutes === undefined
+      ? DEFAULT_TIMEZONE_OFFSET_MINUTES
+      : parseInt(timezoneOffsetMinutes);
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+
+    if (isNaN(offsetMinutes) || isNaN(fromTime) || isNaN(toTime)) {
+      return res.json({
+        success: false,
+        error: 'from, to and timezoneOffsetMinutes must be valid',
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
+
+    const eventDoc = await databases.getDocument(DATABASE_ID, 'events', eventId);
+
+    if (!eventDoc.organizerId || eventDoc.organizerId !== userId) {
+      error('Sales dashboard requested by non-organiser', { eventId, userId });
+      return res.json({
+        success: false,
+        error: 'Only the event organiser can view its sales',
+        code: 'NOT_EVENT_ORGANIZER'
+      }, 403);
+    }
+
+    // ============================================
+    // STEP 2: Load the event's orders and tickets
+    // ============================================
+    const orders = await listAll('orders', [
+      Query.equal('eventId', eventId),
+      Query.select(['$id', '$createdAt', 'quantity', 'totalAmount', 'taxGST', 'internetHandlingFee', 'discountAmount', 'refundAmount'])
+    ]);
+    const tickets = await listAll('tickets', [
+      Query.equal('eventId', eventId),
+      Query.select(['$id', 'ticketTypeName', 'category', 'phase', 'quantity', 'status'])
+    ]);
+
+    // ============================================
+    // STEP 3: Sold and remaining per category and phase
+    // ============================================
+    const categories = readTicketTiers(eventDoc).map(tier => ({
+      ticketTypeName: tier.name,
+      currentPhase: tier.phase,
+      price: tier.price,
+      sold: 0,
+      cancelled: 0,
+      remaining: tier.quantity + (tier.upcomingPhases || []).reduce((sum, phase) => sum + (parseInt(phase.quantity) || 0), 0),
+      phases: [
+        { phase: tier.phase, sold: 0, cancelled: 0, remaining: tier.quantity },
+        ...(tier.upcomingPhases || []).map(phase => ({
+          phase: phase.phase,
+          sold: 0,
+          cancelled: 0,
+          remaining: parseInt(phase.quantity) || 0
+        }))
+      ]
+    }));
+
+    for (const ticket of tickets) {
+      const ticketTypeName = ticket.ticketTypeName || String(ticket.category || '').split(':')[0].trim();
+      let category = categories.find(entry => entry.ticketTypeName === ticketTypeName);
+      if (!category) {
+        // Tier was renamed or removed since the sale
+        category = { ticketTypeName, currentPhase: null, price: null, sold: 0, cancelled: 0, remaining: 0, phases: [] };
+        categories.push(category);
+      }
+
+      const phaseName = ticket.phase || '';
+      let phase = category.phases.find(entry => entry.phase === phaseName);
+      if (!phase) {
+        // Phases that already closed are no longer on the tier
+        phase = { phase: phaseName, sold: 0, cancelled: 0, remaining: 0 };
+        category.phases.push(phase);
+      }
+
+      const quantity = parseInt(ticket.quantity) || 0;
+      const field = ticket.status === 'cancelled' ? 'cancelled' : 'sold';
+      category[field] += quantity;
+      phase[field] += quantity;
+    }
+
+    // ============================================
+    // STEP 4: Revenue totals and time series
+    // ============================================
+    const totals = { gross: 0, taxGST: 0, internetHandlingFee: 0, discount: 0, refunds: 0 };
+    const hourly = new Map();
+    const daily = new Map();
+
+    for (const order of orders) {
+      const gross = parsePriceToPaise(order.totalAmount) || 0;
+      totals.gross += gross;
+      totals.taxGST += parsePriceToPaise(order.taxGST) || 0;
+      totals.internetHandlingFee += parsePriceToPaise(order.internetHandlingFee) || 0;
+      totals.discount += parsePriceToPaise(order.discountAmount) || 0;
+      totals.refunds += parsePriceToPaise(order.refundAmount) || 0;
+
+      const createdAt = new Date(order.$createdAt).getTime();
+      if (createdAt < fromTime || createdAt > toTime) {
+        continue;
+      }
+
+      const quantity = parseInt(order.quantity) || 0;
+      addToBucket(hourly, bucketStart(createdAt, offsetMinutes, 'hour'), quantity, gross);
+      addToBucket(daily, bucketStart(createdAt, offsetMinutes, 'day'), quantity, gross);
+    }
+
+    log('Sales dashboard computed', { eventId, orders: orders.length, tickets: tickets.length });
+
+    return res.json({
+      success: true,
+      data: {
+        eventId: eventId,
+        ticketsSold: categories.reduce((sum, category) => sum + category.sold, 0),
+        ticketsRemaining: categories.reduce((sum, category) => sum + category.remaining, 0),
+        categories: categories,
+        revenue: {
+          gross: formatAmount(totals.gross),
+          taxGST: formatAmount(totals.taxGST),
+          internetHandlingFee: formatAmount(totals.internetHandlingFee),
+          discount: formatAmount(totals.discount),
+          refunds: formatAmount(totals.refunds),
+          net: formatAmount(totals.gross - totals.refunds)
+        },
+        timeSeries: {
+          timezoneOffsetMinutes: offsetMinutes,
+          hourly: formatBuckets(hourly),
+          daily: formatBuckets(daily)
+        }
+      }
+    }, 200);
+
+  } catch (err) {
+    error(`Error loading sales dashboard: ${err.message}`);
+
+    const isNotFound = err.code === 404 || err.message?.includes('not found');
+    return res.json({
+      success: false,
+      error: isNotFound ? 'Event not found' : 'Failed to load sales dashboard',
+      code: isNotFound ? 'NOT_FOUND_ERROR' : 'DASHBOARD_ERROR',
+      details: err.message
+    }, isNotFound ? 404 : 500);
+  }
+
+  async function listAll(collectionId, queries) {
+    const documents = [];
+    let cursor = null;
+
+    while (true) {
+      const pageQueries = [...queries, Query.limit(PAGE_SIZE)];
+      if (cursor) {
+        pageQueries.push(Query.cursorAfter(cursor));
+      }
+
+      const page = await databases.listDocuments(DATABASE_ID, collectionId, pageQueries);
+      documents.push(...page.documents);
+
+      if (page.documents.length < PAGE_SIZE) {
+        return documents;
+      }
+      cursor = page.documents[page.documents.length - 1].$id;
+    }
+  }
+};
+
+/**
+ * Start of the hour or day containing `time` in the given UTC offset,
+ * returned as a UTC timestamp (ms).
+ */
+function bucketStart(time, offsetMinutes, unit) {
+  const offsetMs = offsetMinutes * 60 * 1000;
+  const sizeMs = unit === 'hour' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+  return Math.floor((time + offsetMs) / sizeMs) * sizeMs - offsetMs;
+}
+
+function addToBucket(buckets, start, quantity, grossPaise) {
+  const bucket = buckets.get(start) || { orders: 0, tickets: 0, gross: 0 };
+  bucket.orders += 1;
+  bucket.tickets += quantity;
+  bucket.gross += grossPaise;
+  buckets.set(start, bucket);
+}
+
+function formatBuckets(buckets) {
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, bucket]) => ({
+      start: new Date(start).toISOString(),
+      orders: bucket.orders,
+      tickets: bucket.tickets,
+      gross: formatAmount(bucket.gross)
+    }));
+}
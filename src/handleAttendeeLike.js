@@ -1,6 +1,7 @@
 import { Client, Databases, Functions, Query } from 'node-appwrite';
+import { withIdempotency } from './lib/idempotency.js';
 
-export default async ({ req, res, log, error }) => {
+export default withIdempotency('handleAttendeeLike', async ({ req, res, log, error }) => {
   try {
     // Initialize Appwrite client
     const client = new Client()
@@ -150,4 +151,4 @@ export default async ({ req, res, log, error }) => {
       message: 'Internal server error'
     });
   }
-};
+});
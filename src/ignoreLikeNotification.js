@@ -1,6 +1,7 @@
 import { Client, Databases, Query } from 'node-appwrite';
+import { withIdempotency } from './lib/idempotency.js';
 
-export default async ({ req, res, log, error }) => {
+export default withIdempotency('ignoreLikeNotification', async ({ req, res, log, error }) => {
   try {
     // Initialize Appwrite client
     const client = new Client()
@@ -81,5 +82,5 @@ export default async ({ req, res, log, error }) => {
       error: err.message
     });
   }
-};
+});
 
@@ -0,0 +1,184 @@
+import { Client, Databases, ID, Query } from 'node-appwrite';
+import { readTicketTiers, findTicketTier } from './lib/ticketTiers.js';
+import { withIdempotency } from './lib/idempotency.js';
+
+/**
+ * Join Waitlist
+ *
+ * Puts a user in line for a sold-out tier (when bookTicketAtomic or
+ * reserveTickets answer INSUFFICIENT_TICKETS / TICKET_TYPE_UNAVAILABLE).
+ * When seats come back the user is offered a time-limited hold and notified
+ * (see lib/waitlist.js).
+ *
+ * Request body: { userId, eventId, ticketTypeName, quantity }
+ *
+ * A user can only be in one tier's line once at a time. The response
+ * includes the user's position.
+ */
+
+const MAX_WAITLIST_QUANTITY = 10;
+
+export default withIdempotency('joinWaitlist', async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+
+  let appwriteTransactionId = null;
+
+  try {
+    const { userId, eventId, ticketTypeName, quantity } = JSON.parse(req.body || '{}');
+
+    log('Joining waitlist', { userId, eventId, ticketTypeName, quantity });
+
+    // ============================================
+    // STEP 1: Validate inputs
+    // ============================================
+    if (!userId || !eventId || !ticketTypeName || !quantity) {
+      return res.json({
+        success: false,
+        error: 'Missing required fields. Required: userId, eventId, ticketTypeName, quantity',
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
+
+    const quantityInt = parseInt(quantity);
+    if (isNaN(quantityInt) || quantityInt < 1 || quantityInt > MAX_WAITLIST_QUANTITY) {
+      return res.json({
+        success: false,
+        error: `Quantity must be between 1 and ${MAX_WAITLIST_QUANTITY}`,
+        code: 'INVALID_QUANTITY'
+      }, 400);
+    }
+
+    // ============================================
+    // STEP 2: Check tier and existing entry WITHIN transaction
+    // ============================================
+    const transaction = await databases.createTransaction(60);
+    appwriteTransactionId = transaction.$id;
+
+    const eventDoc = await databases.getDocument(DATABASE_ID, 'events', eventId, [], appwriteTransactionId);
+    const ticketTier = findTicketTier(readTicketTiers(eventDoc), ticketTypeName);
+
+    if (!ticketTier) {
+      return await reject('Ticket type not found for this event', 'TICKET_TYPE_NOT_FOUND', 404);
+    }
+
+    if (ticketTier.quantity >= quantityInt) {
+      return await reject('Tickets are available; book them directly', 'TICKETS_AVAILABLE', 400);
+    }
+
+    const existing = await databases.listDocuments(
+      DATABASE_ID,
+      'waitlistEntries',
+      [
+        Query.equal('userId', userId),
+        Query.equal('eventId', eventId),
+        Query.equal('ticketTypeName', ticketTypeName),
+        Query.equal('status', ['waiting', 'offered']),
+        Query.limit(1)
+      ],
+      appwriteTransactionId
+    );
+
+    if (existing.documents.length > 0) {
+      const entry = existing.documents[0];
+      await databases.updateTransaction(appwriteTransactionId, false);
+      appwriteTransactionId = null;
+
+      return res.json({
+        success: false,
+        error: entry.status === 'offered'
+          ? 'Tickets are already reserved for you from the waitlist'
+          : 'You are already on the waitlist for this ticket type',
+        code: 'ALREADY_ON_WAITLIST',
+        waitlistEntryId: entry.$id,
+        status: entry.status,
+        holdId: entry.holdId || null
+      }, 409);
+    }
+
+    // ============================================
+    // STEP 3: Create the entry and commit
+    // ============================================
+    const joinedAt = new Date().toISOString();
+    const waitlistEntryId = ID.unique();
+
+    await databases.createDocument(
+      DATABASE_ID,
+      'waitlistEntries',
+      waitlistEntryId,
+      {
+        userId: userId,
+        eventId: eventId,
+        ticketTypeName: ticketTypeName,
+        quantity: quantityInt,
+        status: 'waiting',
+        joinedAt: joinedAt
+      },
+      [],
+      appwriteTransactionId
+    );
+
+    await databases.updateTransaction(appwriteTransactionId, true);
+    appwriteTransactionId = null;
+
+    const ahead = await databases.listDocuments(
+      DATABASE_ID,
+      'waitlistEntries',
+      [
+        Query.equal('eventId', eventId),
+        Query.equal('ticketTypeName', ticketTypeName),
+        Query.equal('status', 'waiting'),
+        Query.lessThan('joinedAt', joinedAt),
+        Query.limit(1)
+      ]
+    );
+
+    log('Joined waitlist', { waitlistEntryId, position: ahead.total + 1 });
+
+    return res.json({
+      success: true,
+      data: {
+        waitlistEntryId: waitlistEntryId,
+        ticketTypeName: ticketTypeName,
+        quantity: quantityInt,
+        position: ahead.total + 1,
+        message: 'You are on the waitlist. We will notify you when tickets are reserved for you.'
+      }
+    }, 200);
+
+  } catch (err) {
+    error(`Error joining waitlist: ${err.message}`);
+
+    if (appwriteTransactionId) {
+      try {
+        await databases.updateTransaction(appwriteTransactionId, false);
+      } catch (rollbackErr) {
+        error(`Transaction rollback failed: ${rollbackErr.message}`);
+      }
+    }
+
+    const isNotFound = err.code === 404 || err.message?.includes('not found');
+    return res.json({
+      success: false,
+      error: isNotFound ? 'Event not found' : 'Failed to join waitlist',
+      code: isNotFound ? 'NOT_FOUND_ERROR' : 'WAITLIST_ERROR',
+      details: err.message
+    }, isNotFound ? 404 : 500);
+  }
+
+  async function reject(message, code, status) {
+    error(message);
+    await databases.updateTransaction(appwriteTransactionId, false);
+    appwriteTransactionId = null;
+    return res.json({
+      success: false,
+      error: message,
+      code: code
+    }, status);
+  }
+});
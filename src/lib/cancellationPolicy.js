@@ -0,0 +1,112 @@
+/**
+ * Ticket Cancellation Policy
+ *
+ * A policy is a list of refund windows keyed on how many hours before the
+ * event the cancellation happens. The first window whose `hoursBefore` is
+ * met applies; if none is met the ticket can no longer be cancelled.
+ *
+ * Events can override the default by storing a JSON string in
+ * `events.cancellationPolicy`, e.g.
+ *
+ *   {
+ *     "windows": [
+ *       { "hoursBefore": 48, "refundPercent": 100 },
+ *       { "hoursBefore": 0, "refundPercent": 50 }
+ *     ],
+ *     "refundHandlingFee": false
+ *   }
+ *
+ * The project-wide default can be set the same way through the
+ * DEFAULT_CANCELLATION_POLICY environment variable.
+ */
+
+const BUILT_IN_POLICY = {
+  windows: [
+    { hoursBefore: 48, refundPercent: 100 },
+    { hoursBefore: 0, refundPercent: 50 }
+  ],
+  refundHandlingFee: false
+};
+
+/**
+ * Resolve the policy for an event: event override, then environment
+ * default, then the built-in policy. Invalid JSON falls through to the
+ * next source.
+ */
+export function getCancellationPolicy(eventDoc, env = process.env) {
+  return (
+    parsePolicy(eventDoc.cancellationPolicy) ||
+    parsePolicy(env.DEFAULT_CANCELLATION_POLICY) ||
+    BUILT_IN_POLICY
+  );
+}
+
+/**
+ * Work out the refund for a cancellation `hoursBeforeEvent` hours ahead.
+ * Amounts are in paise. Returns null when no window allows cancelling.
+ */
+export function computeRefund(policy, hoursBeforeEvent, { totalPaise, handlingFeePaise }) {
+  const window = [...policy.windows]
+    .sort((a, b) => b.hoursBefore - a.hoursBefore)
+    .find(w => hoursBeforeEvent >= w.hoursBefore);
+
+  if (!window) {
+    return null;
+  }
+
+  const refundableBase = policy.refundHandlingFee ? totalPaise : totalPaise - handlingFeePaise;
+  const refundPaise = Math.max(0, Math.round((refundableBase * window.refundPercent) / 100));
+
+  return {
+    refundPercent: window.refundPercent,
+    refundPaise: refundPaise
+  };
+}
+
+/**
+ * Split a refund of `refundPercent` of a ticket line into what its credit
+ * note shows: the taxable ticket value, the handling fee (only when the
+ * policy refunds it) and GST, each that share of the line's own amount.
+ * GST takes the rounding remainder so the parts add up to `refundPaise`.
+ */
+export function splitRefund(refundPaise, refundPercent, { taxablePaise, handlingFeePaise }, refundHandlingFee) {
+  const handlingFee = refundHandlingFee ? Math.round((handlingFeePaise * refundPercent) / 100) : 0;
+  const taxable = Math.min(Math.round((taxablePaise * refundPercent) / 100), refundPaise - handlingFee);
+
+  return {
+    taxablePaise: taxable,
+    handlingFeePaise: handlingFee,
+    taxPaise: refundPaise - taxable - handlingFee
+  };
+}
+
+function parsePolicy(raw) {
+  if (!raw) {
+    return null;
+  }
+
+  try {
+    const policy = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    const windowsValid =
+      Array.isArray(policy.windows) &&
+      policy.windows.length > 0 &&
+      policy.windows.every(
+        w =>
+          typeof w.hoursBefore === 'number' &&
+          typeof w.refundPercent === 'number' &&
+          w.refundPercent >= 0 &&
+          w.refundPercent <= 100
+      );
+
+    if (!windowsValid) {
+      return null;
+    }
+
+    return {
+      windows: policy.windows,
+      refundHandlingFee: policy.refundHandlingFee === true
+    };
+  } catch (err) {
+    return null;
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * Event Date Helpers
+ *
+ * Events have been stored with a few different date shapes over time
+ * (`startsAt` ISO timestamp, or separate `date` / `time` strings such as
+ * `2025-12-31` and `7:00 PM`). These helpers turn whatever is present into
+ * a Date so time-based rules (refund windows, cutoffs) work the same way
+ * everywhere.
+ *
+ * Dates and times without a UTC offset are wall-clock times at the venue,
+ * read in the event's `timeZone`, else EVENT_TIME_ZONE, else Asia/Kolkata.
+ * They are never read in the time zone of the function runtime (UTC).
+ */
+
+const DEFAULT_EVENT_TIME_ZONE = 'Asia/Kolkata';
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/;
+const CLOCK_TIME = /^(\d{1,2})(?:[:.](\d{2}))?(?::(\d{2}))?\s*([AaPp]\.?[Mm]\.?)?$/;
+
+export function getEventTimeZone(eventDoc = {}, env = process.env) {
+  return eventDoc.timeZone || env.EVENT_TIME_ZONE || DEFAULT_EVENT_TIME_ZONE;
+}
+
+/**
+ * Return the event start as a Date, or null when it cannot be determined.
+ */
+export function getEventStartTime(eventDoc, env = process.env) {
+  const timeZone = getEventTimeZone(eventDoc, env);
+
+  const candidates = [
+    () => eventDoc.startsAt && parseTimestamp(eventDoc.startsAt, timeZone),
+    () => eventDoc.date && eventDoc.time && parseDateAndTime(eventDoc.date, eventDoc.time, timeZone),
+    () => eventDoc.date && parseDateAndTime(eventDoc.date, '00:00', timeZone)
+  ];
+
+  for (const candidate of candidates) {
+    let parsed;
+    try {
+      parsed = candidate();
+    } catch (err) {
+      // An unknown time zone name; no candidate can be read without it
+      return null;
+    }
+    if (parsed && !isNaN(parsed.getTime())) {
+      return parsed;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Hours from `now` until the event starts (negative once it has started).
+ */
+export function hoursUntilEvent(eventDoc, now = new Date(), env = process.env) {
+  const start = getEventStartTime(eventDoc, env);
+  if (!start) {
+    return null;
+  }
+  return (start.getTime() - now.getTime()) / (60 * 60 * 1000);
+}
+
+/**
+ * The instant at which the clocks of `timeZone` show the given wall-clock
+ * time. Months are 1-based.
+ */
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // The offset at the guess can differ from the offset at the answer
+  // around DST changes, so correct once more with the answer's offset
+  let instant = wallClockAsUtc - timeZoneOffsetMs(wallClockAsUtc, timeZone);
+  instant = wallClockAsUtc - timeZoneOffsetMs(instant, timeZone);
+
+  return new Date(instant);
+}
+
+function parseTimestamp(value, timeZone) {
+  const text = String(value).trim();
+  const local = text.match(ISO_LOCAL_DATE_TIME);
+
+  if (!local) {
+    // Carries its own offset (`Z`, `+05:30`) or is a date only
+    return ISO_DATE.test(text) ? parseDateAndTime(text, '00:00', timeZone) : new Date(text);
+  }
+
+  return zonedTimeToDate({
+    year: Number(local[1]),
+    month: Number(local[2]),
+    day: Number(local[3]),
+    hour: Number(local[4]),
+    minute: Number(local[5]),
+    second: Number(local[6] || 0)
+  }, timeZone);
+}
+
+function parseDateAndTime(dateValue, timeValue, timeZone) {
+  const date = parseCalendarDate(dateValue);
+  const time = parseClockTime(timeValue);
+
+  if (!date || !time) {
+    return null;
+  }
+
+  return zonedTimeToDate({ ...date, ...time }, timeZone);
+}
+
+function parseCalendarDate(value) {
+  const text = String(value).trim();
+  const iso = text.match(ISO_DATE) || text.match(/^(\d{4})-(\d{2})-(\d{2})T/);
+
+  if (iso) {
+    return { year: Number(iso[1]), month: Number(iso[2]), day: Number(iso[3]) };
+  }
+
+  // Other shapes (`Dec 31, 2025`): the runtime reads date-only strings
+  // like these as local midnight, so its local fields are the calendar date
+  const parsed = new Date(text);
+  if (isNaN(parsed.getTime())) {
+    return null;
+  }
+  return { year: parsed.getFullYear(), month: parsed.getMonth() + 1, day: parsed.getDate() };
+}
+
+function parseClockTime(value) {
+  const match = String(value).trim().match(CLOCK_TIME);
+  if (!match) {
+    return null;
+  }
+
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  const second = Number(match[3] || 0);
+  const meridiem = match[4] ? match[4][0].toUpperCase() : null;
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) {
+      return null;
+    }
+    hour = (hour % 12) + (meridiem === 'P' ? 12 : 0);
+  }
+
+  if (hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+
+  return { hour, minute, second };
+}
+
+// How far `timeZone` is ahead of UTC at `instant`
+function timeZoneOffsetMs(instant, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(new Date(instant))) {
+    parts[part.type] = part.value;
+  }
+
+  const wallClock = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+
+  return wallClock - Math.floor(instant / 1000) * 1000;
+}
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
@@ -0,0 +1,313 @@
+import crypto from 'crypto';
+import { Client, Databases } from 'node-appwrite';
+
+/**
+ * Idempotency Keys
+ *
+ * Every mutating function that clients call is exported through
+ * withIdempotency, so a client that retries a request (e.g. after a
+ * timeout) with the same `Idempotency-Key` header gets the first response
+ * back instead of running the request again:
+ *
+ * - the first request with a key claims an `idempotencyRecords` document
+ *   (`in_progress`), runs, and stores its status code and body
+ * - later requests with the key get that status and body replayed, with an
+ *   `Idempotent-Replayed: true` header
+ * - a request that reuses the key with a different body gets 422
+ *   IDEMPOTENCY_KEY_REUSED; one that arrives while the first is still
+ *   running gets 409 IDEMPOTENCY_REQUEST_IN_PROGRESS
+ *
+ * Scheduled functions (releaseExpiredHolds, advanceTicketPhases,
+ * reconcileBookings, processRefunds) and paymentWebhook, which is already
+ * idempotent by payment ID, are not wrapped: they have no caller to scope
+ * keys to.
+ *
+ * Responses with a 5xx status are not stored, so a request that failed on
+ * our side can be retried with the same key. Keys are scoped per function
+ * and caller and expire after IDEMPOTENCY_TTL_HOURS (default 24), after
+ * which they can be used again. The caller is the signed-in user
+ * (`x-appwrite-user-id`) or, for server-key executions, the `userId` in the
+ * body; a keyed request with neither gets 400 IDEMPOTENCY_CALLER_REQUIRED.
+ * Requests without the header run as before. If the key store itself fails
+ * the request is not run and gets 500 IDEMPOTENCY_ERROR.
+ *
+ * Each claim carries a random `claimToken`. The response is stored, and a
+ * failed request's claim released, only while the record still holds this
+ * request's token (checked inside an Appwrite transaction), so a request
+ * whose stale claim was taken over never deletes or overwrites the claim
+ * of the request that took it over.
+ *
+ * `idempotencyRecords` documents:
+ * - scope, idempotencyKey, callerId
+ * - requestHash:   SHA-256 of the request body
+ * - status:        in_progress | completed
+ * - claimToken:    owner of the current claim
+ * - statusCode / responseBody: the stored response once completed
+ * - expiresAt
+ */
+
+const COLLECTION_ID = 'idempotencyRecords';
+const DEFAULT_TTL_HOURS = 24;
+
+// A claim older than this is from a run that died before finishing
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+// Appwrite lower-cases header names
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Wrap an Appwrite function handler so it honours `Idempotency-Key`.
+ * `scope` names the function, keeping keys of different functions apart.
+ */
+export function withIdempotency(scope, handler) {
+  return async (context) => {
+    const { req, res, log, error } = context;
+    const key = req.headers?.[IDEMPOTENCY_HEADER];
+
+    if (!key) {
+      return handler(context);
+    }
+
+    if (String(key).length > MAX_KEY_LENGTH) {
+      return res.json({
+        success: false,
+        error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
+
+    const client = new Client()
+      .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+      .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+      .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY || process.env.APPWRITE_FUNCTION_API_KEY);
+
+    const databases = new Databases(client);
+    const DATABASE_ID = process.env.DATABASE_ID;
+
+    const callerId = getCallerId(req);
+    if (!callerId) {
+      return res.json({
+        success: false,
+        error: 'Idempotency-Key needs a caller: sign in, or pass userId when executing with a server key',
+        code: 'IDEMPOTENCY_CALLER_REQUIRED'
+      }, 400);
+    }
+
+    const recordId = sha256(`${scope}:${callerId}:${key}`).slice(0, 36);
+    const requestHash = sha256(typeof req.body === 'string' ? req.body : JSON.stringify(req.body ?? ''));
+
+    let claim;
+    try {
+      claim = await claimKey(databases, DATABASE_ID, recordId, {
+        scope: scope,
+        idempotencyKey: String(key),
+        callerId: callerId,
+        requestHash: requestHash
+      });
+    } catch (err) {
+      error(`Failed to claim idempotency key: ${err.message}`, { scope, recordId });
+      return res.json({
+        success: false,
+        error: 'The Idempotency-Key could not be checked. Please try again.',
+        code: 'IDEMPOTENCY_ERROR'
+      }, 500);
+    }
+
+    if (claim.record) {
+      const record = claim.record;
+
+      if (record.requestHash !== requestHash) {
+        error('Idempotency key reused with a different request', { scope, recordId });
+        return res.json({
+          success: false,
+          error: 'This Idempotency-Key was already used for a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        }, 422);
+      }
+
+      if (record.status !== 'completed') {
+        return res.json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+        }, 409);
+      }
+
+      log('Replaying stored response for idempotency key', { scope, recordId, statusCode: record.statusCode });
+      return res.json(JSON.parse(record.responseBody), record.statusCode, { 'Idempotent-Replayed': 'true' });
+    }
+
+    // Run the request, remembering what it answered
+    let response = null;
+    const recordingRes = Object.create(res);
+    recordingRes.json = (body, statusCode = 200, headers = {}) => {
+      response = { body, statusCode };
+      return res.json(body, statusCode, headers);
+    };
+
+    let result;
+    try {
+      result = await handler({ ...context, res: recordingRes });
+    } catch (err) {
+      await releaseKey(databases, DATABASE_ID, recordId, claim.claimToken, error);
+      throw err;
+    }
+
+    if (!response || response.statusCode >= 500) {
+      await releaseKey(databases, DATABASE_ID, recordId, claim.claimToken, error);
+      return result;
+    }
+
+    try {
+      const stored = await updateOwnedRecord(databases, DATABASE_ID, recordId, claim.claimToken, transactionId =>
+        databases.updateDocument(DATABASE_ID, COLLECTION_ID, recordId, {
+          status: 'completed',
+          statusCode: response.statusCode,
+          responseBody: JSON.stringify(response.body)
+        }, [], transactionId)
+      );
+      if (!stored) {
+        error('Idempotency key was taken over before the response could be stored', { scope, recordId });
+      }
+    } catch (err) {
+      // The request itself succeeded; a retry will find the key in progress until it goes stale
+      error(`Failed to store idempotent response: ${err.message}`, { scope, recordId });
+    }
+
+    return result;
+  };
+}
+
+/**
+ * Signed-in users are scoped by their Appwrite user id; server-key
+ * executions by the `userId` they act for. The prefixes keep the two apart.
+ */
+function getCallerId(req) {
+  const userId = req.headers['x-appwrite-user-id'];
+  if (userId) {
+    return `user:${userId}`;
+  }
+
+  let body = req.body;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  return body && typeof body.userId === 'string' && body.userId ? `server:${body.userId}` : null;
+}
+
+/**
+ * Create the record for a new key. Resolves to `{ record }` when the key is
+ * already live, or `{ claimToken }` once this request owns it. Expired
+ * records and stale claims are taken over by deleting and re-creating them,
+ * so when two retries race for the same record only the one whose create
+ * succeeds owns it; the other gets the winner's record back.
+ */
+async function claimKey(databases, databaseId, recordId, fields) {
+  const now = new Date();
+  const data = {
+    ...fields,
+    status: 'in_progress',
+    claimToken: crypto.randomUUID(),
+    statusCode: null,
+    responseBody: null,
+    claimedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + getIdempotencyTtlHours() * 60 * 60 * 1000).toISOString()
+  };
+
+  if (await createRecord(databases, databaseId, recordId, data)) {
+    return { claimToken: data.claimToken };
+  }
+
+  const record = await databases.getDocument(databaseId, COLLECTION_ID, recordId);
+  const expired = new Date(record.expiresAt) <= now;
+  const stale = record.status !== 'completed' && now - new Date(record.claimedAt) > STALE_CLAIM_MS;
+
+  if (!expired && !stale) {
+    return { record };
+  }
+
+  // Only delete the record that was judged stale; if another retry removed
+  // or replaced it meanwhile, the create below decides who owns the key
+  await updateOwnedRecord(databases, databaseId, recordId, record.claimToken, transactionId =>
+    databases.deleteDocument(databaseId, COLLECTION_ID, recordId, transactionId)
+  );
+
+  if (await createRecord(databases, databaseId, recordId, data)) {
+    return { claimToken: data.claimToken };
+  }
+
+  return { record: await databases.getDocument(databaseId, COLLECTION_ID, recordId) };
+}
+
+/**
+ * Resolves to true when the record was created, false when it already exists.
+ */
+async function createRecord(databases, databaseId, recordId, data) {
+  try {
+    await databases.createDocument(databaseId, COLLECTION_ID, recordId, data);
+    return true;
+  } catch (err) {
+    if (err.code !== 409) {
+      throw err;
+    }
+    return false;
+  }
+}
+
+/**
+ * Run `operation(transactionId)` on the record only while it still holds
+ * `claimToken`. The record is re-read inside an Appwrite transaction, so a
+ * claim taken over between the check and the commit makes the commit
+ * conflict instead of being deleted or overwritten. Resolves to false when
+ * the record is gone or belongs to another claim.
+ */
+async function updateOwnedRecord(databases, databaseId, recordId, claimToken, operation) {
+  const transaction = await databases.createTransaction(60);
+
+  try {
+    const record = await databases.getDocument(databaseId, COLLECTION_ID, recordId, [], transaction.$id);
+    if (record.claimToken !== claimToken) {
+      await databases.updateTransaction(transaction.$id, false);
+      return false;
+    }
+
+    await operation(transaction.$id);
+    await databases.updateTransaction(transaction.$id, true);
+    return true;
+  } catch (err) {
+    try {
+      await databases.updateTransaction(transaction.$id, false);
+    } catch (rollbackErr) {
+      // Already committed or rolled back; Appwrite discards open transactions on expiry
+    }
+
+    if (err.code === 404) {
+      return false;
+    }
+    throw err;
+  }
+}
+
+async function releaseKey(databases, databaseId, recordId, claimToken, error) {
+  try {
+    await updateOwnedRecord(databases, databaseId, recordId, claimToken, transactionId =>
+      databases.deleteDocument(databaseId, COLLECTION_ID, recordId, transactionId)
+    );
+  } catch (err) {
+    error(`Failed to release idempotency key: ${err.message}`, { recordId });
+  }
+}
+
+function getIdempotencyTtlHours(env = process.env) {
+  return parseInt(env.IDEMPOTENCY_TTL_HOURS) || DEFAULT_TTL_HOURS;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
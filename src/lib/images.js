@@ -0,0 +1,208 @@
+/**
+ * Uploaded Image Checks
+ *
+ * Images sent by clients are identified by their content, not by what the
+ * client claims: PNG, JPEG and WebP are recognised by their magic bytes and
+ * their dimensions are read from the file headers, without decoding pixels.
+ *
+ * Environment:
+ * - UPLOAD_IMAGE_MAX_BYTES:  largest accepted file (default 5 MB)
+ * - UPLOAD_IMAGE_MAX_PIXELS: largest accepted width × height (default 16 MP)
+ *
+ * Error codes:
+ * - IMAGE_TOO_LARGE:             over the byte limit
+ * - UNSUPPORTED_IMAGE_TYPE:      not a PNG, JPEG or WebP
+ * - INVALID_IMAGE:               recognised, but the header is truncated or corrupt
+ * - IMAGE_DIMENSIONS_TOO_LARGE:  over the pixel limit
+ */
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_MAX_PIXELS = 16 * 1000 * 1000;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// JPEG start-of-frame markers carry the dimensions (C4, C8 and CC are not SOFs)
+const JPEG_SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+export const IMAGE_FORMATS = {
+  png: { extension: 'png', mimeType: 'image/png' },
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg' },
+  webp: { extension: 'webp', mimeType: 'image/webp' }
+};
+
+export function getImageLimits(env = process.env) {
+  return {
+    maxBytes: parseInt(env.UPLOAD_IMAGE_MAX_BYTES) || DEFAULT_MAX_BYTES,
+    maxPixels: parseInt(env.UPLOAD_IMAGE_MAX_PIXELS) || DEFAULT_MAX_PIXELS
+  };
+}
+
+/**
+ * Size in bytes of base64 data once decoded, so oversized uploads can be
+ * refused before decoding them.
+ */
+export function base64DecodedLength(base64) {
+  const value = String(base64).replace(/\s/g, '');
+  const padding = value.endsWith('==') ? 2 : value.endsWith('=') ? 1 : 0;
+  return Math.floor((value.length * 3) / 4) - padding;
+}
+
+/**
+ * Decode and check a base64 image. Returns `{ image }` with
+ * `{ buffer, format, extension, mimeType, width, height }`, or
+ * `{ error: { code, message } }`.
+ */
+export function decodeImage(base64, limits = getImageLimits()) {
+  if (base64DecodedLength(base64) > limits.maxBytes) {
+    return imageError('IMAGE_TOO_LARGE', `Image must be at most ${formatBytes(limits.maxBytes)}`);
+  }
+
+  const buffer = Buffer.from(String(base64), 'base64');
+  const format = detectImageFormat(buffer);
+
+  if (!format) {
+    return imageError('UNSUPPORTED_IMAGE_TYPE', 'Image must be a PNG, JPEG or WebP file');
+  }
+
+  const dimensions = readImageDimensions(buffer, format);
+
+  if (!dimensions || dimensions.width < 1 || dimensions.height < 1) {
+    return imageError('INVALID_IMAGE', `Image is not a valid ${format.toUpperCase()} file`);
+  }
+
+  if (dimensions.width * dimensions.height > limits.maxPixels) {
+    return imageError(
+      'IMAGE_DIMENSIONS_TOO_LARGE',
+      `Image is ${dimensions.width}×${dimensions.height}; it may have at most ${limits.maxPixels} pixels`
+    );
+  }
+
+  return {
+    image: {
+      buffer: buffer,
+      format: format,
+      ...IMAGE_FORMATS[format],
+      width: dimensions.width,
+      height: dimensions.height
+    }
+  };
+}
+
+/**
+ * 'png', 'jpeg' or 'webp' from the file's magic bytes, or null.
+ */
+export function detectImageFormat(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return 'png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+}
+
+/**
+ * `{ width, height }` from the image header, or null when the header can
+ * not be read.
+ */
+export function readImageDimensions(buffer, format) {
+  if (format === 'png') {
+    // The IHDR chunk must come first: length, type, width, height
+    if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') {
+      return null;
+    }
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (format === 'jpeg') {
+    return readJpegDimensions(buffer);
+  }
+
+  if (format === 'webp') {
+    return readWebpDimensions(buffer);
+  }
+
+  return null;
+}
+
+function readJpegDimensions(buffer) {
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+
+    const marker = buffer[offset + 1];
+
+    // Fill bytes and markers without a length
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    if (marker === 0xd9 || marker === 0xda) {
+      // End of image or start of scan before any frame header
+      return null;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      if (offset + 9 > buffer.length) {
+        return null;
+      }
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+
+    offset += 2 + length;
+  }
+
+  return null;
+}
+
+function readWebpDimensions(buffer) {
+  if (buffer.length < 30) {
+    return null;
+  }
+
+  const chunk = buffer.toString('ascii', 12, 16);
+
+  // Lossy: frame tag, start code 9D 01 2A, then 14-bit width and height
+  if (chunk === 'VP8 ') {
+    if (buffer[23] !== 0x9d || buffer[24] !== 0x01 || buffer[25] !== 0x2a) {
+      return null;
+    }
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+
+  // Lossless: signature 2F, then width - 1 and height - 1 in 14 bits each
+  if (chunk === 'VP8L') {
+    if (buffer[20] !== 0x2f) {
+      return null;
+    }
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+
+  // Extended: canvas width - 1 and height - 1 in 24 bits each
+  if (chunk === 'VP8X') {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+
+  return null;
+}
+
+function imageError(code, message) {
+  return { error: { code, message } };
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB` : `${Math.round(bytes / 1024)} KB`;
+}
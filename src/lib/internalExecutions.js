@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+
+/**
+ * Internal Execution Helpers
+ *
+ * Functions that queue work for another function (e.g. bookTicketAtomic.js
+ * requesting an invoice from generateInvoice.js) execute it with their API
+ * key, so the execution carries no `x-appwrite-user-id`. A guest's
+ * execution carries none either, so a missing user does not make a call
+ * trusted. Internal executions send INTERNAL_EXECUTION_SECRET in the
+ * `x-internal-execution-secret` header instead, and the receiving function
+ * checks it with isInternalExecution.
+ *
+ * Environment:
+ * - INTERNAL_EXECUTION_SECRET: shared by every function that makes or
+ *   accepts internal executions; without it no call counts as internal
+ */
+
+export const INTERNAL_EXECUTION_HEADER = 'x-internal-execution-secret';
+
+/**
+ * Headers to pass to `functions.createExecution` for an internal execution.
+ */
+export function internalExecutionHeaders(env = process.env) {
+  return { [INTERNAL_EXECUTION_HEADER]: env.INTERNAL_EXECUTION_SECRET || '' };
+}
+
+/**
+ * Whether `req` was made by one of our functions with the shared secret.
+ */
+export function isInternalExecution(req, env = process.env) {
+  const secret = env.INTERNAL_EXECUTION_SECRET;
+  if (!secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(secret, 'utf8');
+  const received = Buffer.from(String(req.headers[INTERNAL_EXECUTION_HEADER] || ''), 'utf8');
+
+  // timingSafeEqual throws on length mismatch, so check that first
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
@@ -0,0 +1,241 @@
+import PDFDocument from 'pdfkit';
+import { formatAmount } from './pricing.js';
+
+/**
+ * GST Invoice Helpers
+ *
+ * Builds tax invoices for orders and credit notes for refunds, numbers them
+ * from a gap-free sequence per financial year and renders them as HTML and
+ * PDF.
+ *
+ * Numbering: `<prefix>/<yyYY>/<serial>`, e.g. `INV/2627/000042` for the 42nd
+ * invoice of FY 2026-27 (GST caps document numbers at 16 characters). The
+ * last serial of each series is kept in `invoiceSequences` and is only
+ * advanced inside the transaction that stores the invoice, so an aborted
+ * invoice never burns a number.
+ *
+ * Tax split: event admission is supplied where the event takes place, so the
+ * place of supply is the event's `stateCode` (falling back to the buyer's,
+ * then the seller's). Same state as the seller means CGST + SGST, otherwise
+ * IGST.
+ *
+ * Environment:
+ * - INVOICE_SELLER_NAME, INVOICE_SELLER_ADDRESS, INVOICE_SELLER_GSTIN
+ * - INVOICE_SELLER_STATE_CODE: two-digit GST state code, e.g. 27
+ * - INVOICE_TICKET_SAC: SAC for event admission (default 999692)
+ * - INVOICE_FEE_SAC: SAC for the internet handling fee (default 998599)
+ * - INVOICE_NUMBER_PREFIX / CREDIT_NOTE_NUMBER_PREFIX (default INV / CN)
+ */
+
+const IST_OFFSET_MINUTES = 330;
+
+export function getInvoiceConfig(env = process.env) {
+  return {
+    seller: {
+      name: env.INVOICE_SELLER_NAME || '',
+      address: env.INVOICE_SELLER_ADDRESS || '',
+      gstin: env.INVOICE_SELLER_GSTIN || '',
+      stateCode: env.INVOICE_SELLER_STATE_CODE || ''
+    },
+    ticketSac: env.INVOICE_TICKET_SAC || '999692',
+    feeSac: env.INVOICE_FEE_SAC || '998599',
+    prefixes: {
+      invoice: env.INVOICE_NUMBER_PREFIX || 'INV',
+      credit_note: env.CREDIT_NOTE_NUMBER_PREFIX || 'CN'
+    }
+  };
+}
+
+/**
+ * Indian financial year (April to March, IST) of `date`, e.g. `2026-27`.
+ */
+export function getFinancialYear(date = new Date()) {
+  const ist = new Date(date.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${startYear}-${String(startYear + 1).slice(2)}`;
+}
+
+export function formatInvoiceNumber(prefix, financialYear, serial) {
+  const [start, end] = financialYear.split('-');
+  return `${prefix}/${start.slice(2)}${end}/${String(serial).padStart(6, '0')}`;
+}
+
+/**
+ * Take the next serial of `prefix` for `financialYear` inside
+ * `transactionId`. Two concurrent invoices conflict on the sequence
+ * document, so one of them has to retry (callers run this under
+ * retryOnConflict) and numbers never repeat or skip.
+ */
+export async function allocateInvoiceNumber(databases, databaseId, prefix, financialYear, transactionId) {
+  const sequenceId = `${prefix}_${financialYear}`;
+  let serial = 1;
+
+  try {
+    const sequence = await databases.getDocument(databaseId, 'invoiceSequences', sequenceId, [], transactionId);
+    serial = (parseInt(sequence.lastNumber) || 0) + 1;
+
+    await databases.updateDocument(
+      databaseId,
+      'invoiceSequences',
+      sequenceId,
+      { lastNumber: serial },
+      [],
+      transactionId
+    );
+  } catch (err) {
+    if (!(err.code === 404 || err.message?.includes('not found'))) {
+      throw err;
+    }
+
+    await databases.createDocument(
+      databaseId,
+      'invoiceSequences',
+      sequenceId,
+      { prefix: prefix, financialYear: financialYear, lastNumber: serial },
+      [],
+      transactionId
+    );
+  }
+
+  return formatInvoiceNumber(prefix, financialYear, serial);
+}
+
+/**
+ * Split a GST amount (paise) into CGST/SGST or IGST.
+ */
+export function splitGst(taxPaise, sellerStateCode, placeOfSupplyStateCode) {
+  if (!sellerStateCode || !placeOfSupplyStateCode || sellerStateCode === placeOfSupplyStateCode) {
+    const cgst = Math.floor(taxPaise / 2);
+    return { cgst: cgst, sgst: taxPaise - cgst, igst: 0 };
+  }
+  return { cgst: 0, sgst: 0, igst: taxPaise };
+}
+
+/**
+ * Render an invoice model as a standalone HTML page.
+ */
+export function renderInvoiceHtml(invoice) {
+  const rows = invoice.lines.map(line => `
+      <tr>
+        <td>${escapeHtml(line.description)}</td>
+        <td>${escapeHtml(line.sac)}</td>
+        <td class="num">${line.quantity}</td>
+        <td class="num">${formatAmount(line.taxablePaise)}</td>
+      </tr>`).join('');
+
+  const taxRows = taxSummary(invoice).map(([label, paise]) => `
+      <tr><td colspan="3">${escapeHtml(label)}</td><td class="num">${formatAmount(paise)}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(documentTitle(invoice))} ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 32px; }
+    table { border-collapse: collapse; width: 100%; margin-top: 16px; }
+    td, th { border: 1px solid #ccc; padding: 6px; text-align: left; }
+    .num { text-align: right; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(documentTitle(invoice))}</h1>
+  <p>
+    <strong>${escapeHtml(invoice.seller.name)}</strong><br>
+    ${escapeHtml(invoice.seller.address)}<br>
+    GSTIN: ${escapeHtml(invoice.seller.gstin)}
+  </p>
+  <p>
+    No.: ${escapeHtml(invoice.number)}<br>
+    Date: ${escapeHtml(invoice.issuedAt.slice(0, 10))}<br>
+    ${invoice.originalInvoiceNumber ? `Against invoice: ${escapeHtml(invoice.originalInvoiceNumber)}<br>` : ''}
+    Place of supply: ${escapeHtml(invoice.placeOfSupply)}<br>
+    Order: ${escapeHtml(invoice.orderId)}
+  </p>
+  <p>
+    Billed to: ${escapeHtml(invoice.buyer.name)}<br>
+    ${escapeHtml(invoice.buyer.email)}
+    ${invoice.buyer.gstin ? `<br>GSTIN: ${escapeHtml(invoice.buyer.gstin)}` : ''}
+  </p>
+  <table>
+    <tr><th>Description</th><th>HSN/SAC</th><th class="num">Qty</th><th class="num">Taxable value</th></tr>${rows}${taxRows}
+      <tr><th colspan="3">Total</th><th class="num">${formatAmount(invoice.totalPaise)}</th></tr>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render an invoice model as a PDF. Resolves to a Buffer.
+ */
+export function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 48 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(18).text(documentTitle(invoice));
+    doc.moveDown();
+    doc.fontSize(10)
+      .text(invoice.seller.name)
+      .text(invoice.seller.address)
+      .text(`GSTIN: ${invoice.seller.gstin}`);
+    doc.moveDown();
+    doc.text(`No.: ${invoice.number}`)
+      .text(`Date: ${invoice.issuedAt.slice(0, 10)}`);
+    if (invoice.originalInvoiceNumber) {
+      doc.text(`Against invoice: ${invoice.originalInvoiceNumber}`);
+    }
+    doc.text(`Place of supply: ${invoice.placeOfSupply}`)
+      .text(`Order: ${invoice.orderId}`);
+    doc.moveDown();
+    doc.text(`Billed to: ${invoice.buyer.name}`).text(invoice.buyer.email);
+    if (invoice.buyer.gstin) {
+      doc.text(`GSTIN: ${invoice.buyer.gstin}`);
+    }
+    doc.moveDown();
+
+    for (const line of invoice.lines) {
+      doc.text(`${line.description}  |  SAC ${line.sac}  |  Qty ${line.quantity}  |  ${formatAmount(line.taxablePaise)}`);
+    }
+    doc.moveDown();
+    for (const [label, paise] of taxSummary(invoice)) {
+      doc.text(`${label}: ${formatAmount(paise)}`);
+    }
+    doc.fontSize(12).text(`Total: ${formatAmount(invoice.totalPaise)}`);
+
+    doc.end();
+  });
+}
+
+function documentTitle(invoice) {
+  return invoice.type === 'credit_note' ? 'Credit Note' : 'Tax Invoice';
+}
+
+// GST is stated on the value it was charged on, which leaves out the
+// handling fee unless GST_ON_HANDLING_FEE is set
+function taxSummary(invoice) {
+  const rows = [['Taxable value', invoice.taxablePaise]];
+  if (invoice.gstBasePaise !== invoice.taxablePaise) {
+    rows.push(['Value subject to GST', invoice.gstBasePaise]);
+  }
+  if (invoice.igstPaise > 0) {
+    rows.push([`IGST @ ${invoice.gstRatePercent}%`, invoice.igstPaise]);
+  } else {
+    rows.push([`CGST @ ${invoice.gstRatePercent / 2}%`, invoice.cgstPaise]);
+    rows.push([`SGST @ ${invoice.gstRatePercent / 2}%`, invoice.sgstPaise]);
+  }
+  return rows;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
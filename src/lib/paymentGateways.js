@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import { createRazorpayGateway } from './razorpay.js';
+import { createStripeGateway } from './stripe.js';
+
+/**
+ * Payment Gateway Adapters
+ *
+ * Every payment-taking function goes through an adapter instead of calling a
+ * gateway directly, so a new gateway only needs a new adapter here. An
+ * adapter has:
+ *
+ * - name / label:       key used in requests ('razorpay') and the name
+ *                       stored in `transactions.gateway` ('RazorPay')
+ * - checkoutFields:     request fields the client must send
+ * - isConfigured():     whether the credentials needed to verify are set
+ * - readCheckout(body): { paymentId, gatewayOrderId, signature } from a request
+ * - verifyPayment(checkout) → { verified, code?, reason?, payment? }; a
+ *   verified payment is captured, in INR, and `payment` (as from
+ *   fetchPayment) carries the captured amount for the caller to check
+ * - checkoutFromPayment({ paymentId, gatewayOrderId }): the checkout fields
+ *   for a payment already confirmed by a verified webhook
+ * - fetchPayment(paymentId) → { paymentId, gatewayOrderId, status, amountPaise, currency, paymentMethod, metadata }
+ *   with status one of pending, authorized, captured, refunded, failed, and
+ *   paymentMethod identifying the card, UPI ID or wallet where known
+ * - refundPayment(paymentId, amountPaise, { reason, receipt }) → { refundId, status, amountPaise }
+ *   where `receipt` also makes the refund idempotent where the gateway supports it;
+ *   processRefunds.js pays out `refunds` with it and buyResaleTicket.js
+ *   refunds buyers who paid for a listing that was gone
+ * - parseWebhook(rawBody, headers) → { verified, event? } with event
+ *   { id, type, paymentId, gatewayOrderId, refundId, amountPaise, currency, metadata }.
+ *   Event types use RazorPay's names (payment.captured, refund.processed)
+ *   for every gateway.
+ *
+ * Requests pick an adapter with `gateway` (default: razorpay). Stored
+ * labels resolve too, so `getPaymentGateway(transaction.gateway)` finds the
+ * adapter that took a payment.
+ *
+ * bookTicketAtomic.js keys the `transactions` document of a booking on
+ * paymentTransactionId(gateway, paymentId), so a payment can only ever be
+ * booked once: a second commit fails with a 409.
+ */
+
+export const DEFAULT_PAYMENT_GATEWAY = 'razorpay';
+
+const GATEWAY_FACTORIES = {
+  razorpay: createRazorpayGateway,
+  stripe: createStripeGateway
+};
+
+export function listPaymentGateways() {
+  return Object.keys(GATEWAY_FACTORIES);
+}
+
+/**
+ * Adapter for `name` (case-insensitive), or null for an unknown gateway.
+ */
+export function getPaymentGateway(name, env = process.env) {
+  const factory = GATEWAY_FACTORIES[String(name || DEFAULT_PAYMENT_GATEWAY).trim().toLowerCase()];
+  return factory ? factory(env) : null;
+}
+
+/**
+ * Document ID of the `transactions` record for a gateway's payment.
+ */
+export function paymentTransactionId(gatewayName, paymentId) {
+  const gateway = String(gatewayName || DEFAULT_PAYMENT_GATEWAY).trim().toLowerCase();
+  return crypto.createHash('sha256').update(`${gateway}:${paymentId}`).digest('hex').slice(0, 36);
+}
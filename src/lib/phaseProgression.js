@@ -0,0 +1,109 @@
+import { ID } from 'node-appwrite';
+
+/**
+ * Pricing Phase Progression
+ *
+ * Moves a tier from its current pricing phase to the next one in its
+ * `upcomingPhases` schedule (see lib/ticketTiers.js) when:
+ * - the current phase has sold out (`quantity` reached 0), or
+ * - the current phase's `phaseEndsAt` has passed.
+ *
+ * What happens to unsold tickets of a phase that closes on its deadline is
+ * decided per event by `events.phaseCarryOver` (or the DEFAULT_PHASE_CARRY_OVER
+ * environment variable):
+ * - 'carry'   (default): unsold tickets are added to the next phase
+ * - 'discard': unsold tickets are withdrawn from sale
+ *
+ * Every change is returned so callers can record it in `tierPhaseChanges`.
+ */
+
+export function getCarryOverRule(eventDoc, env = process.env) {
+  const rule = eventDoc.phaseCarryOver || env.DEFAULT_PHASE_CARRY_OVER;
+  return rule === 'discard' ? 'discard' : 'carry';
+}
+
+/**
+ * Advance every tier whose current phase is sold out or past its deadline.
+ * Returns `{ tiers, changes, ticketsLeftDelta }`; `ticketsLeftDelta` is how
+ * much `events.ticketsLeft` must change to stay equal to the sum of tier
+ * quantities.
+ */
+export function advanceTierPhases(tiers, carryOverRule, now = new Date()) {
+  const changes = [];
+  let ticketsLeftDelta = 0;
+
+  const advancedTiers = tiers.map(original => {
+    let tier = original;
+
+    while ((tier.upcomingPhases || []).length > 0) {
+      const soldOut = tier.quantity <= 0;
+      const deadlinePassed = tier.phaseEndsAt && new Date(tier.phaseEndsAt) <= now;
+
+      if (!soldOut && !deadlinePassed) {
+        break;
+      }
+
+      const [next, ...remaining] = tier.upcomingPhases;
+      const carriedOver = carryOverRule === 'carry' ? tier.quantity : 0;
+      const nextQuantity = (parseInt(next.quantity) || 0) + carriedOver;
+
+      ticketsLeftDelta += nextQuantity - tier.quantity;
+
+      changes.push({
+        ticketTypeName: tier.name,
+        fromPhase: tier.phase,
+        toPhase: next.phase,
+        fromPrice: tier.price,
+        toPrice: next.price,
+        reason: soldOut ? 'sold_out' : 'deadline',
+        unsoldQuantity: tier.quantity,
+        carriedOver: carriedOver,
+        newQuantity: nextQuantity
+      });
+
+      tier = {
+        ...tier,
+        phase: next.phase,
+        price: next.price,
+        quantity: nextQuantity,
+        phaseEndsAt: next.endsAt || null,
+        upcomingPhases: remaining
+      };
+    }
+
+    return tier;
+  });
+
+  return { tiers: advancedTiers, changes, ticketsLeftDelta };
+}
+
+/**
+ * Stage one `tierPhaseChanges` document per change inside `transactionId`.
+ */
+export async function recordPhaseChanges(databases, databaseId, eventId, changes, triggeredBy, transactionId) {
+  const changedAt = new Date().toISOString();
+
+  for (const change of changes) {
+    await databases.createDocument(
+      databaseId,
+      'tierPhaseChanges',
+      ID.unique(),
+      {
+        eventId: eventId,
+        ticketTypeName: change.ticketTypeName,
+        fromPhase: change.fromPhase,
+        toPhase: change.toPhase,
+        fromPrice: change.fromPrice,
+        toPrice: change.toPrice,
+        reason: change.reason,
+        unsoldQuantity: change.unsoldQuantity,
+        carriedOver: change.carriedOver,
+        newQuantity: change.newQuantity,
+        triggeredBy: triggeredBy,
+        changedAt: changedAt
+      },
+      [],
+      transactionId
+    );
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Phone Number Normalisation
+ *
+ * Phone numbers are stored in E.164 (`+919876543210`) so the same number
+ * always has one form. Input may be national (`9876543210`, with or without
+ * the trunk prefix `0`), international (`+91 98765 43210`, `0091...`) or
+ * the country calling code without `+` (`919876543210`); spaces, dashes,
+ * dots and brackets are ignored.
+ *
+ * Each supported country has its calling code, the lengths of its national
+ * numbers, the digits they may start with and its trunk prefix. Numbers
+ * from countries not listed here are refused.
+ *
+ * Error codes:
+ * - INVALID_PHONE:            wrong length or prefix for the country
+ * - UNSUPPORTED_COUNTRY_CODE: calling code not in COUNTRY_RULES
+ */
+
+export const DEFAULT_COUNTRY_CODE = '+91';
+
+export const COUNTRY_RULES = [
+  { country: 'IN', callingCode: '91', nationalLengths: [10], leadingDigits: /^[6-9]/, trunkPrefix: '0' },
+  { country: 'US', callingCode: '1', nationalLengths: [10], leadingDigits: /^[2-9]\d{2}[2-9]/, trunkPrefix: '1' },
+  { country: 'GB', callingCode: '44', nationalLengths: [10], leadingDigits: /^[1-9]/, trunkPrefix: '0' },
+  { country: 'AE', callingCode: '971', nationalLengths: [8, 9], leadingDigits: /^[2-9]/, trunkPrefix: '0' },
+  { country: 'SA', callingCode: '966', nationalLengths: [9], leadingDigits: /^[1-9]/, trunkPrefix: '0' },
+  { country: 'QA', callingCode: '974', nationalLengths: [8], leadingDigits: /^[3-7]/, trunkPrefix: '' },
+  { country: 'SG', callingCode: '65', nationalLengths: [8], leadingDigits: /^[3689]/, trunkPrefix: '' },
+  { country: 'AU', callingCode: '61', nationalLengths: [9], leadingDigits: /^[2-478]/, trunkPrefix: '0' },
+  { country: 'NP', callingCode: '977', nationalLengths: [8, 10], leadingDigits: /^[1-9]/, trunkPrefix: '0' },
+  { country: 'LK', callingCode: '94', nationalLengths: [9], leadingDigits: /^[1-9]/, trunkPrefix: '0' },
+  { country: 'BD', callingCode: '880', nationalLengths: [10], leadingDigits: /^1[3-9]/, trunkPrefix: '0' }
+];
+
+/**
+ * Parse `phone` into E.164. National numbers are read in the country of
+ * `countryCode` (e.g. '+91'). Returns
+ * `{ phone: { e164, countryCode, nationalNumber, country } }` or
+ * `{ error: { code, message } }`.
+ */
+export function normalizePhoneNumber(phone, countryCode = DEFAULT_COUNTRY_CODE) {
+  const raw = String(phone ?? '').trim().replace(/[\s().-]/g, '');
+
+  if (!/^(\+|00)?\d+$/.test(raw)) {
+    return phoneError('INVALID_PHONE', 'Phone number may only contain digits and a leading +');
+  }
+
+  if (raw.startsWith('+') || raw.startsWith('00')) {
+    const digits = raw.replace(/^(\+|00)/, '');
+    const rule = findRuleForInternationalNumber(digits);
+    if (!rule) {
+      return phoneError('UNSUPPORTED_COUNTRY_CODE', 'Phone numbers from this country are not supported');
+    }
+    return checkNationalNumber(rule, digits.slice(rule.callingCode.length));
+  }
+
+  const rule = findRuleByCallingCode(String(countryCode ?? DEFAULT_COUNTRY_CODE).replace(/^(\+|00)/, ''));
+  if (!rule) {
+    return phoneError('UNSUPPORTED_COUNTRY_CODE', 'Phone numbers from this country are not supported');
+  }
+
+  let national = raw;
+  if (rule.trunkPrefix && national.startsWith(rule.trunkPrefix) &&
+      rule.nationalLengths.includes(national.length - rule.trunkPrefix.length)) {
+    national = national.slice(rule.trunkPrefix.length);
+  } else if (national.startsWith(rule.callingCode) &&
+      rule.nationalLengths.includes(national.length - rule.callingCode.length)) {
+    national = national.slice(rule.callingCode.length);
+  }
+
+  return checkNationalNumber(rule, national);
+}
+
+/**
+ * Every form the number may have been stored in before numbers were
+ * normalised, for matching existing `users.phoneNumber` values.
+ */
+export function phoneNumberVariants({ e164, nationalNumber, countryCode }) {
+  const rule = findRuleByCallingCode(countryCode.slice(1));
+  const variants = [e164, nationalNumber, `${countryCode.slice(1)}${nationalNumber}`];
+  if (rule?.trunkPrefix) {
+    variants.push(`${rule.trunkPrefix}${nationalNumber}`);
+  }
+  return [...new Set(variants)];
+}
+
+function checkNationalNumber(rule, national) {
+  if (!rule.nationalLengths.includes(national.length) || !rule.leadingDigits.test(national)) {
+    return phoneError(
+      'INVALID_PHONE',
+      `Phone number is not a valid ${rule.country} number (${rule.nationalLengths.join(' or ')} digits after +${rule.callingCode})`
+    );
+  }
+
+  return {
+    phone: {
+      e164: `+${rule.callingCode}${national}`,
+      countryCode: `+${rule.callingCode}`,
+      nationalNumber: national,
+      country: rule.country
+    }
+  };
+}
+
+function findRuleByCallingCode(callingCode) {
+  return COUNTRY_RULES.find(rule => rule.callingCode === callingCode) || null;
+}
+
+// Calling codes are prefix-free, so at most one rule matches
+function findRuleForInternationalNumber(digits) {
+  return COUNTRY_RULES.find(rule => digits.startsWith(rule.callingCode)) || null;
+}
+
+function phoneError(code, message) {
+  return { error: { code, message } };
+}
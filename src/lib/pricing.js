@@ -0,0 +1,183 @@
+/**
+ * Server-side Ticket Pricing
+ *
+ * Works out the full price breakdown of a booking from the tier price stored
+ * in `events.categories` (e.g. `VIP:Rs.1500:20:Phase1`) and the configured
+ * fee/tax policy, so that amounts written to `orders` and `tickets` never
+ * come from the client.
+ *
+ * All arithmetic is done in paise (integers) to avoid floating point drift;
+ * amounts are only converted back to rupee strings when formatted.
+ *
+ * Policy (environment variables):
+ * - TICKET_GST_RATE: GST percentage applied to the subtotal (default 18)
+ * - INTERNET_HANDLING_FEE_PER_TICKET: flat fee in rupees per ticket (default 0)
+ * - INTERNET_HANDLING_FEE_PERCENT: fee as a percentage of the subtotal (default 0)
+ * - GST_ON_HANDLING_FEE: 'true' to also charge GST on the handling fee (default false)
+ */
+
+// Client totals may differ from ours by at most one paisa of rounding
+const AMOUNT_TOLERANCE_PAISE = 1;
+
+/**
+ * Read the fee/tax policy from the environment.
+ */
+export function getPricingPolicy(env = process.env) {
+  return {
+    gstRatePercent: parseNumber(env.TICKET_GST_RATE, 18),
+    handlingFeePerTicketPaise: toPaise(parseNumber(env.INTERNET_HANDLING_FEE_PER_TICKET, 0)),
+    handlingFeePercent: parseNumber(env.INTERNET_HANDLING_FEE_PERCENT, 0),
+    gstOnHandlingFee: env.GST_ON_HANDLING_FEE === 'true'
+  };
+}
+
+/**
+ * Parse a formatted tier price such as `Rs.1500`, `Rs. 1,499.50` or `1500`
+ * into paise. Returns null when the price is not a valid non-negative number.
+ */
+export function parsePriceToPaise(formattedPrice) {
+  if (formattedPrice === undefined || formattedPrice === null) {
+    return null;
+  }
+
+  const numeric = String(formattedPrice)
+    .replace(/^\s*(Rs\.?|INR|₹)\s*/i, '')
+    .replace(/,/g, '')
+    .trim();
+
+  if (!/^\d+(\.\d+)?$/.test(numeric)) {
+    return null;
+  }
+
+  return toPaise(parseFloat(numeric));
+}
+
+/**
+ * Compute the price breakdown for `quantity` tickets at `unitPricePaise`.
+ * `discountPaise` (e.g. from a promo code) is taken off the subtotal before
+ * fees and GST are worked out. Returns amounts in paise.
+ */
+export function computePriceBreakdown(unitPricePaise, quantity, policy = getPricingPolicy(), discountPaise = 0) {
+  const subtotal = unitPricePaise * quantity;
+  const discount = Math.min(discountPaise, subtotal);
+  const discountedSubtotal = subtotal - discount;
+
+  const internetHandlingFee =
+    policy.handlingFeePerTicketPaise * quantity +
+    Math.round((discountedSubtotal * policy.handlingFeePercent) / 100);
+
+  const gstBase = policy.gstOnHandlingFee ? discountedSubtotal + internetHandlingFee : discountedSubtotal;
+  const taxGST = Math.round((gstBase * policy.gstRatePercent) / 100);
+
+  return {
+    pricePerTicket: unitPricePaise,
+    subtotal: subtotal,
+    discount: discount,
+    taxGST: taxGST,
+    internetHandlingFee: internetHandlingFee,
+    totalAmountPaid: discountedSubtotal + taxGST + internetHandlingFee
+  };
+}
+
+/**
+ * Add up the breakdowns of several cart lines into order totals. The result
+ * has no `pricePerTicket`, which only makes sense per line.
+ */
+export function sumPriceBreakdowns(breakdowns) {
+  const totals = { subtotal: 0, discount: 0, taxGST: 0, internetHandlingFee: 0, totalAmountPaid: 0 };
+  for (const breakdown of breakdowns) {
+    for (const field of Object.keys(totals)) {
+      totals[field] += breakdown[field];
+    }
+  }
+  return totals;
+}
+
+/**
+ * Split a line's breakdown into `count` equal single-ticket breakdowns whose
+ * amounts add back up to the line's (`pricePerTicket` is kept as is).
+ */
+export function splitPriceBreakdown(breakdown, count) {
+  const weights = new Array(count).fill(1);
+  const shares = weights.map(() => ({ pricePerTicket: breakdown.pricePerTicket }));
+
+  for (const field of ['subtotal', 'discount', 'taxGST', 'internetHandlingFee']) {
+    allocateAmount(breakdown[field], weights).forEach((part, index) => {
+      shares[index][field] = part;
+    });
+  }
+
+  for (const share of shares) {
+    share.totalAmountPaid = share.subtotal - share.discount + share.taxGST + share.internetHandlingFee;
+  }
+
+  return shares;
+}
+
+/**
+ * Split `amountPaise` across lines in proportion to `weights` (e.g. line
+ * subtotals). Rounding leftovers go to the last line with a weight so the
+ * parts always add up to `amountPaise`.
+ */
+export function allocateAmount(amountPaise, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight <= 0) {
+    return weights.map(() => 0);
+  }
+
+  const parts = weights.map(weight => Math.floor((amountPaise * weight) / totalWeight));
+  const lastIndex = weights.map(weight => weight > 0).lastIndexOf(true);
+  parts[lastIndex] += amountPaise - parts.reduce((sum, part) => sum + part, 0);
+  return parts;
+}
+
+/**
+ * Compare the amounts the client sent against the server breakdown.
+ * Fields the client did not send are skipped. Returns a list of
+ * mismatches (empty when everything agrees).
+ */
+export function findPriceMismatches(breakdown, clientAmounts) {
+  const mismatches = [];
+
+  for (const field of Object.keys(breakdown)) {
+    const clientValue = clientAmounts[field];
+    if (clientValue === undefined || clientValue === null || clientValue === '') {
+      continue;
+    }
+
+    const clientPaise = parsePriceToPaise(clientValue);
+    if (clientPaise === null || Math.abs(clientPaise - breakdown[field]) > AMOUNT_TOLERANCE_PAISE) {
+      mismatches.push({
+        field: field,
+        expected: formatAmount(breakdown[field]),
+        received: String(clientValue)
+      });
+    }
+  }
+
+  return mismatches;
+}
+
+/**
+ * Format every amount of a breakdown as a rupee string with two decimals.
+ */
+export function formatBreakdown(breakdown) {
+  const formatted = {};
+  for (const [field, paise] of Object.entries(breakdown)) {
+    formatted[field] = formatAmount(paise);
+  }
+  return formatted;
+}
+
+export function formatAmount(paise) {
+  return (paise / 100).toFixed(2);
+}
+
+export function toPaise(rupees) {
+  return Math.round(rupees * 100);
+}
+
+function parseNumber(value, fallback) {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
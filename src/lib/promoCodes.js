@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import { Query } from 'node-appwrite';
+import { parsePriceToPaise } from './pricing.js';
+
+/**
+ * Promo Code Helpers
+ *
+ * `promoCodes` documents:
+ * - code:            upper-case code users type in (unique)
+ * - discountType:    'percent' or 'flat'
+ * - discountValue:   percentage (0-100) or flat amount in rupees
+ * - maxDiscount:     optional cap in rupees for percentage discounts
+ * - eventId:         event the code is valid for; empty for a global code
+ * - ticketTypeNames: tiers the code applies to; empty for every tier
+ * - validFrom / validUntil: optional ISO timestamps
+ * - maxUses:         optional total redemption cap
+ * - perUserLimit:    optional redemptions per user
+ * - usedCount:       redemptions so far
+ * - isActive:        false to switch a code off
+ *
+ * Each redemption is recorded in `promoRedemptions`. With a per-user limit
+ * of N a user's redemptions take the document IDs of slots 1..N (see
+ * promoRedemptionId), so two concurrent bookings that both find slot 1 free
+ * create the same document and only one of them can commit.
+ */
+
+export function normalizePromoCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Document ID of `userId`'s `slot`-th redemption of a promo code.
+ */
+export function promoRedemptionId(promoCodeId, userId, slot) {
+  return crypto.createHash('sha256').update(`${promoCodeId}:${userId}:${slot}`).digest('hex').slice(0, 36);
+}
+
+/**
+ * Load a promo code and check that `userId` may use it for this booking.
+ * `ticketTypeNames` are the tiers being bought; the code must apply to at
+ * least one of them. Reads happen inside `transactionId` so concurrent
+ * redemptions conflict. Resolves to `{ promo, redemptionId }` or
+ * `{ error: { code, message } }`; `redemptionId` is the free per-user slot
+ * the redemption must be stored under, or null when the code has no
+ * per-user limit.
+ */
+export async function loadPromoForBooking(databases, databaseId, { code, userId, eventId, ticketTypeNames }, transactionId) {
+  const normalizedCode = normalizePromoCode(code);
+
+  const result = await databases.listDocuments(
+    databaseId,
+    'promoCodes',
+    [Query.equal('code', normalizedCode), Query.limit(1)],
+    transactionId
+  );
+
+  const promo = result.documents[0];
+  if (!promo) {
+    return { error: { code: 'PROMO_NOT_FOUND', message: 'Promo code not found' } };
+  }
+
+  const invalid = validatePromoCode(promo, { eventId, ticketTypeNames });
+  if (invalid) {
+    return { error: invalid };
+  }
+
+  const perUserLimit = parseInt(promo.perUserLimit) || 0;
+  if (perUserLimit === 0) {
+    return { promo, redemptionId: null };
+  }
+
+  for (let slot = 1; slot <= perUserLimit; slot++) {
+    const redemptionId = promoRedemptionId(promo.$id, userId, slot);
+    try {
+      await databases.getDocument(databaseId, 'promoRedemptions', redemptionId, [], transactionId);
+    } catch (err) {
+      if (err.code === 404) {
+        return { promo, redemptionId };
+      }
+      throw err;
+    }
+  }
+
+  return { error: { code: 'PROMO_USER_LIMIT_REACHED', message: 'You have already used this promo code' } };
+}
+
+/**
+ * Check a promo code's status, validity window, scope and total cap.
+ * Returns null when valid, otherwise `{ code, message }`.
+ */
+export function validatePromoCode(promo, { eventId, ticketTypeNames }, now = new Date()) {
+  if (promo.isActive === false) {
+    return { code: 'PROMO_INACTIVE', message: 'This promo code is no longer active' };
+  }
+
+  if (promo.validFrom && new Date(promo.validFrom) > now) {
+    return { code: 'PROMO_NOT_STARTED', message: 'This promo code is not valid yet' };
+  }
+
+  if (promo.validUntil && new Date(promo.validUntil) < now) {
+    return { code: 'PROMO_EXPIRED', message: 'This promo code has expired' };
+  }
+
+  if (promo.eventId && promo.eventId !== eventId) {
+    return { code: 'PROMO_NOT_APPLICABLE', message: 'This promo code is not valid for this event' };
+  }
+
+  if (!ticketTypeNames.some(ticketTypeName => promoAppliesToTier(promo, ticketTypeName))) {
+    return { code: 'PROMO_NOT_APPLICABLE', message: 'This promo code is not valid for this ticket type' };
+  }
+
+  const maxUses = parseInt(promo.maxUses) || 0;
+  if (maxUses > 0 && (parseInt(promo.usedCount) || 0) >= maxUses) {
+    return { code: 'PROMO_USAGE_LIMIT_REACHED', message: 'This promo code has been fully redeemed' };
+  }
+
+  return null;
+}
+
+/**
+ * Whether the promo code's tier scope includes `ticketTypeName`.
+ */
+export function promoAppliesToTier(promo, ticketTypeName) {
+  const ticketTypeNames = promo.ticketTypeNames || [];
+  return ticketTypeNames.length === 0 || ticketTypeNames.includes(ticketTypeName);
+}
+
+/**
+ * Discount in paise for a subtotal in paise. Never exceeds the subtotal.
+ */
+export function computePromoDiscount(promo, subtotalPaise) {
+  let discountPaise = 0;
+
+  if (promo.discountType === 'percent') {
+    const percent = Math.min(100, Math.max(0, parseFloat(promo.discountValue) || 0));
+    discountPaise = Math.round((subtotalPaise * percent) / 100);
+
+    const maxDiscountPaise = parsePriceToPaise(promo.maxDiscount);
+    if (maxDiscountPaise) {
+      discountPaise = Math.min(discountPaise, maxDiscountPaise);
+    }
+  } else if (promo.discountType === 'flat') {
+    discountPaise = parsePriceToPaise(promo.discountValue) || 0;
+  }
+
+  return Math.min(discountPaise, subtotalPaise);
+}
@@ -0,0 +1,156 @@
+import { Query } from 'node-appwrite';
+
+/**
+ * Purchase Limits and Velocity Checks
+ *
+ * Per-user cap:
+ * `events.maxTicketsPerUser` (or MAX_TICKETS_PER_USER for events without
+ * one; unset or 0 means no cap) limits how many tickets one user can buy for
+ * an event across all of their orders. Tickets of their orders count until
+ * cancelled, even after being transferred away, and so do their unexpired
+ * holds, so a cap can not be worked around by reserving or transferring.
+ *
+ * Velocity rules:
+ * PURCHASE_VELOCITY_RULES is a JSON list of
+ * `{ by: 'user' | 'device' | 'paymentMethod', maxOrders, windowMinutes }`
+ * limiting how many orders a user, device (`orders.deviceId`) or payment
+ * method (`orders.paymentMethodId`) may place across all events within a
+ * rolling window. A booking that breaks a rule is not refused, because the
+ * buyer has already paid: its order is held for review instead (see
+ * reviewHeldOrder.js). Set it to `[]` to turn the checks off.
+ */
+
+export const DEFAULT_VELOCITY_RULES = [
+  { by: 'user', maxOrders: 5, windowMinutes: 10 },
+  { by: 'device', maxOrders: 8, windowMinutes: 10 },
+  { by: 'paymentMethod', maxOrders: 10, windowMinutes: 60 }
+];
+
+const VELOCITY_FIELDS = {
+  user: 'userId',
+  device: 'deviceId',
+  paymentMethod: 'paymentMethodId'
+};
+
+// A user's orders for one event are few; this bounds a single lookup
+const MAX_ORDERS_PER_LOOKUP = 100;
+
+/**
+ * The per-user ticket cap for an event, or null when there is none.
+ */
+export function getMaxTicketsPerUser(eventDoc, env = process.env) {
+  const cap = parseInt(eventDoc.maxTicketsPerUser ?? env.MAX_TICKETS_PER_USER);
+  return cap > 0 ? cap : null;
+}
+
+/**
+ * Tickets the user already has for the event inside `transactionId`: the
+ * uncancelled tickets of their orders plus their unexpired holds. Pass
+ * `excludeHoldId` when booking a hold, whose seats are the booking itself.
+ */
+export async function countUserEventTickets(databases, databaseId, { userId, eventId, excludeHoldId }, transactionId) {
+  let count = 0;
+
+  const orders = await databases.listDocuments(
+    databaseId,
+    'orders',
+    [
+      Query.equal('userId', userId),
+      Query.equal('eventId', eventId),
+      Query.select(['$id']),
+      Query.limit(MAX_ORDERS_PER_LOOKUP)
+    ],
+    transactionId
+  );
+
+  if (orders.documents.length > 0) {
+    const tickets = await databases.listDocuments(
+      databaseId,
+      'tickets',
+      [
+        Query.equal('orderId', orders.documents.map(order => order.$id)),
+        Query.notEqual('status', 'cancelled'),
+        Query.select(['$id', 'quantity']),
+        Query.limit(MAX_ORDERS_PER_LOOKUP * 10)
+      ],
+      transactionId
+    );
+    count += tickets.documents.reduce((sum, ticket) => sum + (parseInt(ticket.quantity) || 0), 0);
+  }
+
+  const holds = await databases.listDocuments(
+    databaseId,
+    'ticketHolds',
+    [
+      Query.equal('userId', userId),
+      Query.equal('eventId', eventId),
+      Query.equal('status', 'active')
+    ],
+    transactionId
+  );
+  // Expired holds are about to be released by the sweeper
+  const now = new Date();
+  count += holds.documents
+    .filter(hold => hold.$id !== excludeHoldId && new Date(hold.expiresAt) > now)
+    .reduce((sum, hold) => sum + (parseInt(hold.quantity) || 0), 0);
+
+  return count;
+}
+
+/**
+ * The configured velocity rules. Malformed entries are dropped, and
+ * unparseable configuration falls back to the defaults.
+ */
+export function getVelocityRules(env = process.env) {
+  let rules = null;
+
+  try {
+    rules = env.PURCHASE_VELOCITY_RULES ? JSON.parse(env.PURCHASE_VELOCITY_RULES) : null;
+  } catch (err) {
+    rules = null;
+  }
+
+  return (Array.isArray(rules) ? rules : DEFAULT_VELOCITY_RULES)
+    .map(rule => ({
+      by: rule?.by,
+      maxOrders: parseInt(rule?.maxOrders),
+      windowMinutes: parseInt(rule?.windowMinutes)
+    }))
+    .filter(rule => VELOCITY_FIELDS[rule.by] && rule.maxOrders > 0 && rule.windowMinutes > 0);
+}
+
+/**
+ * Check one more order by `{ userId, deviceId, paymentMethodId }` against
+ * the velocity rules inside `transactionId`. Rules whose key is missing
+ * from the booking are skipped. Resolves to the broken rules with the
+ * number of orders already placed in their window.
+ */
+export async function findVelocityViolations(databases, databaseId, keys, transactionId, rules = getVelocityRules(), now = new Date()) {
+  const violations = [];
+
+  for (const rule of rules) {
+    const field = VELOCITY_FIELDS[rule.by];
+    const value = keys[field];
+    if (!value) {
+      continue;
+    }
+
+    const since = new Date(now.getTime() - rule.windowMinutes * 60 * 1000).toISOString();
+    const recent = await databases.listDocuments(
+      databaseId,
+      'orders',
+      [
+        Query.equal(field, value),
+        Query.greaterThanEqual('$createdAt', since),
+        Query.limit(1)
+      ],
+      transactionId
+    );
+
+    if (recent.total + 1 > rule.maxOrders) {
+      violations.push({ ...rule, orders: recent.total });
+    }
+  }
+
+  return violations;
+}
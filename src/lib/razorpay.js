@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+
+/**
+ * RazorPay Helpers
+ *
+ * Shared by every function that accepts a RazorPay checkout result
+ * (`razorpay_order_id`, `razorpay_payment_id`, `razorpay_signature`), and
+ * the RazorPay adapter behind lib/paymentGateways.js.
+ */
+
+const RAZORPAY_API_URL = 'https://api.razorpay.com/v1';
+
+// Prices, orders and refunds are all in INR
+const SETTLEMENT_CURRENCY = 'INR';
+
+// RazorPay payment statuses mapped onto the gateway-neutral ones
+const PAYMENT_STATUSES = {
+  created: 'pending',
+  authorized: 'authorized',
+  captured: 'captured',
+  refunded: 'refunded',
+  failed: 'failed'
+};
+
+/**
+ * Verify a checkout signature. RazorPay signs `${order_id}|${payment_id}`
+ * with the key secret using HMAC-SHA256 and sends the hex digest as
+ * razorpay_signature.
+ */
+export function verifyRazorpaySignature(orderId, paymentId, signature, keySecret) {
+  return safeEqualHex(hmacHex(keySecret, `${orderId}|${paymentId}`), signature);
+}
+
+/**
+ * RazorPay adapter for lib/paymentGateways.js. Standard checkout and UPI
+ * intent flows both finish with the same signed
+ * `razorpay_order_id|razorpay_payment_id` pair, so one adapter covers both.
+ *
+ * Environment:
+ * - RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET: API credentials (the secret also
+ *   signs checkout results)
+ * - RAZORPAY_WEBHOOK_SECRET: secret configured on the webhook
+ */
+export function createRazorpayGateway(env = process.env) {
+  const keyId = env.RAZORPAY_KEY_ID;
+  const keySecret = env.RAZORPAY_KEY_SECRET;
+
+  async function request(method, path, body) {
+    if (!keyId || !keySecret) {
+      throw new Error('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET must be set to call the RazorPay API');
+    }
+
+    const response = await fetch(`${RAZORPAY_API_URL}${path}`, {
+      method: method,
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const err = new Error(`RazorPay API error: ${data.error?.description || response.statusText}`);
+      err.code = response.status;
+      throw err;
+    }
+    return data;
+  }
+
+  async function fetchPayment(paymentId) {
+    const payment = await request('GET', `/payments/${encodeURIComponent(paymentId)}`);
+    return normalizePayment(payment);
+  }
+
+  return {
+    name: 'razorpay',
+    label: 'RazorPay',
+    checkoutFields: ['razorpay_order_id', 'razorpay_payment_id', 'razorpay_signature'],
+
+    // Verification reads the payment back, so it needs the API key too
+    isConfigured() {
+      return Boolean(keyId && keySecret);
+    },
+
+    readCheckout(body) {
+      return {
+        gatewayOrderId: body.razorpay_order_id,
+        paymentId: body.razorpay_payment_id,
+        signature: body.razorpay_signature
+      };
+    },
+
+    // The signature only proves the payment belongs to the order; the
+    // amount, currency and capture are read back from the API
+    async verifyPayment({ gatewayOrderId, paymentId, signature }) {
+      if (!verifyRazorpaySignature(gatewayOrderId, paymentId, signature, keySecret)) {
+        return { verified: false, code: 'INVALID_PAYMENT_SIGNATURE', reason: 'Payment signature verification failed' };
+      }
+
+      let payment;
+      try {
+        payment = await fetchPayment(paymentId);
+      } catch (err) {
+        // RazorPay answers 400 for IDs it does not know
+        if (err.code === 400 || err.code === 404) {
+          return { verified: false, code: 'PAYMENT_NOT_FOUND', reason: 'Payment not found' };
+        }
+        throw err;
+      }
+
+      if (payment.status !== 'captured') {
+        return { verified: false, code: 'PAYMENT_NOT_CAPTURED', reason: `Payment is ${payment.status}`, payment: payment };
+      }
+      if (payment.currency !== SETTLEMENT_CURRENCY) {
+        return { verified: false, code: 'UNSUPPORTED_CURRENCY', reason: `Payments must be made in ${SETTLEMENT_CURRENCY}`, payment: payment };
+      }
+      return { verified: true, payment: payment };
+    },
+
+    // A payment confirmed by a verified webhook carries no client signature,
+    // so sign it the way checkout would
+    checkoutFromPayment({ paymentId, gatewayOrderId }) {
+      return {
+        razorpay_order_id: gatewayOrderId,
+        razorpay_payment_id: paymentId,
+        razorpay_signature: hmacHex(keySecret, `${gatewayOrderId}|${paymentId}`)
+      };
+    },
+
+    fetchPayment: fetchPayment,
+
+    async refundPayment(paymentId, amountPaise, { reason, receipt } = {}) {
+      const refund = await request('POST', `/payments/${encodeURIComponent(paymentId)}/refund`, {
+        amount: amountPaise,
+        ...(receipt && { receipt: receipt }),
+        notes: { reason: reason || '' }
+      });
+      return {
+        refundId: refund.id,
+        status: refund.status === 'processed' ? 'processed' : 'pending',
+        amountPaise: refund.amount
+      };
+    },
+
+    parseWebhook(rawBody, headers = {}) {
+      const secret = env.RAZORPAY_WEBHOOK_SECRET;
+      const signature = headers['x-razorpay-signature'];
+      if (!secret || !signature || !safeEqualHex(hmacHex(secret, rawBody), signature)) {
+        return { verified: false };
+      }
+
+      const payload = JSON.parse(rawBody);
+      const payment = payload.payload?.payment?.entity;
+      const refund = payload.payload?.refund?.entity;
+
+      return {
+        verified: true,
+        event: {
+          id: headers['x-razorpay-event-id'] || `${payload.event}:${refund?.id || payment?.id}`,
+          type: payload.event,
+          paymentId: refund?.payment_id || payment?.id || null,
+          gatewayOrderId: payment?.order_id || null,
+          refundId: refund?.id || null,
+          amountPaise: (refund || payment)?.amount ?? null,
+          currency: (refund || payment)?.currency || null,
+          metadata: (refund || payment)?.notes || {}
+        }
+      };
+    }
+  };
+}
+
+function normalizePayment(payment) {
+  return {
+    paymentId: payment.id,
+    gatewayOrderId: payment.order_id || null,
+    status: PAYMENT_STATUSES[payment.status] || 'pending',
+    amountPaise: payment.amount,
+    currency: payment.currency,
+    paymentMethod: payment.token_id || payment.card_id || payment.vpa || payment.wallet || payment.bank || null,
+    metadata: payment.notes || {}
+  };
+}
+
+function hmacHex(secret, value) {
+  return crypto.createHmac('sha256', secret).update(value).digest('hex');
+}
+
+function safeEqualHex(expectedHex, receivedHex) {
+  const expected = Buffer.from(expectedHex, 'utf8');
+  const received = Buffer.from(String(receivedHex), 'utf8');
+
+  // timingSafeEqual throws on length mismatch, so check that first
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+
+/**
+ * Stripe Helpers
+ *
+ * Stripe adapter behind lib/paymentGateways.js, used for international
+ * buyers. The client confirms a PaymentIntent with Stripe.js and sends its
+ * ID as `stripe_payment_intent_id`. Unlike RazorPay there is no checkout
+ * signature, so the payment is verified by fetching the PaymentIntent with
+ * the secret key.
+ *
+ * Stripe is INR-only: PaymentIntents must be created with `currency: 'inr'`
+ * and verifyPayment refuses any other currency (UNSUPPORTED_CURRENCY).
+ * International cards are charged in INR and converted by the card issuer;
+ * prices, orders, invoices and refunds never leave INR. Amounts are in the
+ * currency's smallest unit, which for INR is paise.
+ *
+ * Environment:
+ * - STRIPE_SECRET_KEY: API key
+ * - STRIPE_WEBHOOK_SECRET: signing secret of the webhook endpoint (whsec_...)
+ */
+
+const STRIPE_API_URL = 'https://api.stripe.com/v1';
+
+// See above: charges in any other currency are refused
+const SETTLEMENT_CURRENCY = 'INR';
+
+// Webhooks older than this are refused (replay protection), in seconds
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+// PaymentIntent statuses mapped onto the gateway-neutral ones
+const PAYMENT_STATUSES = {
+  succeeded: 'captured',
+  requires_capture: 'authorized',
+  canceled: 'failed'
+};
+
+// Stripe event types mapped onto the gateway-neutral (RazorPay) names
+const WEBHOOK_EVENT_TYPES = {
+  'payment_intent.succeeded': 'payment.captured',
+  'payment_intent.payment_failed': 'payment.failed'
+};
+
+export function createStripeGateway(env = process.env) {
+  const secretKey = env.STRIPE_SECRET_KEY;
+
+  async function request(method, path, params, idempotencyKey) {
+    if (!secretKey) {
+      throw new Error('STRIPE_SECRET_KEY must be set to call the Stripe API');
+    }
+
+    const response = await fetch(`${STRIPE_API_URL}${path}`, {
+      method: method,
+      headers: {
+        Authorization: `Bearer ${secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
+      },
+      body: params ? new URLSearchParams(params).toString() : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const err = new Error(`Stripe API error: ${data.error?.message || response.statusText}`);
+      err.code = response.status;
+      throw err;
+    }
+    return data;
+  }
+
+  async function fetchPayment(paymentId) {
+    const intent = await request('GET', `/payment_intents/${encodeURIComponent(paymentId)}`);
+    return normalizePaymentIntent(intent);
+  }
+
+  return {
+    name: 'stripe',
+    label: 'Stripe',
+    checkoutFields: ['stripe_payment_intent_id'],
+
+    isConfigured() {
+      return Boolean(secretKey);
+    },
+
+    readCheckout(body) {
+      return {
+        gatewayOrderId: null,
+        paymentId: body.stripe_payment_intent_id,
+        signature: null
+      };
+    },
+
+    async verifyPayment({ paymentId }) {
+      let payment;
+      try {
+        payment = await fetchPayment(paymentId);
+      } catch (err) {
+        if (err.code === 404) {
+          return { verified: false, code: 'PAYMENT_NOT_FOUND', reason: 'Payment not found' };
+        }
+        throw err;
+      }
+
+      if (payment.status !== 'captured') {
+        return { verified: false, code: 'PAYMENT_NOT_CAPTURED', reason: `Payment is ${payment.status}`, payment: payment };
+      }
+      if (payment.currency !== SETTLEMENT_CURRENCY) {
+        return { verified: false, code: 'UNSUPPORTED_CURRENCY', reason: `Payments must be made in ${SETTLEMENT_CURRENCY}`, payment: payment };
+      }
+      return { verified: true, payment: payment };
+    },
+
+    checkoutFromPayment({ paymentId }) {
+      return { stripe_payment_intent_id: paymentId };
+    },
+
+    fetchPayment: fetchPayment,
+
+    async refundPayment(paymentId, amountPaise, { reason, receipt } = {}) {
+      const refund = await request('POST', '/refunds', {
+        payment_intent: paymentId,
+        amount: String(amountPaise),
+        'metadata[reason]': reason || ''
+      }, receipt);
+      return {
+        refundId: refund.id,
+        status: refund.status === 'succeeded' ? 'processed' : 'pending',
+        amountPaise: refund.amount
+      };
+    },
+
+    parseWebhook(rawBody, headers = {}) {
+      const secret = env.STRIPE_WEBHOOK_SECRET;
+      if (!secret || !verifyWebhookSignature(rawBody, headers['stripe-signature'], secret)) {
+        return { verified: false };
+      }
+
+      const payload = JSON.parse(rawBody);
+      const object = payload.data?.object || {};
+      const isRefund = object.object === 'refund';
+
+      return {
+        verified: true,
+        event: {
+          id: payload.id,
+          type: isRefund ? refundEventType(object) : (WEBHOOK_EVENT_TYPES[payload.type] || payload.type),
+          paymentId: isRefund ? object.payment_intent : object.id,
+          gatewayOrderId: null,
+          refundId: isRefund ? object.id : null,
+          amountPaise: object.amount ?? null,
+          currency: object.currency?.toUpperCase() || null,
+          metadata: object.metadata || {}
+        }
+      };
+    }
+  };
+}
+
+function normalizePaymentIntent(intent) {
+  return {
+    paymentId: intent.id,
+    gatewayOrderId: null,
+    status: PAYMENT_STATUSES[intent.status] || 'pending',
+    amountPaise: intent.amount_received || intent.amount,
+    currency: intent.currency?.toUpperCase(),
+    paymentMethod: intent.payment_method || null,
+    metadata: intent.metadata || {}
+  };
+}
+
+// refund.created / refund.updated carry the refund; only a succeeded one is final
+function refundEventType(refund) {
+  if (refund.status === 'succeeded') return 'refund.processed';
+  if (refund.status === 'failed') return 'refund.failed';
+  return 'refund.pending';
+}
+
+/**
+ * Check a `Stripe-Signature` header (`t=<timestamp>,v1=<hex>,...`). Stripe
+ * signs `${timestamp}.${rawBody}` with HMAC-SHA256.
+ */
+function verifyWebhookSignature(rawBody, header, secret, now = Date.now()) {
+  if (!header) return false;
+
+  const parts = String(header).split(',').map(part => part.split('='));
+  const timestamp = parseInt(parts.find(([key]) => key === 't')?.[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+  if (isNaN(timestamp) || Math.abs(now / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex'),
+    'utf8'
+  );
+
+  return signatures.some(signature => {
+    const received = Buffer.from(signature, 'utf8');
+    return received.length === expected.length && crypto.timingSafeEqual(expected, received);
+  });
+}
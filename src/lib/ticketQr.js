@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { ID } from 'node-appwrite';
+import { InputFile } from 'node-appwrite/file';
+
+/**
+ * Ticket QR Code Helpers
+ *
+ * Ticket QR codes are built, signed and rendered on the server only, so a QR
+ * code cannot be printed for a guessed ticket ID. The encoded string is
+ *
+ *   TQ1.<base64url(claims)>.<base64url(HMAC-SHA256)>
+ *
+ * where the claims are the ticket ID (`t`), event ID (`e`), owner (`u`),
+ * holder name (`h`, per-attendee tickets), the ticket's `qrVersion` (`v`)
+ * and the issue time (`iat`, epoch seconds). `qrVersion` is bumped whenever
+ * a ticket changes hands or holder, so codes issued earlier stop matching
+ * the ticket.
+ *
+ * Environment:
+ * - TICKET_QR_SIGNING_SECRET: HMAC key (required)
+ * - TICKET_QR_CODE_BUCKET_ID: bucket the PNG images are stored in
+ */
+
+const PAYLOAD_PREFIX = 'TQ1';
+
+export function getTicketQrSecret(env = process.env) {
+  return env.TICKET_QR_SIGNING_SECRET || null;
+}
+
+/**
+ * Build and sign the string encoded in a ticket's QR code.
+ */
+export function buildTicketQrPayload({ ticketId, eventId, userId, holderName, qrVersion }, secret, issuedAt = new Date()) {
+  const claims = {
+    t: ticketId,
+    e: eventId,
+    u: userId || '',
+    h: holderName || '',
+    v: qrVersion || 0,
+    iat: Math.floor(issuedAt.getTime() / 1000)
+  };
+
+  const body = `${PAYLOAD_PREFIX}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}`;
+  return `${body}.${sign(body, secret)}`;
+}
+
+/**
+ * Verify a scanned QR string. Returns its claims when the signature is
+ * valid, otherwise null.
+ */
+export function verifyTicketQrPayload(payload, secret) {
+  const parts = String(payload || '').trim().split('.');
+  if (parts.length !== 3 || parts[0] !== PAYLOAD_PREFIX) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`, secret));
+  const received = Buffer.from(parts[2]);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Render the signed QR code as a PNG and upload it. Returns the new file
+ * ID; the caller is responsible for deleting it again if its transaction
+ * fails.
+ */
+export async function uploadTicketQr(storage, bucketId, ticket, secret) {
+  const png = await QRCode.toBuffer(buildTicketQrPayload(ticket, secret), {
+    type: 'png',
+    errorCorrectionLevel: 'M',
+    margin: 2,
+    width: 512
+  });
+
+  const file = await storage.createFile(
+    bucketId,
+    ID.unique(),
+    InputFile.fromBuffer(png, `${ticket.ticketId}_ticket_qr.png`)
+  );
+
+  return file.$id;
+}
+
+function sign(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
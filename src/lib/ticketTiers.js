@@ -0,0 +1,192 @@
+import { parsePriceToPaise, formatAmount } from './pricing.js';
+
+/**
+ * Ticket Tier Model
+ *
+ * The single place that reads and writes an event's ticket tiers.
+ *
+ * A tier is `{ name, price, quantity, phase }` where `price` is in rupees
+ * (number) and `quantity` is the number of tickets left in the tier.
+ * Structured tiers may also carry a pricing schedule (see
+ * lib/phaseProgression.js):
+ * - phaseEndsAt:    ISO timestamp when the current phase closes
+ * - upcomingPhases: `[{ phase, price, quantity, endsAt }]` opened in order
+ * - capacity:       optional total seats of the tier across all phases, used
+ *                   by reconcileBookings.js to recompute the expected quantity
+ *
+ * Storage:
+ * - `events.ticketTiers`: JSON string of the tier array (structured, source of truth)
+ * - `events.categories`:  legacy `name:price:quantity:phase` strings, e.g.
+ *                         `VIP:Rs.1500:20:Phase1`, kept in sync for old clients
+ *
+ * Events that have not been migrated yet (see migrateEventTicketTiers.js)
+ * only have `categories`; they are parsed on the fly and get `ticketTiers`
+ * the first time their inventory is written.
+ *
+ * Known phases can be overridden with the TICKET_TIER_PHASES environment
+ * variable (comma separated, in selling order).
+ */
+
+const DEFAULT_PHASES = ['Early Bird', 'Phase1', 'Phase2', 'Phase3', 'Regular', 'Final'];
+
+export function getKnownPhases(env = process.env) {
+  if (env.TICKET_TIER_PHASES) {
+    return env.TICKET_TIER_PHASES.split(',').map(phase => phase.trim()).filter(Boolean);
+  }
+  return DEFAULT_PHASES;
+}
+
+/**
+ * Parse a legacy `name:price:quantity:phase` entry. The numeric fields are
+ * read from the right so tier names containing colons survive. Returns null
+ * for entries with fewer than three fields.
+ */
+export function parseLegacyCategory(ticketTypeStr) {
+  const parts = String(ticketTypeStr).split(':').map(part => part.trim());
+  if (parts.length < 3) {
+    return null;
+  }
+
+  // `name:price:qty` (no phase) or `name...:price:qty:phase`
+  const hasPhase = parts.length >= 4 && !isNumeric(parts[parts.length - 1]);
+  const fields = hasPhase ? parts.slice(-3) : [...parts.slice(-2), ''];
+  const name = parts.slice(0, parts.length - (hasPhase ? 3 : 2)).join(':');
+
+  const pricePaise = parsePriceToPaise(fields[0]);
+
+  return {
+    name: name,
+    price: pricePaise === null ? null : pricePaise / 100,
+    quantity: parseInt(fields[1]) || 0,
+    phase: fields[2]
+  };
+}
+
+/**
+ * Format a tier in the legacy `name:Rs.price:quantity:phase` form.
+ */
+export function formatLegacyCategory(tier) {
+  return `${tier.name}:Rs.${formatPrice(tier.price)}:${tier.quantity}:${tier.phase}`;
+}
+
+/**
+ * Format a tier for the `tickets.category` field, e.g. `VIP:1500`.
+ */
+export function formatTicketCategory(tier) {
+  return `${tier.name}:${formatPrice(tier.price)}`;
+}
+
+/**
+ * Validate a tier. Returns a list of problems (empty when valid).
+ */
+export function validateTicketTier(tier, knownPhases = getKnownPhases()) {
+  const problems = [];
+
+  if (!tier.name || typeof tier.name !== 'string') {
+    problems.push('name is required');
+  }
+  if (typeof tier.price !== 'number' || isNaN(tier.price) || tier.price < 0) {
+    problems.push('price must be a non-negative number');
+  }
+  if (!Number.isInteger(tier.quantity) || tier.quantity < 0) {
+    problems.push('quantity must be a non-negative integer');
+  }
+  if (!knownPhases.includes(tier.phase)) {
+    problems.push(`phase must be one of: ${knownPhases.join(', ')}`);
+  }
+  if (tier.phaseEndsAt && isNaN(new Date(tier.phaseEndsAt).getTime())) {
+    problems.push('phaseEndsAt must be a valid date');
+  }
+
+  for (const upcoming of tier.upcomingPhases || []) {
+    const upcomingProblems = validateTicketTier(
+      { name: tier.name, price: upcoming.price, quantity: upcoming.quantity, phase: upcoming.phase, phaseEndsAt: upcoming.endsAt },
+      knownPhases
+    );
+    problems.push(...upcomingProblems.map(problem => `upcoming phase ${upcoming.phase}: ${problem}`));
+  }
+
+  return problems;
+}
+
+/**
+ * Read an event's tiers, preferring the structured `ticketTiers` field and
+ * falling back to the legacy `categories` strings.
+ */
+export function readTicketTiers(eventDoc) {
+  if (eventDoc.ticketTiers) {
+    try {
+      const tiers = JSON.parse(eventDoc.ticketTiers);
+      if (Array.isArray(tiers)) {
+        return tiers.map(tier => ({
+          ...tier,
+          price: typeof tier.price === 'number' ? tier.price : Number(tier.price),
+          quantity: parseInt(tier.quantity) || 0
+        }));
+      }
+    } catch (err) {
+      // Fall through to the legacy field
+    }
+  }
+
+  return (eventDoc.categories || []).map(parseLegacyCategory).filter(Boolean);
+}
+
+/**
+ * Build the event attributes to write for `tiers`: the structured field
+ * plus the legacy mirror.
+ */
+export function serializeTicketTiers(tiers) {
+  return {
+    ticketTiers: JSON.stringify(tiers),
+    categories: tiers.map(formatLegacyCategory)
+  };
+}
+
+/**
+ * Find a tier by name.
+ */
+export function findTicketTier(tiers, ticketTypeName) {
+  return tiers.find(tier => tier.name === ticketTypeName) || null;
+}
+
+/**
+ * Tier price in paise, or null when the price is not valid.
+ */
+export function tierPricePaise(tier) {
+  return tier && typeof tier.price === 'number' && !isNaN(tier.price) && tier.price >= 0
+    ? Math.round(tier.price * 100)
+    : null;
+}
+
+/**
+ * Return new tiers with `delta` added to the quantity of the named tier
+ * (negative to decrement). Quantities never go below zero.
+ */
+export function adjustTierQuantity(tiers, ticketTypeName, delta) {
+  return tiers.map(tier =>
+    tier.name === ticketTypeName
+      ? { ...tier, quantity: Math.max(0, tier.quantity + delta) }
+      : tier
+  );
+}
+
+/**
+ * Return the event's new `ticketsLeft` value (stored as a string) after
+ * adding `delta`.
+ */
+export function adjustTicketsLeft(ticketsLeft, delta) {
+  return Math.max(0, (parseInt(ticketsLeft) || 0) + delta).toString();
+}
+
+// Whole rupees print without decimals so legacy strings keep their old shape
+function formatPrice(price) {
+  if (typeof price !== 'number' || isNaN(price)) {
+    return '';
+  }
+  return Number.isInteger(price) ? String(price) : formatAmount(Math.round(price * 100));
+}
+
+function isNumeric(value) {
+  return /^\d+$/.test(value);
+}
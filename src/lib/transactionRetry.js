@@ -0,0 +1,89 @@
+/**
+ * Transaction Conflict Retry
+ *
+ * Appwrite refuses to commit a transaction (409) when a document it read was
+ * changed by another commit in the meantime, e.g. two buyers taking seats
+ * from the same event. Such a conflict is resolved by running the whole
+ * read-check-stage-commit sequence again with a fresh transaction, which
+ * retryOnConflict does with jittered exponential backoff. Anything other
+ * than a conflict, including every validation refusal, is never retried.
+ *
+ * Retries stop once the next attempt would not fit in the retry budget, so
+ * the function finishes well inside its timeout (15 s by default).
+ *
+ * Environment:
+ * - TRANSACTION_RETRY_MAX_ATTEMPTS: attempts including the first (default 4)
+ * - TRANSACTION_RETRY_BUDGET_MS:    time all attempts may take (default 8000)
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 4;
+const DEFAULT_BUDGET_MS = 8000;
+const BASE_DELAY_MS = 100;
+const MAX_DELAY_MS = 1500;
+
+/**
+ * Whether `err` is a transaction conflict worth retrying. A 409 for a
+ * document ID that is already taken is not: a retry would hit it again.
+ */
+export function isConflictError(err) {
+  if (err?.type === 'document_already_exists') {
+    return false;
+  }
+  return err?.code === 409 || Boolean(err?.message?.includes('conflict'));
+}
+
+export function getRetryPolicy(env = process.env) {
+  return {
+    maxAttempts: parseInt(env.TRANSACTION_RETRY_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+    budgetMs: parseInt(env.TRANSACTION_RETRY_BUDGET_MS) || DEFAULT_BUDGET_MS
+  };
+}
+
+/**
+ * Backoff before attempt `attempt + 1`: a random delay up to the
+ * exponentially growing cap ("full jitter"), so clients that collided
+ * once do not collide again.
+ */
+export function retryDelayMs(attempt, random = Math.random) {
+  const cap = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(random() * cap);
+}
+
+/**
+ * Run `operation(attempt)` (attempt counts from 1) until it does not throw
+ * a conflict. `beforeRetry(err, attempt)` is awaited before each retry to
+ * discard what the failed attempt left behind (its transaction, uploads).
+ *
+ * Resolves to `{ result, attempts }`. The error of the last attempt is
+ * rethrown with `attempts` set on it.
+ */
+export async function retryOnConflict(operation, { log = () => {}, beforeRetry = async () => {}, policy = getRetryPolicy() } = {}) {
+  const startedAt = Date.now();
+  let longestAttemptMs = 0;
+
+  for (let attempt = 1; ; attempt++) {
+    const attemptStartedAt = Date.now();
+
+    try {
+      const result = await operation(attempt);
+      return { result, attempts: attempt };
+    } catch (err) {
+      err.attempts = attempt;
+      longestAttemptMs = Math.max(longestAttemptMs, Date.now() - attemptStartedAt);
+
+      if (!isConflictError(err) || attempt >= policy.maxAttempts) {
+        throw err;
+      }
+
+      const delayMs = retryDelayMs(attempt);
+      if (Date.now() - startedAt + delayMs + longestAttemptMs > policy.budgetMs) {
+        log('Transaction conflict retry budget exhausted', { attempts: attempt, budgetMs: policy.budgetMs });
+        throw err;
+      }
+
+      log('Transaction conflict, retrying', { attempt, delayMs });
+      await beforeRetry(err, attempt);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+
+/**
+ * User QR Code Helpers
+ *
+ * With server-side generation turned on, atomicSignup.js builds every
+ * user's QR code itself instead of storing whatever image the client sent.
+ * The encoded string is
+ *
+ *   UQ1.<base64url(userId)>                            (no signing secret)
+ *   UQ1.<base64url(userId)>.<base64url(HMAC-SHA256)>   (USER_QR_SIGNING_SECRET set)
+ *
+ * `UQ1` versions the format so scanners can tell it apart from ticket codes
+ * (`TQ1`, see ticketQr.js) and from later formats. The user ID is encoded
+ * like the ticket claims are, since Appwrite IDs may contain `.`; the
+ * signature covers `UQ1.<base64url(userId)>`.
+ *
+ * Environment:
+ * - USER_QR_SERVER_GENERATION: 'true' to generate user QR codes on the server
+ * - USER_QR_SIGNING_SECRET:    optional HMAC key; codes are signed when set
+ */
+
+const PAYLOAD_PREFIX = 'UQ1';
+
+export function isServerUserQrEnabled(env = process.env) {
+  return env.USER_QR_SERVER_GENERATION === 'true';
+}
+
+export function getUserQrSecret(env = process.env) {
+  return env.USER_QR_SIGNING_SECRET || null;
+}
+
+/**
+ * Build the string encoded in a user's QR code, signed when a secret is
+ * given.
+ */
+export function buildUserQrPayload(userId, secret) {
+  const body = `${PAYLOAD_PREFIX}.${Buffer.from(String(userId)).toString('base64url')}`;
+  return secret ? `${body}.${sign(body, secret)}` : body;
+}
+
+/**
+ * Render a user's QR code as a PNG buffer.
+ */
+export function renderUserQr(userId, secret) {
+  return QRCode.toBuffer(buildUserQrPayload(userId, secret), {
+    type: 'png',
+    errorCorrectionLevel: 'M',
+    margin: 2,
+    width: 512
+  });
+}
+
+function sign(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
@@ -0,0 +1,183 @@
+import { ID, Query } from 'node-appwrite';
+import { formatAmount } from './pricing.js';
+import { findTicketTier, tierPricePaise, adjustTierQuantity } from './ticketTiers.js';
+
+/**
+ * Waitlist Helpers
+ *
+ * `waitlistEntries` documents (one per user and tier, see joinWaitlist.js):
+ * - userId, eventId, ticketTypeName, quantity
+ * - joinedAt:        place in line
+ * - status:          waiting → offered → claimed | expired
+ * - holdId:          the hold reserved for the user once offered
+ * - offerExpiresAt:  when the offer passes to the next person
+ *
+ * An offer is an ordinary ticket hold (see reserveTickets.js) with a
+ * `waitlistEntryId`, so the seats are reserved for the user, booking them
+ * goes through bookTicketAtomic with the `holdId`, and an unclaimed offer is
+ * released by releaseExpiredHolds.js, which offers the seats to the next
+ * person.
+ *
+ * Returned seats are offered in joining order. An entry that wants more
+ * seats than came back keeps its place and the seats go to the next entry
+ * that fits.
+ *
+ * Environment:
+ * - WAITLIST_OFFER_TTL_SECONDS: how long an offer is held (default 1800)
+ * - NOTIFICATION_TIME_ZONE: time zone of the offer deadline shown to users
+ *   (default Asia/Kolkata)
+ */
+
+const DEFAULT_OFFER_TTL_SECONDS = 1800;
+
+// Entries considered per tier each time seats come back
+const MAX_ENTRIES_PER_OFFER_ROUND = 100;
+
+export function getWaitlistOfferTtlSeconds(env = process.env) {
+  return parseInt(env.WAITLIST_OFFER_TTL_SECONDS) || DEFAULT_OFFER_TTL_SECONDS;
+}
+
+/**
+ * Offer the available seats of the tiers in `ticketTypeNames` to their
+ * waitlists, inside `transactionId`. Call it with the tiers after the
+ * returned seats were added and before the event is written. Resolves to
+ * `{ ticketTiers, ticketsLeftDelta, offers }`: the tiers with the offered
+ * seats taken out, how much `ticketsLeft` must change for that (negative),
+ * and the offers made, for notifyWaitlistOffers once committed.
+ */
+export async function offerReturnedTickets(databases, databaseId, { eventId, ticketTiers, ticketTypeNames }, transactionId, now = new Date()) {
+  const expiresAt = new Date(now.getTime() + getWaitlistOfferTtlSeconds() * 1000).toISOString();
+  const offers = [];
+  let tiers = ticketTiers;
+  let ticketsLeftDelta = 0;
+
+  for (const ticketTypeName of new Set(ticketTypeNames)) {
+    const tier = findTicketTier(tiers, ticketTypeName);
+    const unitPricePaise = tierPricePaise(tier);
+    if (!tier || tier.quantity <= 0 || unitPricePaise === null) {
+      continue;
+    }
+
+    const waiting = await databases.listDocuments(
+      databaseId,
+      'waitlistEntries',
+      [
+        Query.equal('eventId', eventId),
+        Query.equal('ticketTypeName', ticketTypeName),
+        Query.equal('status', 'waiting'),
+        Query.orderAsc('joinedAt'),
+        Query.limit(MAX_ENTRIES_PER_OFFER_ROUND)
+      ],
+      transactionId
+    );
+
+    let available = tier.quantity;
+
+    for (const entry of waiting.documents) {
+      const quantity = parseInt(entry.quantity) || 0;
+      if (quantity < 1 || quantity > available) {
+        continue;
+      }
+
+      const holdId = ID.unique();
+
+      await databases.createDocument(
+        databaseId,
+        'ticketHolds',
+        holdId,
+        {
+          userId: entry.userId,
+          eventId: eventId,
+          ticketTypeName: ticketTypeName,
+          quantity: quantity,
+          pricePerTicket: formatAmount(unitPricePaise),
+          phase: tier.phase || '',
+          status: 'active',
+          expiresAt: expiresAt,
+          waitlistEntryId: entry.$id
+        },
+        [],
+        transactionId
+      );
+
+      await databases.updateDocument(
+        databaseId,
+        'waitlistEntries',
+        entry.$id,
+        {
+          status: 'offered',
+          holdId: holdId,
+          offeredAt: now.toISOString(),
+          offerExpiresAt: expiresAt
+        },
+        [],
+        transactionId
+      );
+
+      available -= quantity;
+      offers.push({
+        waitlistEntryId: entry.$id,
+        userId: entry.userId,
+        ticketTypeName: ticketTypeName,
+        quantity: quantity,
+        holdId: holdId,
+        expiresAt: expiresAt
+      });
+
+      if (available === 0) {
+        break;
+      }
+    }
+
+    const offered = tier.quantity - available;
+    if (offered > 0) {
+      tiers = adjustTierQuantity(tiers, ticketTypeName, -offered);
+      ticketsLeftDelta -= offered;
+    }
+  }
+
+  return { ticketTiers: tiers, ticketsLeftDelta, offers };
+}
+
+/**
+ * Tell users about their offers through the in-app messages collection
+ * (MESSAGES_COLLECTION_ID, as used by sendLikeNotification.js). Runs after
+ * the commit; a failed notification never undoes an offer.
+ */
+export async function notifyWaitlistOffers(databases, databaseId, offers, eventDoc, { log, error }, env = process.env) {
+  if (offers.length === 0) {
+    return;
+  }
+
+  if (!env.MESSAGES_COLLECTION_ID) {
+    log('MESSAGES_COLLECTION_ID is not set; waitlist offers were not notified');
+    return;
+  }
+
+  for (const offer of offers) {
+    const expiresAt = new Date(offer.expiresAt).toLocaleTimeString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: true,
+      timeZone: env.NOTIFICATION_TIME_ZONE || 'Asia/Kolkata'
+    });
+
+    try {
+      await databases.createDocument(
+        databaseId,
+        env.MESSAGES_COLLECTION_ID,
+        ID.unique(),
+        {
+          groupsId: offer.userId,
+          senderId: 'system',
+          senderName: 'ShowGo',
+          textMessage: `🎟️ ${offer.quantity} × ${offer.ticketTypeName} for ${eventDoc.name} ${offer.quantity === 1 ? 'is' : 'are'} reserved for you until ${expiresAt}. Book now before the offer passes to the next person.`,
+          timestamp: new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true }),
+          profilePicUrl: ''
+        }
+      );
+    } catch (err) {
+      error(`Failed to notify waitlist offer ${offer.holdId}: ${err.message}`);
+    }
+  }
+}
@@ -0,0 +1,165 @@
+import { Client, Databases } from 'node-appwrite';
+import { parsePriceToPaise, formatAmount } from './lib/pricing.js';
+import { hoursUntilEvent } from './lib/eventDates.js';
+import { withIdempotency } from './lib/idempotency.js';
+
+/**
+ * List Ticket for Resale
+ *
+ * Puts a ticket on the resale marketplace by setting
+ * `tickets.isListedForSale` to 'true' together with its asking price.
+ *
+ * The asking price is capped at the ticket's face value
+ * (`pricePerTicket` x `quantity`) plus an allowed markup, so tickets cannot
+ * be scalped. The markup comes from `events.resaleMaxMarkupPercent` or the
+ * RESALE_MAX_MARKUP_PERCENT environment variable (default 0 = face value).
+ *
+ * The read-check-update runs in an Appwrite transaction so a listing never
+ * races with a purchase, cancellation or transfer of the same ticket.
+ */
+
+export default withIdempotency('listTicketForResale', async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+
+  let appwriteTransactionId = null;
+
+  try {
+    const { userId, ticketId, price } = JSON.parse(req.body || '{}');
+
+    log('Listing ticket for resale', { userId, ticketId, price });
+
+    if (!userId || !ticketId || price === undefined) {
+      return res.json({
+        success: false,
+        error: 'Missing required fields. Required: userId, ticketId, price',
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
+
+    const pricePaise = parsePriceToPaise(price);
+    if (pricePaise === null || pricePaise <= 0) {
+      return res.json({
+        success: false,
+        error: 'Price must be a positive amount',
+        code: 'INVALID_PRICE'
+      }, 400);
+    }
+
+    const transaction = await databases.createTransaction(60);
+    appwriteTransactionId = transaction.$id;
+
+    let ticket;
+    try {
+      ticket = await databases.getDocument(DATABASE_ID, 'tickets', ticketId, [], appwriteTransactionId);
+    } catch (err) {
+      if (err.code === 404 || err.message?.includes('not found')) {
+        return await reject('Ticket not found', 'TICKET_NOT_FOUND', 404);
+      }
+      throw err;
+    }
+
+    if (ticket.userId !== userId) {
+      return await reject('You do not own this ticket', 'NOT_TICKET_OWNER', 403);
+    }
+
+    if (ticket.status && ticket.status !== 'active') {
+      return await reject(`Ticket is ${ticket.status} and cannot be listed`, 'TICKET_NOT_ACTIVE', 400);
+    }
+
+    if (ticket.isListedForSale === 'true') {
+      return await reject('Ticket is already listed for sale', 'ALREADY_LISTED', 400);
+    }
+
+    if ((parseInt(ticket.admittedCount) || 0) > 0) {
+      return await reject('Ticket has already been used at the venue', 'TICKET_ALREADY_USED', 400);
+    }
+
+    const eventDoc = await databases.getDocument(DATABASE_ID, 'events', ticket.eventId);
+
+    const hoursBeforeEvent = hoursUntilEvent(eventDoc);
+    if (hoursBeforeEvent !== null && hoursBeforeEvent <= 0) {
+      return await reject('The event has already started', 'EVENT_STARTED', 400);
+    }
+
+    // Face value excludes GST and handling fees
+    const faceValuePaise = (parsePriceToPaise(ticket.pricePerTicket) || 0) * (parseInt(ticket.quantity) || 0);
+    const markupPercent = parseFloat(eventDoc.resaleMaxMarkupPercent ?? process.env.RESALE_MAX_MARKUP_PERCENT) || 0;
+    const maxPricePaise = Math.round(faceValuePaise * (1 + markupPercent / 100));
+
+    if (pricePaise > maxPricePaise) {
+      error('Resale price exceeds cap', { pricePaise, maxPricePaise });
+      await databases.updateTransaction(appwriteTransactionId, false);
+      return res.json({
+        success: false,
+        error: `Resale price cannot exceed ${formatAmount(maxPricePaise)}`,
+        code: 'PRICE_ABOVE_CAP',
+        maxPrice: formatAmount(maxPricePaise)
+      }, 400);
+    }
+
+    const resalePrice = formatAmount(pricePaise);
+
+    await databases.updateDocument(
+      DATABASE_ID,
+      'tickets',
+      ticketId,
+      {
+        isListedForSale: 'true',
+        resalePrice: resalePrice,
+        listedAt: new Date().toISOString()
+      },
+      [],
+      appwriteTransactionId
+    );
+
+    await databases.updateTransaction(appwriteTransactionId, true);
+
+    log('Ticket listed for resale', { ticketId, resalePrice });
+
+    return res.json({
+      success: true,
+      data: {
+        ticketId: ticketId,
+        resalePrice: resalePrice,
+        maxPrice: formatAmount(maxPricePaise),
+        message: 'Ticket listed for resale'
+      }
+    }, 200);
+
+  } catch (err) {
+    error(`Error listing ticket for resale: ${err.message}`);
+
+    if (appwriteTransactionId) {
+      try {
+        await databases.updateTransaction(appwriteTransactionId, false);
+      } catch (rollbackErr) {
+        error(`Transaction rollback failed: ${rollbackErr.message}`);
+      }
+    }
+
+    const isConflict = err.code === 409 || err.message?.includes('conflict');
+    return res.json({
+      success: false,
+      error: isConflict ? 'Ticket was modified concurrently. Please try again.' : 'Failed to list ticket',
+      code: isConflict ? 'CONFLICT_ERROR' : 'RESALE_LISTING_ERROR',
+      details: err.message
+    }, 500);
+  }
+
+  async function reject(message, code, status) {
+    error(message);
+    await databases.updateTransaction(appwriteTransactionId, false);
+    appwriteTransactionId = null;
+    return res.json({
+      success: false,
+      error: message,
+      code: code
+    }, status);
+  }
+});
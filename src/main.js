@@ -1,4 +1,5 @@
 import { Client, Databases, Storage, ID, Query, InputFile } from 'node-appwrite';
+import { withIdempotency } from './lib/idempotency.js';
 
 /**
  * FULLY Atomic User Signup Function with Complete Rollback
@@ -40,7 +41,7 @@ import { Client, Databases, Storage, ID, Query, InputFile } from 'node-appwrite'
  * Reference: https://appwrite.io/docs/products/databases/transactions
  */
 
-export default async ({ req, res, log, error }) => {
+export default withIdempotency('main', async ({ req, res, log, error }) => {
   const client = new Client()
     .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
     .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
@@ -444,4 +445,4 @@ export default async ({ req, res, log, error }) => {
 
     return results;
   }
-};
+});
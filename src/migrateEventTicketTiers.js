@@ -0,0 +1,191 @@
+import { Client, Databases, Query } from 'node-appwrite';
+import {
+  parseLegacyCategory,
+  validateTicketTier,
+  readTicketTiers,
+  findTicketTier,
+  serializeTicketTiers
+} from './lib/ticketTiers.js';
+import { withIdempotency } from './lib/idempotency.js';
+
+/**
+ * Event Ticket Tier Migration
+ *
+ * One-off (re-runnable) function that converts every event's legacy
+ * `categories` strings (`name:price:quantity:phase`) into the structured
+ * `ticketTiers` field (see lib/ticketTiers.js).
+ *
+ * `categories` is rewritten in its normalised form at the same time so old
+ * clients keep reading the same data. Events whose entries fail validation
+ * are reported and left untouched so they can be fixed by hand.
+ *
+ * Each event is re-read and written in its own Appwrite transaction, so a
+ * booking or reservation that changes the event meanwhile causes a conflict
+ * instead of being overwritten. Conflicting events are reported in `failed`
+ * and picked up by the next run.
+ *
+ * Request body (all optional):
+ * - dryRun: true to only report what would change
+ * - force:  true to re-migrate events that already have `ticketTiers`; the
+ *           pricing schedule (`phaseEndsAt`, `upcomingPhases`) and
+ *           `capacity` of their tiers are kept
+ */
+
+const PAGE_SIZE = 100;
+
+export default withIdempotency('migrateEventTicketTiers', async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+
+  try {
+    const { dryRun = false, force = false } = JSON.parse(req.body || '{}');
+
+    log('Starting ticket tier migration', { dryRun, force });
+
+    const summary = {
+      scanned: 0,
+      migrated: 0,
+      skipped: 0,
+      invalid: [],
+      failed: []
+    };
+
+    let cursor = null;
+
+    while (true) {
+      const queries = [Query.limit(PAGE_SIZE)];
+      if (cursor) {
+        queries.push(Query.cursorAfter(cursor));
+      }
+
+      const page = await databases.listDocuments(DATABASE_ID, 'events', queries);
+
+      for (const eventDoc of page.documents) {
+        summary.scanned++;
+
+        if (eventDoc.ticketTiers && !force) {
+          summary.skipped++;
+          continue;
+        }
+
+        let outcome;
+        try {
+          outcome = dryRun ? planMigration(eventDoc, force) : await migrateEvent(eventDoc.$id, force);
+        } catch (err) {
+          error(`Failed to migrate event ${eventDoc.$id}: ${err.message}`);
+          summary.failed.push({ eventId: eventDoc.$id, error: err.message });
+          continue;
+        }
+
+        if (outcome.skipped) {
+          summary.skipped++;
+        } else if (outcome.problems) {
+          error(`Event ${eventDoc.$id} has invalid ticket tiers`, outcome.problems);
+          summary.invalid.push({ eventId: eventDoc.$id, problems: outcome.problems });
+        } else {
+          summary.migrated++;
+        }
+      }
+
+      if (page.documents.length < PAGE_SIZE) {
+        break;
+      }
+      cursor = page.documents[page.documents.length - 1].$id;
+    }
+
+    log('Ticket tier migration finished', summary);
+
+    return res.json({
+      success: true,
+      dryRun: dryRun,
+      ...summary
+    });
+
+  } catch (err) {
+    error(`Ticket tier migration failed: ${err.message}`);
+    return res.json({
+      success: false,
+      message: 'Internal server error',
+      error: err.message
+    }, 500);
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Migrate one event atomically
+  // ============================================
+  async function migrateEvent(eventId, force) {
+    const transaction = await databases.createTransaction(60);
+    const transactionId = transaction.$id;
+
+    try {
+      const eventDoc = await databases.getDocument(DATABASE_ID, 'events', eventId, [], transactionId);
+      const outcome = planMigration(eventDoc, force);
+
+      if (!outcome.tiers) {
+        await databases.updateTransaction(transactionId, false);
+        return outcome;
+      }
+
+      await databases.updateDocument(
+        DATABASE_ID,
+        'events',
+        eventId,
+        serializeTicketTiers(outcome.tiers),
+        [],
+        transactionId
+      );
+
+      await databases.updateTransaction(transactionId, true);
+      return outcome;
+
+    } catch (err) {
+      try {
+        await databases.updateTransaction(transactionId, false);
+      } catch (rollbackErr) {
+        error(`Rollback failed for event ${eventId}: ${rollbackErr.message}`);
+      }
+      throw err;
+    }
+  }
+});
+
+/**
+ * Work out the tiers to store for an event: `{ tiers }`, `{ problems }`
+ * when an entry is invalid, or `{ skipped: true }` when the event is
+ * already migrated and `force` is not set.
+ */
+function planMigration(eventDoc, force) {
+  if (eventDoc.ticketTiers && !force) {
+    return { skipped: true };
+  }
+
+  // Only structured tiers carry a schedule and capacity; keep them
+  const existingTiers = eventDoc.ticketTiers ? readTicketTiers(eventDoc) : [];
+  const problems = [];
+  const tiers = [];
+
+  for (const entry of eventDoc.categories || []) {
+    const parsed = parseLegacyCategory(entry);
+    if (!parsed) {
+      problems.push({ entry, problems: ['expected name:price:quantity:phase'] });
+      continue;
+    }
+
+    const tier = { ...findTicketTier(existingTiers, parsed.name), ...parsed };
+
+    const tierProblems = validateTicketTier(tier);
+    if (tierProblems.length > 0) {
+      problems.push({ entry, problems: tierProblems });
+      continue;
+    }
+
+    tiers.push(tier);
+  }
+
+  return problems.length > 0 ? { problems } : { tiers };
+}
@@ -0,0 +1,289 @@
+import crypto from 'crypto';
+import { Client, Databases, Functions, Query } from 'node-appwrite';
+import { formatAmount } from './lib/pricing.js';
+import { getPaymentGateway, DEFAULT_PAYMENT_GATEWAY } from './lib/paymentGateways.js';
+
+/**
+ * Payment Webhook Receiver
+ *
+ * Receives gateway webhooks so a payment still turns into a ticket when the
+ * app crashes or loses network between paying and calling bookTicketAtomic.
+ * The gateway is taken from the `gateway` query parameter (e.g.
+ * `?gateway=stripe`), falling back to RazorPay, and the event is only acted
+ * on once its signature checks out (see lib/paymentGateways.js).
+ *
+ * payment.captured:
+ * 1. Already booked (a `transactions` document has the paymentId) → done
+ * 2. Find what was being bought: the order intent (createOrderIntent.js)
+ *    for the gateway order, or the ticket hold named in the payment's
+ *    `holdId` note/metadata
+ * 3. Execute bookTicketAtomic with that booking and the verified payment.
+ *    Its duplicate-paymentId check keeps this idempotent when the client
+ *    books the same payment at the same time.
+ *
+ * refund.processed:
+ * Marks the matching `refunds` document (by the gateway refund ID that
+ * processRefunds.js recorded, otherwise a pending refund of the same payment
+ * and amount) as processed.
+ *
+ * Anything that cannot be matched or booked is written to `paymentReviews`
+ * for support to resolve (usually by refunding). Each gateway event is
+ * queued at most once. Temporary failures answer 5xx so the gateway
+ * retries; everything else answers 200 so it stops.
+ *
+ * Environment:
+ * - RAZORPAY_WEBHOOK_SECRET / STRIPE_WEBHOOK_SECRET: webhook signing secrets
+ * - BOOKING_FUNCTION_ID: function ID of bookTicketAtomic (default bookTicketAtomic)
+ */
+
+export default async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const functions = new Functions(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+  const BOOKING_FUNCTION_ID = process.env.BOOKING_FUNCTION_ID || 'bookTicketAtomic';
+
+  const gatewayName = req.query?.gateway || DEFAULT_PAYMENT_GATEWAY;
+  const paymentGateway = getPaymentGateway(gatewayName);
+
+  try {
+    if (!paymentGateway) {
+      error('Webhook for unsupported payment gateway', { gateway: gatewayName });
+      return res.json({
+        success: false,
+        error: 'Unsupported payment gateway',
+        code: 'UNSUPPORTED_GATEWAY'
+      }, 400);
+    }
+
+    // Signatures are computed over the exact bytes the gateway sent
+    const rawBody = req.bodyText ?? req.body ?? '';
+    const { verified, event } = paymentGateway.parseWebhook(rawBody, req.headers);
+
+    if (!verified) {
+      error('Webhook signature verification failed', { gateway: paymentGateway.name });
+      return res.json({
+        success: false,
+        error: 'Invalid webhook signature',
+        code: 'INVALID_WEBHOOK_SIGNATURE'
+      }, 401);
+    }
+
+    log('Webhook received', { gateway: paymentGateway.name, type: event.type, eventId: event.id, paymentId: event.paymentId });
+
+    let result;
+    if (event.type === 'payment.captured') {
+      result = await handleCapturedPayment(event);
+    } else if (event.type === 'refund.processed') {
+      result = await handleProcessedRefund(event);
+    } else {
+      result = { outcome: 'ignored' };
+    }
+
+    log('Webhook handled', { eventId: event.id, ...result });
+
+    return res.json({
+      success: true,
+      data: result
+    }, result.retry ? 503 : 200);
+
+  } catch (err) {
+    error(`Webhook processing failed: ${err.message}`);
+
+    // 5xx makes the gateway deliver the event again later
+    return res.json({
+      success: false,
+      error: 'Webhook processing failed',
+      code: 'WEBHOOK_ERROR',
+      details: err.message
+    }, 500);
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Finish the booking for a captured payment
+  // ============================================
+  async function handleCapturedPayment(event) {
+    const intent = await findOrderIntent(event);
+
+    if (await findPaymentTransaction(event.paymentId)) {
+      await completeIntent(intent, null);
+      return { outcome: 'already_booked' };
+    }
+
+    let booking = intent ? JSON.parse(intent.booking || '{}') : null;
+
+    if (!booking && event.metadata?.holdId) {
+      booking = await bookingFromHold(event.metadata.holdId);
+    }
+
+    if (!booking) {
+      await queueForReview(event, 'NO_MATCHING_BOOKING', 'No order intent or ticket hold matches this payment');
+      return { outcome: 'review', reason: 'NO_MATCHING_BOOKING' };
+    }
+
+    const execution = await functions.createExecution(
+      BOOKING_FUNCTION_ID,
+      JSON.stringify({
+        ...booking,
+        gateway: paymentGateway.name,
+        ...paymentGateway.checkoutFromPayment(event),
+        // Book exactly what was paid for; bookTicketAtomic refuses a different total
+        ...(event.currency === 'INR' && event.amountPaise !== null && { totalAmountPaid: formatAmount(event.amountPaise) })
+      })
+    );
+
+    let response = {};
+    try {
+      response = JSON.parse(execution.responseBody || '{}');
+    } catch (parseErr) {
+      error(`Unreadable booking response: ${parseErr.message}`);
+    }
+
+    if (response.success) {
+      await completeIntent(intent, response.data?.orderId);
+      return { outcome: 'booked', orderId: response.data?.orderId };
+    }
+
+    if (response.code === 'DUPLICATE_PAYMENT') {
+      await completeIntent(intent, null);
+      return { outcome: 'already_booked' };
+    }
+
+    // Conflicts and server errors may pass; let the gateway retry
+    if (response.code === 'CONFLICT_ERROR' || !response.code || execution.responseStatusCode >= 500) {
+      error('Booking from webhook failed temporarily', { paymentId: event.paymentId, code: response.code });
+      return { outcome: 'retry', retry: true, reason: response.code || 'BOOKING_FAILED' };
+    }
+
+    await queueForReview(event, response.code, response.error || 'Booking failed');
+    if (intent) {
+      await databases.updateDocument(DATABASE_ID, 'orderIntents', intent.$id, { status: 'review' });
+    }
+    return { outcome: 'review', reason: response.code };
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Mark a gateway refund as paid out
+  // ============================================
+  async function handleProcessedRefund(event) {
+    const refunds = await databases.listDocuments(
+      DATABASE_ID,
+      'refunds',
+      [Query.equal('paymentId', event.paymentId), Query.limit(100)]
+    );
+
+    const amount = event.amountPaise === null ? null : formatAmount(event.amountPaise);
+    const refund =
+      refunds.documents.find(doc => event.refundId && doc.gatewayRefundId === event.refundId) ||
+      refunds.documents.find(doc => doc.status === 'pending' && (amount === null || doc.amount === amount));
+
+    if (!refund) {
+      await queueForReview(event, 'NO_MATCHING_REFUND', 'No pending refund matches this gateway refund');
+      return { outcome: 'review', reason: 'NO_MATCHING_REFUND' };
+    }
+
+    if (refund.status === 'processed') {
+      return { outcome: 'already_processed', refundId: refund.$id };
+    }
+
+    await databases.updateDocument(DATABASE_ID, 'refunds', refund.$id, {
+      status: 'processed',
+      gatewayRefundId: event.refundId || '',
+      processedAt: new Date().toISOString()
+    });
+
+    return { outcome: 'refund_processed', refundId: refund.$id };
+  }
+
+  async function findPaymentTransaction(paymentId) {
+    const existing = await databases.listDocuments(
+      DATABASE_ID,
+      'transactions',
+      [Query.equal('paymentId', paymentId), Query.limit(1)]
+    );
+    return existing.documents[0] || null;
+  }
+
+  async function findOrderIntent(event) {
+    // RazorPay intents are keyed on the order, Stripe ones on the PaymentIntent
+    const references = [event.gatewayOrderId, event.paymentId].filter(Boolean);
+    const intents = await databases.listDocuments(
+      DATABASE_ID,
+      'orderIntents',
+      [Query.equal('gatewayOrderId', references), Query.limit(1)]
+    );
+    return intents.documents[0] || null;
+  }
+
+  async function completeIntent(intent, orderId) {
+    if (!intent || intent.status === 'completed') {
+      return;
+    }
+    await databases.updateDocument(DATABASE_ID, 'orderIntents', intent.$id, {
+      status: 'completed',
+      ...(orderId && { orderId: orderId })
+    });
+  }
+
+  async function bookingFromHold(holdId) {
+    let hold;
+    try {
+      hold = await databases.getDocument(DATABASE_ID, 'ticketHolds', holdId);
+    } catch (err) {
+      if (err.code === 404 || err.message?.includes('not found')) {
+        return null;
+      }
+      throw err;
+    }
+
+    // Ticket documents carry the event's display fields
+    const eventDoc = await databases.getDocument(DATABASE_ID, 'events', hold.eventId);
+
+    return {
+      userId: hold.userId,
+      eventId: hold.eventId,
+      eventName: eventDoc.name,
+      eventDate: eventDoc.date,
+      eventTime: eventDoc.time,
+      eventLocation: eventDoc.location,
+      ticketTypeName: hold.ticketTypeName,
+      quantity: hold.quantity,
+      holdId: hold.$id
+    };
+  }
+
+  async function queueForReview(event, reason, details) {
+    // One review per gateway event, however often it is delivered
+    const reviewId = crypto
+      .createHash('sha256')
+      .update(`${paymentGateway.name}:${event.id}`)
+      .digest('hex')
+      .slice(0, 36);
+
+    try {
+      await databases.createDocument(DATABASE_ID, 'paymentReviews', reviewId, {
+        gateway: paymentGateway.label,
+        gatewayEventId: event.id,
+        eventType: event.type,
+        paymentId: event.paymentId || '',
+        gatewayOrderId: event.gatewayOrderId || '',
+        gatewayRefundId: event.refundId || '',
+        amount: event.amountPaise === null ? '' : formatAmount(event.amountPaise),
+        currency: event.currency || '',
+        reason: reason,
+        details: details,
+        status: 'open',
+        receivedAt: new Date().toISOString()
+      });
+      error('Payment queued for review', { paymentId: event.paymentId, reason });
+    } catch (err) {
+      if (err.code !== 409) {
+        throw err;
+      }
+    }
+  }
+};
@@ -0,0 +1,128 @@
+import { Client, Databases, Query } from 'node-appwrite';
+import { parsePriceToPaise } from './lib/pricing.js';
+import { getPaymentGateway } from './lib/paymentGateways.js';
+
+/**
+ * Refund Processor (scheduled)
+ *
+ * Runs on a schedule (e.g. every five minutes via the function's cron
+ * setting) and pays out the `pending` refunds recorded by
+ * cancelTicketAtomic.js and reviewHeldOrder.js through the gateway that
+ * took the payment (`refundPayment`, see lib/paymentGateways.js).
+ *
+ * A refund the gateway settles at once is marked `processed`; otherwise it
+ * is marked `submitted` with its `gatewayRefundId`, and paymentWebhook.js
+ * marks it `processed` when the gateway's refund.processed event arrives.
+ * The refund document ID is sent as the gateway receipt (Stripe's
+ * idempotency key), so a run that dies before recording the result does
+ * not refund twice on Stripe.
+ *
+ * A refund the gateway refuses stays `pending` with the reason in
+ * `failureReason` and is tried again on the next run; runs report it in
+ * `failed`.
+ *
+ * Environment:
+ * - REFUND_BATCH_SIZE: max refunds paid out per run (default 50)
+ */
+
+export default async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+  const BATCH_SIZE = parseInt(process.env.REFUND_BATCH_SIZE) || 50;
+
+  try {
+    const pendingRefunds = await databases.listDocuments(
+      DATABASE_ID,
+      'refunds',
+      [
+        Query.equal('status', 'pending'),
+        Query.orderAsc('$createdAt'),
+        Query.limit(BATCH_SIZE)
+      ]
+    );
+
+    log(`Found ${pendingRefunds.documents.length} pending refunds`);
+
+    const submitted = [];
+    const failed = [];
+
+    for (const refund of pendingRefunds.documents) {
+      try {
+        const result = await payOutRefund(refund);
+        submitted.push({ refundId: refund.$id, ...result });
+      } catch (err) {
+        error(`Failed to pay out refund ${refund.$id}: ${err.message}`);
+        failed.push({ refundId: refund.$id, error: err.message });
+
+        try {
+          await databases.updateDocument(DATABASE_ID, 'refunds', refund.$id, {
+            failureReason: err.message
+          });
+        } catch (updateErr) {
+          error(`Failed to record refund failure for ${refund.$id}: ${updateErr.message}`);
+        }
+      }
+    }
+
+    log(`Submitted ${submitted.length} refunds, ${failed.length} failed`);
+
+    return res.json({
+      success: true,
+      submitted: submitted,
+      failed: failed
+    });
+
+  } catch (err) {
+    error(`Error processing refunds: ${err.message}`);
+    return res.json({
+      success: false,
+      message: 'Internal server error',
+      error: err.message
+    }, 500);
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Pay out one refund through its gateway
+  // ============================================
+  async function payOutRefund(refund) {
+    const amountPaise = parsePriceToPaise(refund.amount);
+    if (!amountPaise) {
+      // Nothing to pay back (e.g. a 0% cancellation window)
+      await databases.updateDocument(DATABASE_ID, 'refunds', refund.$id, {
+        status: 'processed',
+        processedAt: new Date().toISOString()
+      });
+      return { status: 'processed', gatewayRefundId: '' };
+    }
+
+    const paymentGateway = getPaymentGateway(refund.gateway);
+    if (!paymentGateway) {
+      throw new Error(`Unsupported payment gateway: ${refund.gateway}`);
+    }
+    if (!refund.paymentId) {
+      throw new Error('Refund has no payment to refund');
+    }
+
+    const gatewayRefund = await paymentGateway.refundPayment(refund.paymentId, amountPaise, {
+      reason: refund.reason,
+      receipt: refund.$id
+    });
+
+    const status = gatewayRefund.status === 'processed' ? 'processed' : 'submitted';
+
+    await databases.updateDocument(DATABASE_ID, 'refunds', refund.$id, {
+      status: status,
+      gatewayRefundId: gatewayRefund.refundId,
+      failureReason: '',
+      ...(status === 'processed' && { processedAt: new Date().toISOString() })
+    });
+
+    log('Refund submitted', { refundId: refund.$id, gatewayRefundId: gatewayRefund.refundId, status });
+    return { status: status, gatewayRefundId: gatewayRefund.refundId };
+  }
+};
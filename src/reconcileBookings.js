@@ -0,0 +1,416 @@
+import { Client, Databases, ID, Query } from 'node-appwrite';
+import { readTicketTiers } from './lib/ticketTiers.js';
+
+/**
+ * Booking Reconciliation (scheduled, nightly)
+ *
+ * Cross-checks `transactions`, `orders`, `tickets` and `events` and writes
+ * one `reconciliationReports` document per run listing every discrepancy:
+ *
+ * Payments and orders:
+ * - TRANSACTION_TICKET_MISSING: a transaction's ticketId points at no ticket
+ * - TRANSACTION_ORDER_MISSING:  a purchase's orderId points at no order
+ * - ORDER_TRANSACTION_MISSING:  an order's transactionId points at nothing
+ * - ORDER_TICKET_MISSING:       an order lists a ticket that does not exist
+ * - TICKET_ORDER_MISSING:       a ticket's orderId points at no order
+ * - ORDER_STATUS_MISMATCH:      every ticket of an order is cancelled but the
+ *                               order is not                        (fixable)
+ *
+ * Inventory:
+ * - TICKETS_LEFT_MISMATCH:   `ticketsLeft` differs from the sum of the tier
+ *                            quantities                            (fixable)
+ * - TIER_INVENTORY_MISMATCH: a tier's quantity differs from what its
+ *                            `capacity` leaves after issued tickets, active
+ *                            holds, withdrawn phase leftovers and upcoming
+ *                            phases (only tiers with a `capacity`)
+ * - TIER_OVERSOLD:           more tickets issued and held than `capacity`
+ * - TIER_UNVERIFIABLE:       the tier has no `capacity` (legacy and migrated
+ *                            events), so its quantity can not be checked
+ *                            against issued tickets. `impliedCapacity` is
+ *                            the capacity its current quantity implies; set
+ *                            `capacity` once that figure is confirmed.
+ *
+ * Auto-fix (`{ autoFix: true }` or RECONCILIATION_AUTO_FIX=true) only repairs
+ * the fixable types, each in its own transaction after re-reading the
+ * document, so a booking in between causes a conflict instead of a wrong
+ * fix. Everything else involves money or issued tickets and is left for a
+ * person to resolve.
+ *
+ * Environment:
+ * - RECONCILIATION_AUTO_FIX: 'true' to fix safe cases on scheduled runs
+ */
+
+const PAGE_SIZE = 100;
+
+// Keeps the report document within the attribute size limit
+const MAX_REPORTED_DISCREPANCIES = 500;
+
+export default async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+
+  try {
+    const { autoFix: requestedAutoFix } = JSON.parse(req.body || '{}');
+    const autoFix = requestedAutoFix ?? process.env.RECONCILIATION_AUTO_FIX === 'true';
+    const startedAt = new Date().toISOString();
+    const discrepancies = [];
+
+    log('Starting reconciliation', { autoFix });
+
+    // ============================================
+    // STEP 1: Load tickets, orders, transactions and holds
+    // ============================================
+    const tickets = await listAll('tickets', [
+      Query.select(['$id', 'eventId', 'orderId', 'ticketTypeName', 'category', 'quantity', 'status'])
+    ]);
+    const orders = await listAll('orders', [
+      Query.select(['$id', 'eventId', 'transactionId', 'ticketId', 'ticketIds', 'status'])
+    ]);
+    const transactions = await listAll('transactions', [
+      Query.select(['$id', 'ticketId', 'ticketIds', 'orderId', 'paymentId', 'type'])
+    ]);
+    const activeHolds = await listAll('ticketHolds', [Query.equal('status', 'active')]);
+    const phaseChanges = await listAll('tierPhaseChanges', [
+      Query.select(['eventId', 'ticketTypeName', 'unsoldQuantity', 'carriedOver'])
+    ]);
+
+    const ticketsById = new Map(tickets.map(ticket => [ticket.$id, ticket]));
+    const ordersById = new Map(orders.map(order => [order.$id, order]));
+    const transactionsById = new Map(transactions.map(transaction => [transaction.$id, transaction]));
+
+    // ============================================
+    // STEP 2: Cross-check payments, orders and tickets
+    // ============================================
+    for (const transaction of transactions) {
+      for (const ticketId of referencedTicketIds(transaction)) {
+        if (!ticketsById.has(ticketId)) {
+          discrepancies.push({
+            type: 'TRANSACTION_TICKET_MISSING',
+            transactionId: transaction.$id,
+            ticketId: ticketId,
+            paymentId: transaction.paymentId || ''
+          });
+        }
+      }
+
+      if (transaction.type === 'purchase' && transaction.orderId && !ordersById.has(transaction.orderId)) {
+        discrepancies.push({
+          type: 'TRANSACTION_ORDER_MISSING',
+          transactionId: transaction.$id,
+          orderId: transaction.orderId,
+          paymentId: transaction.paymentId || ''
+        });
+      }
+    }
+
+    for (const order of orders) {
+      if (order.transactionId && !transactionsById.has(order.transactionId)) {
+        discrepancies.push({
+          type: 'ORDER_TRANSACTION_MISSING',
+          orderId: order.$id,
+          transactionId: order.transactionId
+        });
+      }
+
+      const orderTicketIds = referencedTicketIds(order);
+      const missingTicketIds = orderTicketIds.filter(ticketId => !ticketsById.has(ticketId));
+      for (const ticketId of missingTicketIds) {
+        discrepancies.push({ type: 'ORDER_TICKET_MISSING', orderId: order.$id, ticketId: ticketId });
+      }
+
+      const allCancelled = orderTicketIds.length > 0 && missingTicketIds.length === 0 &&
+        orderTicketIds.every(ticketId => ticketsById.get(ticketId).status === 'cancelled');
+      if (allCancelled && order.status !== 'cancelled') {
+        discrepancies.push({
+          type: 'ORDER_STATUS_MISMATCH',
+          orderId: order.$id,
+          status: order.status || '',
+          expected: 'cancelled',
+          fixable: true
+        });
+      }
+    }
+
+    for (const ticket of tickets) {
+      if (ticket.orderId && !ordersById.has(ticket.orderId)) {
+        discrepancies.push({ type: 'TICKET_ORDER_MISSING', ticketId: ticket.$id, orderId: ticket.orderId });
+      }
+    }
+
+    // ============================================
+    // STEP 3: Recompute inventory per event and tier
+    // ============================================
+    // Seats that are gone from a tier: issued tickets, active holds and
+    // leftovers withdrawn when a phase closed ('discard' carry-over rule)
+    const usage = new Map();
+    const addUsage = (eventId, tierName, field, amount) => {
+      const key = `${eventId}|${tierName}`;
+      const entry = usage.get(key) || { issued: 0, held: 0, withdrawn: 0 };
+      entry[field] += amount;
+      usage.set(key, entry);
+    };
+
+    for (const ticket of tickets) {
+      if (ticket.status !== 'cancelled') {
+        addUsage(ticket.eventId, ticketTierName(ticket), 'issued', parseInt(ticket.quantity) || 0);
+      }
+    }
+    for (const hold of activeHolds) {
+      addUsage(hold.eventId, hold.ticketTypeName, 'held', parseInt(hold.quantity) || 0);
+    }
+    for (const change of phaseChanges) {
+      const withdrawn = (parseInt(change.unsoldQuantity) || 0) - (parseInt(change.carriedOver) || 0);
+      if (withdrawn > 0) {
+        addUsage(change.eventId, change.ticketTypeName, 'withdrawn', withdrawn);
+      }
+    }
+
+    const events = await listAll('events', []);
+
+    for (const eventDoc of events) {
+      const tiers = readTicketTiers(eventDoc);
+      if (tiers.length === 0) {
+        continue;
+      }
+
+      const tierTotal = tiers.reduce((sum, tier) => sum + tier.quantity, 0);
+      const ticketsLeft = parseInt(eventDoc.ticketsLeft) || 0;
+      if (ticketsLeft !== tierTotal) {
+        discrepancies.push({
+          type: 'TICKETS_LEFT_MISMATCH',
+          eventId: eventDoc.$id,
+          actual: ticketsLeft,
+          expected: tierTotal,
+          fixable: true
+        });
+      }
+
+      for (const tier of tiers) {
+        const { issued, held, withdrawn } = usage.get(`${eventDoc.$id}|${tier.name}`) ||
+          { issued: 0, held: 0, withdrawn: 0 };
+        const upcoming = (tier.upcomingPhases || []).reduce((sum, phase) => sum + (parseInt(phase.quantity) || 0), 0);
+
+        const capacity = parseInt(tier.capacity);
+        if (isNaN(capacity)) {
+          // Deriving the capacity from the same counts would always match
+          discrepancies.push({
+            type: 'TIER_UNVERIFIABLE',
+            eventId: eventDoc.$id,
+            ticketTypeName: tier.name,
+            actual: tier.quantity,
+            impliedCapacity: tier.quantity + issued + held + withdrawn + upcoming,
+            issued: issued,
+            held: held,
+            withdrawn: withdrawn
+          });
+          continue;
+        }
+
+        const expected = capacity - issued - held - withdrawn - upcoming;
+
+        if (issued + held > capacity) {
+          discrepancies.push({
+            type: 'TIER_OVERSOLD',
+            eventId: eventDoc.$id,
+            ticketTypeName: tier.name,
+            capacity: capacity,
+            issued: issued,
+            held: held
+          });
+        } else if (expected !== tier.quantity) {
+          discrepancies.push({
+            type: 'TIER_INVENTORY_MISMATCH',
+            eventId: eventDoc.$id,
+            ticketTypeName: tier.name,
+            actual: tier.quantity,
+            expected: expected,
+            issued: issued,
+            held: held,
+            withdrawn: withdrawn
+          });
+        }
+      }
+    }
+
+    // ============================================
+    // STEP 4: Fix safe cases (optional)
+    // ============================================
+    if (autoFix) {
+      for (const discrepancy of discrepancies.filter(entry => entry.fixable)) {
+        try {
+          discrepancy.fixed = discrepancy.type === 'TICKETS_LEFT_MISMATCH'
+            ? await fixTicketsLeft(discrepancy.eventId)
+            : await fixOrderStatus(discrepancy.orderId);
+        } catch (err) {
+          error(`Auto-fix failed for ${discrepancy.type}: ${err.message}`);
+          discrepancy.fixed = false;
+          discrepancy.fixError = err.message;
+        }
+      }
+    }
+
+    // ============================================
+    // STEP 5: Write the report
+    // ============================================
+    const counts = {};
+    for (const discrepancy of discrepancies) {
+      counts[discrepancy.type] = (counts[discrepancy.type] || 0) + 1;
+    }
+    const fixedCount = discrepancies.filter(entry => entry.fixed).length;
+
+    // Unverifiable tiers are listed last so they never push real
+    // discrepancies out of a truncated report
+    const reported = [
+      ...discrepancies.filter(entry => entry.type !== 'TIER_UNVERIFIABLE'),
+      ...discrepancies.filter(entry => entry.type === 'TIER_UNVERIFIABLE')
+    ];
+
+    const reportDoc = await databases.createDocument(
+      DATABASE_ID,
+      'reconciliationReports',
+      ID.unique(),
+      {
+        startedAt: startedAt,
+        finishedAt: new Date().toISOString(),
+        autoFix: Boolean(autoFix),
+        scanned: JSON.stringify({
+          events: events.length,
+          tickets: tickets.length,
+          orders: orders.length,
+          transactions: transactions.length
+        }),
+        counts: JSON.stringify(counts),
+        discrepancyCount: discrepancies.length,
+        fixedCount: fixedCount,
+        discrepancies: JSON.stringify(reported.slice(0, MAX_REPORTED_DISCREPANCIES)),
+        truncated: discrepancies.length > MAX_REPORTED_DISCREPANCIES
+      }
+    );
+
+    log(`Reconciliation found ${discrepancies.length} discrepancies, fixed ${fixedCount}`, counts);
+
+    return res.json({
+      success: true,
+      reportId: reportDoc.$id,
+      discrepancyCount: discrepancies.length,
+      fixedCount: fixedCount,
+      counts: counts
+    });
+
+  } catch (err) {
+    error(`Error running reconciliation: ${err.message}`);
+    return res.json({
+      success: false,
+      message: 'Internal server error',
+      error: err.message
+    }, 500);
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Read a whole collection page by page
+  // ============================================
+  async function listAll(collectionId, queries) {
+    const documents = [];
+    let cursor = null;
+
+    while (true) {
+      const pageQueries = [...queries, Query.limit(PAGE_SIZE)];
+      if (cursor) {
+        pageQueries.push(Query.cursorAfter(cursor));
+      }
+
+      const page = await databases.listDocuments(DATABASE_ID, collectionId, pageQueries);
+      documents.push(...page.documents);
+
+      if (page.documents.length < PAGE_SIZE) {
+        return documents;
+      }
+      cursor = page.documents[page.documents.length - 1].$id;
+    }
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Reset ticketsLeft to the tier total atomically
+  // ============================================
+  async function fixTicketsLeft(eventId) {
+    return await inTransaction(async transactionId => {
+      const eventDoc = await databases.getDocument(DATABASE_ID, 'events', eventId, [], transactionId);
+      const tierTotal = readTicketTiers(eventDoc).reduce((sum, tier) => sum + tier.quantity, 0);
+
+      if ((parseInt(eventDoc.ticketsLeft) || 0) === tierTotal) {
+        return false;
+      }
+
+      await databases.updateDocument(
+        DATABASE_ID,
+        'events',
+        eventId,
+        { ticketsLeft: tierTotal.toString() },
+        [],
+        transactionId
+      );
+      log(`Reset ticketsLeft of event ${eventId} to ${tierTotal}`);
+      return true;
+    });
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Cancel an order whose tickets are all cancelled
+  // ============================================
+  async function fixOrderStatus(orderId) {
+    return await inTransaction(async transactionId => {
+      const order = await databases.getDocument(DATABASE_ID, 'orders', orderId, [], transactionId);
+      if (order.status === 'cancelled') {
+        return false;
+      }
+
+      for (const ticketId of referencedTicketIds(order)) {
+        const ticket = await databases.getDocument(DATABASE_ID, 'tickets', ticketId, [], transactionId);
+        if (ticket.status !== 'cancelled') {
+          return false;
+        }
+      }
+
+      await databases.updateDocument(DATABASE_ID, 'orders', orderId, { status: 'cancelled' }, [], transactionId);
+      log(`Marked order ${orderId} as cancelled`);
+      return true;
+    });
+  }
+
+  // Commits when `stage` returns true, rolls back otherwise
+  async function inTransaction(stage) {
+    const transaction = await databases.createTransaction(60);
+    const transactionId = transaction.$id;
+
+    try {
+      const changed = await stage(transactionId);
+      await databases.updateTransaction(transactionId, changed);
+      return changed;
+    } catch (err) {
+      try {
+        await databases.updateTransaction(transactionId, false);
+      } catch (rollbackErr) {
+        error(`Rollback failed: ${rollbackErr.message}`);
+      }
+      throw err;
+    }
+  }
+};
+
+// Orders and purchases list several tickets; older documents only have ticketId
+function referencedTicketIds(doc) {
+  if (Array.isArray(doc.ticketIds) && doc.ticketIds.length > 0) {
+    return doc.ticketIds;
+  }
+  return doc.ticketId ? [doc.ticketId] : [];
+}
+
+// Tickets from before ticketTypeName was stored carry the tier in `category` (`VIP:1500`)
+function ticketTierName(ticket) {
+  return ticket.ticketTypeName || String(ticket.category || '').split(':')[0].trim();
+}
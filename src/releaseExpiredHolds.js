@@ -0,0 +1,181 @@
+import { Client, Databases, Query } from 'node-appwrite';
+import { readTicketTiers, serializeTicketTiers, adjustTierQuantity, adjustTicketsLeft } from './lib/ticketTiers.js';
+import { offerReturnedTickets, notifyWaitlistOffers } from './lib/waitlist.js';
+
+/**
+ * Expired Ticket Hold Sweeper (scheduled)
+ *
+ * Runs on a schedule (e.g. every minute via the function's cron setting) and
+ * releases `ticketHolds` that are still active after `expiresAt`, putting
+ * their quantity back into `events.ticketsLeft` and the matching
+ * `events.categories` entry.
+ *
+ * Released seats are offered to the tier's waitlist first (see
+ * lib/waitlist.js). A released hold that was itself a waitlist offer marks
+ * that offer as expired, so the seats pass to the next person in line.
+ *
+ * Holds are grouped by event and each event is released in its own Appwrite
+ * transaction. The holds are re-read inside the transaction, so a hold that
+ * bookTicketAtomic converts at the same moment causes a conflict instead of
+ * a double release; conflicting events are simply picked up on the next run.
+ *
+ * Environment:
+ * - HOLD_SWEEP_BATCH_SIZE: max holds released per run (default 100)
+ */
+
+export default async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+  const BATCH_SIZE = parseInt(process.env.HOLD_SWEEP_BATCH_SIZE) || 100;
+
+  try {
+    const now = new Date().toISOString();
+
+    const expiredHolds = await databases.listDocuments(
+      DATABASE_ID,
+      'ticketHolds',
+      [
+        Query.equal('status', 'active'),
+        Query.lessThan('expiresAt', now),
+        Query.limit(BATCH_SIZE)
+      ]
+    );
+
+    log(`Found ${expiredHolds.documents.length} expired holds`);
+
+    // Group by event so each event document is updated once
+    const holdsByEvent = {};
+    for (const hold of expiredHolds.documents) {
+      (holdsByEvent[hold.eventId] = holdsByEvent[hold.eventId] || []).push(hold);
+    }
+
+    const released = [];
+    const failed = [];
+
+    for (const [eventId, holds] of Object.entries(holdsByEvent)) {
+      try {
+        const releasedIds = await releaseHoldsForEvent(eventId, holds);
+        released.push(...releasedIds);
+      } catch (err) {
+        error(`Failed to release holds for event ${eventId}: ${err.message}`);
+        failed.push({ eventId, holdIds: holds.map(h => h.$id), error: err.message });
+      }
+    }
+
+    log(`Released ${released.length} holds, ${failed.length} events failed`);
+
+    return res.json({
+      success: true,
+      released: released,
+      failed: failed
+    });
+
+  } catch (err) {
+    error(`Error releasing expired holds: ${err.message}`);
+    return res.json({
+      success: false,
+      message: 'Internal server error',
+      error: err.message
+    }, 500);
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Release holds of one event atomically
+  // ============================================
+  async function releaseHoldsForEvent(eventId, holds) {
+    const transaction = await databases.createTransaction(60);
+    const transactionId = transaction.$id;
+
+    try {
+      const eventDoc = await databases.getDocument(DATABASE_ID, 'events', eventId, [], transactionId);
+
+      let ticketsLeft = eventDoc.ticketsLeft;
+      let ticketTiers = readTicketTiers(eventDoc);
+      const releasedIds = [];
+      const releasedTierNames = [];
+
+      for (const hold of holds) {
+        // Re-read within the transaction so a concurrent conversion conflicts
+        const current = await databases.getDocument(DATABASE_ID, 'ticketHolds', hold.$id, [], transactionId);
+        if (current.status !== 'active') {
+          continue;
+        }
+
+        const quantity = parseInt(current.quantity) || 0;
+        ticketsLeft = adjustTicketsLeft(ticketsLeft, quantity);
+        ticketTiers = adjustTierQuantity(ticketTiers, current.ticketTypeName, quantity);
+
+        await databases.updateDocument(
+          DATABASE_ID,
+          'ticketHolds',
+          current.$id,
+          {
+            status: 'released',
+            releasedAt: new Date().toISOString()
+          },
+          [],
+          transactionId
+        );
+
+        if (current.waitlistEntryId) {
+          await databases.updateDocument(
+            DATABASE_ID,
+            'waitlistEntries',
+            current.waitlistEntryId,
+            { status: 'expired' },
+            [],
+            transactionId
+          );
+        }
+
+        releasedIds.push(current.$id);
+        releasedTierNames.push(current.ticketTypeName);
+      }
+
+      if (releasedIds.length === 0) {
+        await databases.updateTransaction(transactionId, false);
+        return releasedIds;
+      }
+
+      const waitlist = await offerReturnedTickets(
+        databases,
+        DATABASE_ID,
+        { eventId, ticketTiers, ticketTypeNames: releasedTierNames },
+        transactionId
+      );
+      ticketsLeft = adjustTicketsLeft(ticketsLeft, waitlist.ticketsLeftDelta);
+
+      await databases.updateDocument(
+        DATABASE_ID,
+        'events',
+        eventId,
+        {
+          ticketsLeft: ticketsLeft,
+          ...serializeTicketTiers(waitlist.ticketTiers)
+        },
+        [],
+        transactionId
+      );
+
+      await databases.updateTransaction(transactionId, true);
+
+      log(`Released ${releasedIds.length} holds for event ${eventId}`, { ticketsLeft, waitlistOffers: waitlist.offers.length });
+
+      await notifyWaitlistOffers(databases, DATABASE_ID, waitlist.offers, eventDoc, { log, error });
+      return releasedIds;
+
+    } catch (err) {
+      try {
+        await databases.updateTransaction(transactionId, false);
+      } catch (rollbackErr) {
+        error(`Rollback failed for event ${eventId}: ${rollbackErr.message}`);
+      }
+      throw err;
+    }
+  }
+};
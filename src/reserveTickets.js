@@ -0,0 +1,341 @@
+import { Client, Databases, ID, Query } from 'node-appwrite';
+import { getPricingPolicy, computePriceBreakdown, formatBreakdown } from './lib/pricing.js';
+import {
+  readTicketTiers,
+  serializeTicketTiers,
+  findTicketTier,
+  tierPricePaise,
+  adjustTierQuantity,
+  adjustTicketsLeft
+} from './lib/ticketTiers.js';
+import { loadPromoForBooking, computePromoDiscount } from './lib/promoCodes.js';
+import { getCarryOverRule, advanceTierPhases, recordPhaseChanges } from './lib/phaseProgression.js';
+import { getMaxTicketsPerUser, countUserEventTickets } from './lib/purchaseLimits.js';
+import { withIdempotency } from './lib/idempotency.js';
+
+/**
+ * Ticket Reservation Function using Appwrite Native Transactions
+ *
+ * Reserves seats for a buyer BEFORE payment so that two buyers can never
+ * both pay for the last seat. Inventory is decremented immediately and a
+ * time-limited `ticketHolds` document is created in the same transaction.
+ *
+ * Flow:
+ * 1. Validate inputs
+ * 2. Create Appwrite transaction
+ * 3. Check the user has no other active hold for this event
+ * 4. Check ticket availability within transaction
+ * 5. Stage hold creation and inventory decrease
+ * 6. Commit transaction
+ *
+ * Lifecycle of a hold:
+ * - active:    seats reserved, waiting for payment
+ * - converted: bookTicketAtomic turned the hold into a ticket (pass `holdId`)
+ * - released:  releaseExpiredHolds returned the seats after `expiresAt`
+ *
+ * An optional `promoCode` is validated and included in the returned price
+ * quote; it is only redeemed when the hold is booked. The quoted ticket price
+ * is stored on the hold so a phase change while the buyer pays does not
+ * change what they are charged.
+ *
+ * The event's per-user ticket cap (see lib/purchaseLimits.js) is enforced
+ * here as well, so buyers learn about it before they pay.
+ *
+ * Environment:
+ * - TICKET_HOLD_TTL_SECONDS: how long a hold lasts (default 600)
+ *
+ * Reference: https://appwrite.io/docs/products/databases/transactions
+ */
+
+export default withIdempotency('reserveTickets', async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+  const HOLD_TTL_SECONDS = parseInt(process.env.TICKET_HOLD_TTL_SECONDS) || 600;
+
+  let appwriteTransactionId = null;
+
+  try {
+    // Parse request body
+    const { userId, eventId, ticketTypeName, quantity, promoCode } = JSON.parse(req.body || '{}');
+
+    log('Starting ticket reservation', { userId, eventId, quantity, ticketTypeName });
+
+    // ============================================
+    // STEP 1: Validate inputs
+    // ============================================
+    if (!userId || !eventId || !quantity || !ticketTypeName) {
+      error('Missing required fields');
+      return res.json({
+        success: false,
+        error: 'Missing required fields. Required: userId, eventId, ticketTypeName, quantity',
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
+
+    const quantityInt = parseInt(quantity);
+    if (isNaN(quantityInt) || quantityInt < 1 || quantityInt > 10) {
+      error('Invalid quantity');
+      return res.json({
+        success: false,
+        error: 'Quantity must be between 1 and 10',
+        code: 'INVALID_QUANTITY'
+      }, 400);
+    }
+
+    // ============================================
+    // STEP 2: Create Appwrite Transaction
+    // ============================================
+    log('Creating Appwrite transaction');
+
+    const transaction = await databases.createTransaction(120);
+    appwriteTransactionId = transaction.$id;
+
+    log('Transaction created successfully', { transactionId: appwriteTransactionId });
+
+    // ============================================
+    // STEP 3: Check for an existing active hold WITHIN transaction
+    // ============================================
+    const existingHolds = await databases.listDocuments(
+      DATABASE_ID,
+      'ticketHolds',
+      [
+        Query.equal('userId', userId),
+        Query.equal('eventId', eventId),
+        Query.equal('status', 'active')
+      ],
+      appwriteTransactionId
+    );
+
+    const now = new Date();
+    const liveHold = existingHolds.documents.find(h => new Date(h.expiresAt) > now);
+
+    if (liveHold) {
+      error('User already has an active hold for this event', { holdId: liveHold.$id });
+      await databases.updateTransaction(appwriteTransactionId, false);
+      return res.json({
+        success: false,
+        error: 'You already have tickets reserved for this event',
+        code: 'ACTIVE_HOLD_EXISTS',
+        holdId: liveHold.$id,
+        expiresAt: liveHold.expiresAt
+      }, 400);
+    }
+
+    // ============================================
+    // STEP 4: Check ticket availability within transaction
+    // ============================================
+    log('Checking ticket availability within transaction context');
+
+    const eventDoc = await databases.getDocument(
+      DATABASE_ID,
+      'events',
+      eventId,
+      [],
+      appwriteTransactionId // Track this read for conflicts
+    );
+
+    // Open the next pricing phase of tiers whose deadline has passed
+    const carryOverRule = getCarryOverRule(eventDoc);
+    const openingProgression = advanceTierPhases(readTicketTiers(eventDoc), carryOverRule);
+    const ticketTiers = openingProgression.tiers;
+    const phaseChanges = [...openingProgression.changes];
+    let ticketsLeftDelta = openingProgression.ticketsLeftDelta;
+
+    const maxTicketsPerUser = getMaxTicketsPerUser(eventDoc);
+    if (maxTicketsPerUser !== null) {
+      const alreadyPurchased = await countUserEventTickets(
+        databases,
+        DATABASE_ID,
+        { userId, eventId },
+        appwriteTransactionId
+      );
+
+      if (alreadyPurchased + quantityInt > maxTicketsPerUser) {
+        error('Per-user ticket limit exceeded', { userId, eventId, alreadyPurchased, maxTicketsPerUser });
+        await databases.updateTransaction(appwriteTransactionId, false);
+        return res.json({
+          success: false,
+          error: `You can buy at most ${maxTicketsPerUser} tickets for this event`,
+          code: 'PURCHASE_LIMIT_EXCEEDED',
+          maxTicketsPerUser: maxTicketsPerUser,
+          alreadyPurchased: alreadyPurchased
+        }, 400);
+      }
+    }
+
+    const currentTicketsLeft = (parseInt(eventDoc.ticketsLeft) || 0) + ticketsLeftDelta;
+    if (currentTicketsLeft < quantityInt) {
+      error('Insufficient tickets available');
+      await databases.updateTransaction(appwriteTransactionId, false);
+      return res.json({
+        success: false,
+        error: 'Insufficient tickets available',
+        code: 'INSUFFICIENT_TICKETS',
+        availableTickets: currentTicketsLeft
+      }, 400);
+    }
+
+    const ticketTier = findTicketTier(ticketTiers, ticketTypeName);
+
+    if (!ticketTier || ticketTier.quantity < quantityInt) {
+      error('Ticket type not available or insufficient quantity');
+      await databases.updateTransaction(appwriteTransactionId, false);
+      return res.json({
+        success: false,
+        error: 'Ticket type not available or insufficient quantity',
+        code: 'TICKET_TYPE_UNAVAILABLE',
+        availableQuantity: ticketTier ? ticketTier.quantity : 0
+      }, 400);
+    }
+
+    // Quote the price now so the client can create the payment order
+    const unitPricePaise = tierPricePaise(ticketTier);
+    if (unitPricePaise === null) {
+      error('Ticket type has no valid price', { ticketTypeName, price: ticketTier.price });
+      await databases.updateTransaction(appwriteTransactionId, false);
+      return res.json({
+        success: false,
+        error: 'Ticket type price is not configured correctly',
+        code: 'INVALID_TICKET_PRICE'
+      }, 500);
+    }
+
+    let discountPaise = 0;
+    if (promoCode) {
+      const promoResult = await loadPromoForBooking(
+        databases,
+        DATABASE_ID,
+        { code: promoCode, userId, eventId, ticketTypeNames: [ticketTypeName] },
+        appwriteTransactionId
+      );
+
+      if (promoResult.error) {
+        error('Promo code rejected', promoResult.error);
+        await databases.updateTransaction(appwriteTransactionId, false);
+        return res.json({
+          success: false,
+          error: promoResult.error.message,
+          code: promoResult.error.code
+        }, 400);
+      }
+
+      discountPaise = computePromoDiscount(promoResult.promo, unitPricePaise * quantityInt);
+    }
+
+    const amounts = formatBreakdown(
+      computePriceBreakdown(unitPricePaise, quantityInt, getPricingPolicy(), discountPaise)
+    );
+
+    // ============================================
+    // STEP 5: Stage hold creation and inventory decrease
+    // ============================================
+    const holdId = ID.unique();
+    const expiresAt = new Date(now.getTime() + HOLD_TTL_SECONDS * 1000).toISOString();
+
+    log('Staging ticket hold creation', { holdId, expiresAt });
+
+    await databases.createDocument(
+      DATABASE_ID,
+      'ticketHolds',
+      holdId,
+      {
+        userId: userId,
+        eventId: eventId,
+        ticketTypeName: ticketTypeName,
+        quantity: quantityInt,
+        pricePerTicket: amounts.pricePerTicket,
+        phase: ticketTier.phase || '',
+        status: 'active',
+        expiresAt: expiresAt
+      },
+      [],
+      appwriteTransactionId
+    );
+
+    // Open the next phase if this reservation sold the tier out
+    const soldOutProgression = advanceTierPhases(
+      adjustTierQuantity(ticketTiers, ticketTypeName, -quantityInt),
+      carryOverRule
+    );
+    ticketsLeftDelta += soldOutProgression.ticketsLeftDelta - quantityInt;
+    phaseChanges.push(...soldOutProgression.changes);
+
+    await databases.updateDocument(
+      DATABASE_ID,
+      'events',
+      eventId,
+      {
+        ticketsLeft: adjustTicketsLeft(eventDoc.ticketsLeft, ticketsLeftDelta),
+        ...serializeTicketTiers(soldOutProgression.tiers)
+      },
+      [],
+      appwriteTransactionId
+    );
+
+    if (phaseChanges.length > 0) {
+      await recordPhaseChanges(databases, DATABASE_ID, eventId, phaseChanges, 'reservation', appwriteTransactionId);
+    }
+
+    log('Hold and inventory decrease staged', { holdId, ticketTypeName, quantityInt });
+
+    // ============================================
+    // STEP 6: Commit the transaction
+    // ============================================
+    await databases.updateTransaction(appwriteTransactionId, true);
+
+    log('Tickets reserved successfully', { holdId });
+
+    return res.json({
+      success: true,
+      data: {
+        holdId: holdId,
+        expiresAt: expiresAt,
+        amounts: amounts,
+        message: 'Tickets reserved. Complete payment before the hold expires.'
+      }
+    }, 200);
+
+  } catch (err) {
+    error('Reservation failed, rolling back transaction', err);
+
+    if (appwriteTransactionId) {
+      try {
+        await databases.updateTransaction(appwriteTransactionId, false);
+        log('Transaction rolled back successfully - no data persisted');
+      } catch (rollbackErr) {
+        error('Transaction rollback failed', {
+          rollbackError: rollbackErr.message,
+          originalError: err.message,
+          transactionId: appwriteTransactionId
+        });
+      }
+    }
+
+    let errorCode = 'RESERVATION_ERROR';
+    let errorMessage = err.message || 'Reservation failed';
+
+    if (err.code === 409 || err.message?.includes('conflict')) {
+      errorCode = 'CONFLICT_ERROR';
+      errorMessage = 'Reservation conflict detected. Please try again.';
+    } else if (err.message?.includes('not found')) {
+      errorCode = 'NOT_FOUND_ERROR';
+      errorMessage = 'Event or ticket type not found';
+    } else if (err.message?.includes('permission')) {
+      errorCode = 'PERMISSION_ERROR';
+      errorMessage = 'Permission denied';
+    }
+
+    return res.json({
+      success: false,
+      error: errorMessage,
+      code: errorCode,
+      details: err.message,
+      transactionRolledBack: appwriteTransactionId !== null
+    }, 500);
+  }
+});
@@ -0,0 +1,330 @@
+import { Client, Databases, Functions, ExecutionMethod, ID, Query } from 'node-appwrite';
+import { parsePriceToPaise, formatAmount } from './lib/pricing.js';
+import { readTicketTiers, serializeTicketTiers, adjustTierQuantity, adjustTicketsLeft } from './lib/ticketTiers.js';
+import { offerReturnedTickets, notifyWaitlistOffers } from './lib/waitlist.js';
+import { splitRefund } from './lib/cancellationPolicy.js';
+import { withIdempotency } from './lib/idempotency.js';
+import { internalExecutionHeaders } from './lib/internalExecutions.js';
+
+/**
+ * Review Held Order
+ *
+ * Settles an order that bookTicketAtomic held for review because it broke a
+ * velocity rule (see lib/purchaseLimits.js). Such orders have
+ * `reviewStatus: 'pending'` and their tickets are `on_hold`, so they can not
+ * be checked in, transferred or resold.
+ *
+ * Request body: { orderId, decision: 'approve' | 'reject', note? }
+ *
+ * - approve: the held tickets become active
+ * - reject:  the held tickets are cancelled with a full `pending` refund
+ *   each, the order is cancelled and the seats go back on sale (waitlist
+ *   first), all in one Appwrite transaction; credit notes are requested
+ *   from generateInvoice.js after the commit, and processRefunds.js pays
+ *   the refunds out
+ *
+ * The reviewer is the caller's Appwrite identity (`x-appwrite-user-id`); a
+ * `reviewerId` in the body is ignored. Only users listed in
+ * ORDER_REVIEWER_IDS (comma separated) may review.
+ */
+
+const DECISIONS = ['approve', 'reject'];
+
+export default withIdempotency('reviewHeldOrder', async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const functions = new Functions(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+  const REVIEWER_IDS = (process.env.ORDER_REVIEWER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+  let appwriteTransactionId = null;
+
+  try {
+    const { orderId, decision, note } = JSON.parse(req.body || '{}');
+    const reviewerId = req.headers['x-appwrite-user-id'] || '';
+
+    log('Reviewing held order', { orderId, reviewerId, decision });
+
+    // ============================================
+    // STEP 1: Validate inputs and reviewer
+    // ============================================
+    if (!reviewerId) {
+      return res.json({
+        success: false,
+        error: 'Held orders can only be reviewed by a signed-in reviewer',
+        code: 'AUTHENTICATION_REQUIRED'
+      }, 401);
+    }
+
+    if (!orderId || !DECISIONS.includes(decision)) {
+      return res.json({
+        success: false,
+        error: `Missing required fields. Required: orderId, decision (${DECISIONS.join(' or ')})`,
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
+
+    if (!REVIEWER_IDS.includes(reviewerId)) {
+      error('Order review requested by non-reviewer', { orderId, reviewerId });
+      return res.json({
+        success: false,
+        error: 'Only order reviewers can review held orders',
+        code: 'NOT_ORDER_REVIEWER'
+      }, 403);
+    }
+
+    // ============================================
+    // STEP 2: Load order and its tickets WITHIN transaction
+    // ============================================
+    const transaction = await databases.createTransaction(300);
+    appwriteTransactionId = transaction.$id;
+
+    const order = await databases.getDocument(DATABASE_ID, 'orders', orderId, [], appwriteTransactionId);
+
+    if (order.reviewStatus !== 'pending') {
+      return await reject('This order is not awaiting review', 'ORDER_NOT_UNDER_REVIEW', 409);
+    }
+
+    const orderTickets = await databases.listDocuments(
+      DATABASE_ID,
+      'tickets',
+      [Query.equal('orderId', orderId), Query.limit(100)],
+      appwriteTransactionId
+    );
+    const heldTickets = orderTickets.documents.filter(ticket => ticket.status === 'on_hold');
+
+    const reviewedAt = new Date().toISOString();
+    const review = {
+      reviewStatus: decision === 'approve' ? 'approved' : 'rejected',
+      reviewedBy: reviewerId,
+      reviewedAt: reviewedAt,
+      reviewNote: note || ''
+    };
+
+    // ============================================
+    // STEP 3a: Approve - activate the held tickets
+    // ============================================
+    if (decision === 'approve') {
+      for (const ticket of heldTickets) {
+        await databases.updateDocument(DATABASE_ID, 'tickets', ticket.$id, { status: 'active' }, [], appwriteTransactionId);
+      }
+
+      await databases.updateDocument(DATABASE_ID, 'orders', orderId, review, [], appwriteTransactionId);
+
+      await databases.updateTransaction(appwriteTransactionId, true);
+      appwriteTransactionId = null;
+
+      log('Held order approved', { orderId, ticketsActivated: heldTickets.length });
+
+      return res.json({
+        success: true,
+        data: {
+          orderId: orderId,
+          reviewStatus: review.reviewStatus,
+          ticketIds: heldTickets.map(ticket => ticket.$id),
+          message: 'Order approved and tickets activated'
+        }
+      }, 200);
+    }
+
+    // ============================================
+    // STEP 3b: Reject - cancel and refund the held tickets
+    // ============================================
+    const paymentTransaction = await databases.getDocument(
+      DATABASE_ID,
+      'transactions',
+      order.transactionId,
+      [],
+      appwriteTransactionId
+    );
+
+    const eventDoc = await databases.getDocument(DATABASE_ID, 'events', order.eventId, [], appwriteTransactionId);
+
+    const lineItems = parseLineItems(order);
+    const refunds = [];
+    let ticketTiers = readTicketTiers(eventDoc);
+    let quantityRestored = 0;
+
+    for (const ticket of heldTickets) {
+      const lineItem = lineItems.find(item => item.ticketId === ticket.$id);
+      const refundPaise = parsePriceToPaise(lineItem ? lineItem.totalAmount : ticket.totalAmountPaid) || 0;
+      const refundParts = lineItem && splitRefund(refundPaise, 100, {
+        taxablePaise: (parsePriceToPaise(lineItem.subtotal) || 0) - (parsePriceToPaise(lineItem.discountAmount) || 0),
+        handlingFeePaise: parsePriceToPaise(lineItem.internetHandlingFee) || 0
+      }, true);
+      const refundId = ID.unique();
+      const quantity = parseInt(ticket.quantity) || 0;
+
+      await databases.updateDocument(
+        DATABASE_ID,
+        'tickets',
+        ticket.$id,
+        {
+          status: 'cancelled',
+          cancelledAt: reviewedAt
+        },
+        [],
+        appwriteTransactionId
+      );
+
+      await databases.createDocument(
+        DATABASE_ID,
+        'refunds',
+        refundId,
+        {
+          userId: ticket.userId,
+          ticketId: ticket.$id,
+          orderId: orderId,
+          transactionId: paymentTransaction.$id,
+          paymentId: paymentTransaction.paymentId,
+          gateway: paymentTransaction.gateway,
+          amount: formatAmount(refundPaise),
+          refundPercent: 100,
+          quantity: quantity,
+          ...(refundParts && {
+            taxableAmount: formatAmount(refundParts.taxablePaise),
+            taxAmount: formatAmount(refundParts.taxPaise),
+            handlingFeeAmount: formatAmount(refundParts.handlingFeePaise)
+          }),
+          reason: 'Order rejected in review',
+          status: 'pending'
+        },
+        [],
+        appwriteTransactionId
+      );
+
+      refunds.push({ refundId, ticketId: ticket.$id, refundPaise });
+
+      if (ticket.ticketTypeName) {
+        ticketTiers = adjustTierQuantity(ticketTiers, ticket.ticketTypeName, quantity);
+      }
+      quantityRestored += quantity;
+    }
+
+    const refundedPaise = refunds.reduce((sum, refund) => sum + refund.refundPaise, 0);
+    const othersActive = orderTickets.documents.some(ticket => ticket.status !== 'on_hold' && ticket.status !== 'cancelled');
+
+    await databases.updateDocument(
+      DATABASE_ID,
+      'orders',
+      orderId,
+      {
+        ...review,
+        status: othersActive ? 'partially_cancelled' : 'cancelled',
+        ...(refunds.length > 0 && { refundId: refunds[refunds.length - 1].refundId }),
+        refundAmount: formatAmount((parsePriceToPaise(order.refundAmount) || 0) + refundedPaise)
+      },
+      [],
+      appwriteTransactionId
+    );
+
+    // Returned seats go to the tiers' waitlists before general sale
+    const waitlist = await offerReturnedTickets(
+      databases,
+      DATABASE_ID,
+      {
+        eventId: order.eventId,
+        ticketTiers: ticketTiers,
+        ticketTypeNames: heldTickets.map(ticket => ticket.ticketTypeName).filter(Boolean)
+      },
+      appwriteTransactionId
+    );
+
+    if (quantityRestored > 0) {
+      await databases.updateDocument(
+        DATABASE_ID,
+        'events',
+        order.eventId,
+        {
+          ticketsLeft: adjustTicketsLeft(eventDoc.ticketsLeft, quantityRestored + waitlist.ticketsLeftDelta),
+          ...serializeTicketTiers(waitlist.ticketTiers)
+        },
+        [],
+        appwriteTransactionId
+      );
+    }
+
+    await databases.updateTransaction(appwriteTransactionId, true);
+    appwriteTransactionId = null;
+
+    log('Held order rejected', { orderId, ticketsCancelled: heldTickets.length, refunded: refundedPaise });
+
+    await notifyWaitlistOffers(databases, DATABASE_ID, waitlist.offers, eventDoc, { log, error });
+
+    for (const refund of refunds) {
+      try {
+        await functions.createExecution(
+          process.env.INVOICE_FUNCTION_ID || 'generateInvoice',
+          JSON.stringify({ orderId, refundId: refund.refundId }),
+          true, // async: the review does not wait for the credit note
+          '/',
+          ExecutionMethod.POST,
+          internalExecutionHeaders()
+        );
+      } catch (invoiceErr) {
+        error(`Credit note could not be queued: ${invoiceErr.message}`, { refundId: refund.refundId });
+      }
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        orderId: orderId,
+        reviewStatus: review.reviewStatus,
+        ticketIds: heldTickets.map(ticket => ticket.$id),
+        refunds: refunds.map(refund => ({
+          refundId: refund.refundId,
+          ticketId: refund.ticketId,
+          refundAmount: formatAmount(refund.refundPaise)
+        })),
+        message: 'Order rejected and refunds recorded'
+      }
+    }, 200);
+
+  } catch (err) {
+    error(`Error reviewing held order: ${err.message}`);
+
+    if (appwriteTransactionId) {
+      try {
+        await databases.updateTransaction(appwriteTransactionId, false);
+      } catch (rollbackErr) {
+        error(`Transaction rollback failed: ${rollbackErr.message}`);
+      }
+    }
+
+    const isConflict = err.code === 409 || err.message?.includes('conflict');
+    const isNotFound = err.code === 404 || err.message?.includes('not found');
+    return res.json({
+      success: false,
+      error: isConflict
+        ? 'Order was modified concurrently. Please try again.'
+        : isNotFound ? 'Order not found' : 'Failed to review order',
+      code: isConflict ? 'CONFLICT_ERROR' : isNotFound ? 'NOT_FOUND_ERROR' : 'ORDER_REVIEW_ERROR',
+      details: err.message
+    }, isConflict ? 409 : isNotFound ? 404 : 500);
+  }
+
+  async function reject(message, code, status) {
+    error(message);
+    await databases.updateTransaction(appwriteTransactionId, false);
+    appwriteTransactionId = null;
+    return res.json({
+      success: false,
+      error: message,
+      code: code
+    }, status);
+  }
+});
+
+function parseLineItems(order) {
+  try {
+    const lineItems = JSON.parse(order.lineItems || '[]');
+    return Array.isArray(lineItems) ? lineItems : [];
+  } catch (err) {
+    return [];
+  }
+}
@@ -1,6 +1,7 @@
 import { Client, Databases, Query } from 'node-appwrite';
+import { withIdempotency } from './lib/idempotency.js';
 
-export default async ({ req, res, log, error }) => {
+export default withIdempotency('sendLikeNotification', async ({ req, res, log, error }) => {
   try {
     // Initialize Appwrite client
     const client = new Client()
@@ -85,4 +86,4 @@ export default async ({ req, res, log, error }) => {
       error: err.message
     });
   }
-};
+});
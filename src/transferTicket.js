@@ -0,0 +1,468 @@
+import { Client, Databases, Storage, ID, Query } from 'node-appwrite';
+import { parsePriceToPaise, formatAmount, allocateAmount } from './lib/pricing.js';
+import { getTicketQrSecret, uploadTicketQr } from './lib/ticketQr.js';
+import { normalizePhoneNumber, phoneNumberVariants } from './lib/phoneNumbers.js';
+import { withIdempotency } from './lib/idempotency.js';
+
+/**
+ * Atomic Peer-to-Peer Ticket Transfer using Appwrite Native Transactions
+ *
+ * Moves a ticket, or part of a multi-quantity ticket, to another registered
+ * user found by email or phone (normalised like at signup, see
+ * lib/phoneNumbers.js).
+ *
+ * - Full transfer: the ticket document changes owner and gets a new QR code.
+ * - Partial transfer: the original ticket's quantity is reduced and a new
+ *   `tickets` document is created for the recipient with its own QR code.
+ *   The order's line item is split the same way and the new ticket joins
+ *   the order, so each part is refunded only what it paid on cancellation.
+ *
+ * Every transfer is recorded in `ticketTransfers`. Tickets that are listed
+ * for resale, cancelled or already used cannot be transferred.
+ *
+ * The recipient's QR code is uploaded to storage before the transaction is
+ * committed; if anything fails the uploaded file is deleted again, the same
+ * way atomicSignup.js cleans up its uploads.
+ *
+ * Reference: https://appwrite.io/docs/products/databases/transactions
+ */
+
+export default withIdempotency('transferTicket', async ({ req, res, log, error }) => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY);
+
+  const databases = new Databases(client);
+  const storage = new Storage(client);
+  const DATABASE_ID = process.env.DATABASE_ID;
+  const TICKET_QR_BUCKET_ID = process.env.TICKET_QR_CODE_BUCKET_ID;
+  const TICKET_QR_SECRET = getTicketQrSecret();
+
+  let appwriteTransactionId = null;
+  let uploadedQRCodeId = null;
+
+  try {
+    const {
+      userId,
+      ticketId,
+      recipientEmail,
+      recipientPhone,
+      recipientCountryCode,       // Optional: country of a national recipientPhone, default +91
+      quantity
+    } = JSON.parse(req.body || '{}');
+
+    log('Starting ticket transfer', { userId, ticketId, recipientEmail, recipientPhone, quantity });
+
+    // ============================================
+    // STEP 1: Validate inputs and find recipient
+    // ============================================
+    if (!userId || !ticketId || (!recipientEmail && !recipientPhone)) {
+      error('Missing required fields');
+      return res.json({
+        success: false,
+        error: 'Missing required fields. Required: userId, ticketId and recipientEmail or recipientPhone',
+        code: 'VALIDATION_ERROR'
+      }, 400);
+    }
+
+    if (!TICKET_QR_BUCKET_ID || !TICKET_QR_SECRET) {
+      error('TICKET_QR_CODE_BUCKET_ID or TICKET_QR_SIGNING_SECRET environment variable is not set');
+      return res.json({
+        success: false,
+        error: 'Ticket QR codes are not configured',
+        code: 'QR_CONFIG_ERROR'
+      }, 500);
+    }
+
+    // Phone numbers are stored in E.164 (see lib/phoneNumbers.js)
+    let recipientQuery;
+    if (recipientEmail) {
+      recipientQuery = Query.equal('email', recipientEmail.trim());
+    } else {
+      const { phone, error: phoneError } = normalizePhoneNumber(recipientPhone, recipientCountryCode);
+      if (phoneError) {
+        return res.json({
+          success: false,
+          error: phoneError.message,
+          code: phoneError.code
+        }, 400);
+      }
+      recipientQuery = Query.equal('phoneNumber', phoneNumberVariants(phone));
+    }
+
+    const recipients = await databases.listDocuments(DATABASE_ID, 'users', [recipientQuery]);
+
+    if (recipients.documents.length === 0) {
+      error('Recipient not found');
+      return res.json({
+        success: false,
+        error: 'No registered user found with that email or phone',
+        code: 'RECIPIENT_NOT_FOUND'
+      }, 404);
+    }
+
+    const recipientId = recipients.documents[0].$id;
+
+    if (recipientId === userId) {
+      return res.json({
+        success: false,
+        error: 'You cannot transfer a ticket to yourself',
+        code: 'INVALID_RECIPIENT'
+      }, 400);
+    }
+
+    // ============================================
+    // STEP 2: Create Appwrite Transaction and load ticket
+    // ============================================
+    const transaction = await databases.createTransaction(120);
+    appwriteTransactionId = transaction.$id;
+
+    let ticket;
+    try {
+      ticket = await databases.getDocument(DATABASE_ID, 'tickets', ticketId, [], appwriteTransactionId);
+    } catch (err) {
+      if (err.code === 404 || err.message?.includes('not found')) {
+        return await reject('Ticket not found', 'TICKET_NOT_FOUND', 404);
+      }
+      throw err;
+    }
+
+    if (ticket.userId !== userId) {
+      return await reject('You do not own this ticket', 'NOT_TICKET_OWNER', 403);
+    }
+
+    if (ticket.isListedForSale === 'true') {
+      return await reject('Remove the ticket from resale before transferring it', 'TICKET_LISTED_FOR_SALE', 400);
+    }
+
+    if (ticket.status === 'used' || (parseInt(ticket.admittedCount) || 0) > 0) {
+      return await reject('This ticket has already been used', 'TICKET_ALREADY_USED', 400);
+    }
+
+    if (ticket.status && ticket.status !== 'active') {
+      return await reject(`Ticket is ${ticket.status} and cannot be transferred`, 'TICKET_NOT_ACTIVE', 400);
+    }
+
+    const ticketQuantity = parseInt(ticket.quantity) || 0;
+    const transferQuantity = quantity === undefined ? ticketQuantity : parseInt(quantity);
+
+    if (isNaN(transferQuantity) || transferQuantity < 1 || transferQuantity > ticketQuantity) {
+      return await reject(`Quantity must be between 1 and ${ticketQuantity}`, 'INVALID_QUANTITY', 400);
+    }
+
+    const isPartial = transferQuantity < ticketQuantity;
+
+    // ============================================
+    // STEP 3: Issue recipient QR code
+    // ============================================
+    const recipientTicketId = isPartial ? ID.unique() : ticketId;
+    const recipientQrVersion = isPartial ? 1 : (parseInt(ticket.qrVersion) || 0) + 1;
+
+    uploadedQRCodeId = await uploadTicketQr(storage, TICKET_QR_BUCKET_ID, {
+      ticketId: recipientTicketId,
+      eventId: ticket.eventId,
+      userId: recipientId,
+      qrVersion: recipientQrVersion
+    }, TICKET_QR_SECRET);
+
+    log('Recipient QR code uploaded', { fileId: uploadedQRCodeId });
+
+    // ============================================
+    // STEP 4: Stage ticket changes and transfer history
+    // ============================================
+    if (isPartial) {
+      // The order's line for this ticket is split too, so cancelling either
+      // part refunds only what that part paid (see cancelTicketAtomic.js)
+      const order = await findOrder(ticket);
+      const ticketPaise = parsePriceToPaise(ticket.totalAmountPaid) || 0;
+      let senderPaise;
+      let transferredPaise;
+
+      if (order) {
+        const lineItems = parseLineItems(order);
+        const lineItem = lineItems.find(item => item.ticketId === ticketId) || legacyLineItem(order, ticket);
+        const [recipientLine, senderLine] = splitLineItem(lineItem, [
+          { ticketId: recipientTicketId, quantity: transferQuantity },
+          { ticketId: ticketId, quantity: ticketQuantity - transferQuantity }
+        ]);
+        transferredPaise = parsePriceToPaise(recipientLine.totalAmount) || 0;
+        senderPaise = parsePriceToPaise(senderLine.totalAmount) || 0;
+
+        await databases.updateDocument(
+          DATABASE_ID,
+          'orders',
+          order.$id,
+          {
+            lineItems: JSON.stringify([
+              ...lineItems.filter(item => item.ticketId !== ticketId),
+              senderLine,
+              recipientLine
+            ]),
+            ticketIds: [...(order.ticketIds || [order.ticketId].filter(Boolean)), recipientTicketId]
+          },
+          [],
+          appwriteTransactionId
+        );
+      } else {
+        // Split the amount paid proportionally; any rounding remainder stays with the sender
+        transferredPaise = Math.floor((ticketPaise * transferQuantity) / ticketQuantity);
+        senderPaise = ticketPaise - transferredPaise;
+      }
+
+      await databases.updateDocument(
+        DATABASE_ID,
+        'tickets',
+        ticketId,
+        {
+          quantity: ticketQuantity - transferQuantity,
+          totalAmountPaid: formatAmount(senderPaise),
+          // Legacy tickets join their order so cancellation finds both parts
+          ...(!ticket.orderId && order && { orderId: order.$id })
+        },
+        [],
+        appwriteTransactionId
+      );
+
+      await databases.createDocument(
+        DATABASE_ID,
+        'tickets',
+        recipientTicketId,
+        {
+          userId: recipientId,
+          eventId: ticket.eventId,
+          eventName: ticket.eventName,
+          eventSub_name: ticket.eventSub_name,
+          eventDate: ticket.eventDate,
+          eventTime: ticket.eventTime,
+          eventLocation: ticket.eventLocation,
+          totalAmountPaid: formatAmount(transferredPaise),
+          pricePerTicket: ticket.pricePerTicket,
+          imageFileId: ticket.imageFileId,
+          category: ticket.category,
+          ticketTypeName: ticket.ticketTypeName,
+          phase: ticket.phase || '',
+          quantity: transferQuantity,
+          status: 'active',
+          isListedForSale: 'false',
+          qrCodeFileId: uploadedQRCodeId,
+          qrVersion: recipientQrVersion,
+          orderId: order ? order.$id : '',
+          transferredFrom: ticketId
+        },
+        [],
+        appwriteTransactionId
+      );
+    } else {
+      await databases.updateDocument(
+        DATABASE_ID,
+        'tickets',
+        ticketId,
+        {
+          userId: recipientId,
+          qrCodeFileId: uploadedQRCodeId,
+          qrVersion: recipientQrVersion,
+          // A named attendee ticket now belongs to the recipient
+          ...(ticket.holderName && { holderName: '', holderPhone: '' })
+        },
+        [],
+        appwriteTransactionId
+      );
+    }
+
+    const transferId = ID.unique();
+
+    await databases.createDocument(
+      DATABASE_ID,
+      'ticketTransfers',
+      transferId,
+      {
+        ticketId: ticketId,
+        newTicketId: recipientTicketId,
+        eventId: ticket.eventId,
+        fromUserId: userId,
+        toUserId: recipientId,
+        quantity: transferQuantity,
+        transferredAt: new Date().toISOString()
+      },
+      [],
+      appwriteTransactionId
+    );
+
+    // ============================================
+    // STEP 5: Commit the transaction
+    // ============================================
+    await databases.updateTransaction(appwriteTransactionId, true);
+
+    log('Ticket transferred successfully', { ticketId, recipientTicketId, transferId });
+
+    // The sender's QR image for a fully transferred ticket is now stale
+    if (!isPartial && ticket.qrCodeFileId && TICKET_QR_BUCKET_ID) {
+      try {
+        await storage.deleteFile(TICKET_QR_BUCKET_ID, ticket.qrCodeFileId);
+      } catch (deleteErr) {
+        log(`Old QR code could not be deleted: ${deleteErr.message}`);
+      }
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        transferId: transferId,
+        ticketId: recipientTicketId,
+        recipientId: recipientId,
+        quantity: transferQuantity,
+        qrCodeFileId: uploadedQRCodeId,
+        message: 'Ticket transferred successfully'
+      }
+    }, 200);
+
+  } catch (err) {
+    error('Ticket transfer failed, rolling back', err);
+
+    if (appwriteTransactionId) {
+      try {
+        await databases.updateTransaction(appwriteTransactionId, false);
+      } catch (rollbackErr) {
+        error('Transaction rollback failed', {
+          rollbackError: rollbackErr.message,
+          originalError: err.message,
+          transactionId: appwriteTransactionId
+        });
+      }
+    }
+
+    await cleanupUploadedQRCode();
+
+    let errorCode = 'TRANSFER_ERROR';
+    let errorMessage = err.message || 'Ticket transfer failed';
+
+    if (err.code === 409 || err.message?.includes('conflict')) {
+      errorCode = 'CONFLICT_ERROR';
+      errorMessage = 'Ticket was modified concurrently. Please try again.';
+    } else if (err.message?.includes('not found')) {
+      errorCode = 'NOT_FOUND_ERROR';
+      errorMessage = 'Ticket or recipient not found';
+    } else if (err.message?.includes('permission')) {
+      errorCode = 'PERMISSION_ERROR';
+      errorMessage = 'Permission denied';
+    }
+
+    return res.json({
+      success: false,
+      error: errorMessage,
+      code: errorCode,
+      details: err.message,
+      transactionRolledBack: appwriteTransactionId !== null
+    }, 500);
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Find the order a ticket was bought in
+  // ============================================
+  async function findOrder(ticket) {
+    if (ticket.orderId) {
+      try {
+        return await databases.getDocument(DATABASE_ID, 'orders', ticket.orderId, [], appwriteTransactionId);
+      } catch (err) {
+        if (err.code === 404 || err.message?.includes('not found')) {
+          return null;
+        }
+        throw err;
+      }
+    }
+
+    // Tickets booked before `orderId` was stored
+    const orders = await databases.listDocuments(
+      DATABASE_ID,
+      'orders',
+      [Query.equal('ticketId', ticket.$id)],
+      appwriteTransactionId
+    );
+    return orders.documents[0] || null;
+  }
+
+  async function reject(message, code, status) {
+    error(message);
+    await databases.updateTransaction(appwriteTransactionId, false);
+    appwriteTransactionId = null;
+    await cleanupUploadedQRCode();
+    return res.json({
+      success: false,
+      error: message,
+      code: code
+    }, status);
+  }
+
+  // ============================================
+  // HELPER FUNCTION: Cleanup Uploaded QR Code
+  // ============================================
+  async function cleanupUploadedQRCode() {
+    if (!uploadedQRCodeId) {
+      return;
+    }
+
+    try {
+      log('Deleting uploaded QR code', { fileId: uploadedQRCodeId });
+      await storage.deleteFile(TICKET_QR_BUCKET_ID, uploadedQRCodeId);
+      uploadedQRCodeId = null;
+    } catch (deleteErr) {
+      error('Failed to delete QR code during cleanup', {
+        fileId: uploadedQRCodeId,
+        error: deleteErr.message
+      });
+    }
+  }
+});
+
+const LINE_AMOUNT_FIELDS = ['subtotal', 'discountAmount', 'taxGST', 'internetHandlingFee'];
+
+function parseLineItems(order) {
+  try {
+    const lineItems = JSON.parse(order.lineItems || '[]');
+    return Array.isArray(lineItems) ? lineItems : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// Orders from before cart checkout have no `lineItems`; their totals are
+// the ticket's line
+function legacyLineItem(order, ticket) {
+  return {
+    ticketId: ticket.$id,
+    ticketTypeName: ticket.ticketTypeName || '',
+    quantity: parseInt(ticket.quantity) || 0,
+    pricePerTicket: order.singleTicketPrice || ticket.pricePerTicket,
+    subtotal: order.subtotal,
+    discountAmount: order.discountAmount || '0.00',
+    taxGST: order.taxGST,
+    internetHandlingFee: order.internetHandlingFee,
+    totalAmount: order.totalAmount
+  };
+}
+
+/**
+ * Split a line item into `parts` ({ ticketId, quantity }) by quantity.
+ * Rounding remainders go to the last part, and every part's total is
+ * rebuilt from its amounts so the parts add up to the original line.
+ */
+function splitLineItem(lineItem, parts) {
+  const weights = parts.map(part => part.quantity);
+  const split = parts.map(part => ({ ...lineItem, ticketId: part.ticketId, quantity: part.quantity }));
+
+  for (const field of LINE_AMOUNT_FIELDS) {
+    allocateAmount(parsePriceToPaise(lineItem[field]) || 0, weights).forEach((paise, index) => {
+      split[index][field] = formatAmount(paise);
+    });
+  }
+
+  for (const part of split) {
+    part.totalAmount = formatAmount(
+      parsePriceToPaise(part.subtotal) - parsePriceToPaise(part.discountAmount) +
+      parsePriceToPaise(part.taxGST) + parsePriceToPaise(part.internetHandlingFee)
+    );
+  }
+
+  return split;
+}
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventStartTime, hoursUntilEvent } from '../src/lib/eventDates.js';
+
+const env = {};
+
+test('date and time are read as IST by default, not in the runtime time zone', () => {
+  const start = getEventStartTime({ date: '2025-12-31', time: '7:00 PM' }, env);
+  assert.equal(start.toISOString(), '2025-12-31T13:30:00.000Z');
+});
+
+test('a 24 hour refund window closes exactly 24 hours before the IST start', () => {
+  const event = { date: '2025-12-31', time: '7:00 PM' };
+
+  assert.equal(hoursUntilEvent(event, new Date('2025-12-30T13:30:00.000Z'), env), 24);
+  assert.ok(hoursUntilEvent(event, new Date('2025-12-30T13:30:01.000Z'), env) < 24);
+  assert.ok(hoursUntilEvent(event, new Date('2025-12-30T13:29:59.000Z'), env) > 24);
+});
+
+test('startsAt without an offset is venue time; with an offset it is taken as is', () => {
+  assert.equal(getEventStartTime({ startsAt: '2025-12-31T19:00' }, env).toISOString(), '2025-12-31T13:30:00.000Z');
+  assert.equal(getEventStartTime({ startsAt: '2025-12-31T19:00:00Z' }, env).toISOString(), '2025-12-31T19:00:00.000Z');
+});
+
+test('EVENT_TIME_ZONE and the event timeZone override the default', () => {
+  const event = { date: '2025-12-31', time: '19:00' };
+
+  assert.equal(
+    getEventStartTime(event, { EVENT_TIME_ZONE: 'Asia/Dubai' }).toISOString(),
+    '2025-12-31T15:00:00.000Z'
+  );
+  assert.equal(
+    getEventStartTime({ ...event, timeZone: 'Europe/London' }, { EVENT_TIME_ZONE: 'Asia/Dubai' }).toISOString(),
+    '2025-12-31T19:00:00.000Z'
+  );
+});
+
+test('unreadable dates give null', () => {
+  assert.equal(getEventStartTime({ date: 'soon', time: 'later' }, env), null);
+  assert.equal(getEventStartTime({ date: '2025-12-31', time: '19:00', timeZone: 'Not/AZone' }, env), null);
+});